@@ -1,219 +1,102 @@
 #!/usr/bin/env node
 
 /**
- * ROM Scanner - Automatically scan /home/jak/projects/roms and add games to database
- * This script scans for ROM files and adds them to the game database
+ * ROM Scanner - Scan the ROM library and sync it into the game catalog
+ * New ROMs are added, changed ones updated, and games whose files disappeared
+ * are marked inactive. A diff is always printed before anything is written.
+ *
+ * Every ROM is hashed (CRC32/MD5/SHA1, cached between runs) and matched
+ * against No-Intro/Redump DATs for canonical titles, region, revision and year.
+ * Filename heuristics are only used for ROMs no DAT knows. Applied scans are
+ * recorded in the audit log as library.scan.
+ *
+ * Usage: node scripts/scan-roms.js [--dir <path>] [--dats <path>] [--dry-run]
+ *   --dir      ROM directory inside GAMES_DIR (default: GAMES_DIR itself)
+ *   --dats     Directory of .dat/.xml files (default: DAT_DIR)
+ *   --dry-run  Print the diff without writing anything (catalog, hash cache,
+ *              artwork or audit log)
  */
 
-import { PrismaClient } from '@prisma/client';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const prisma = new PrismaClient();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// ROM file extensions mapping
-const ROM_EXTENSIONS = {
-  '.nes': 'nes',
-  '.smc': 'snes',
-  '.sfc': 'snes',
-  '.md': 'genesis',
-  '.gen': 'genesis',
-  '.z64': 'n64',
-  '.n64': 'n64',
-  '.v64': 'n64',
-  '.bin': 'psx',
-  '.iso': 'gamecube',
-  '.gcm': 'gamecube',
-  '.ciso': 'gamecube',
-  '.rvz': 'gamecube',
-  '.wad': 'wii',
-  '.dol': 'wii',
-  '.elf': 'ps2',
-  '.iso': 'ps2',
-  '.bin': 'ps2',
-  '.cdi': 'dreamcast',
-  '.gdi': 'dreamcast',
-  '.chd': 'dreamcast'
-};
-
-// System names mapping
-const SYSTEM_NAMES = {
-  'nes': 'Nintendo Entertainment System',
-  'snes': 'Super Nintendo',
-  'genesis': 'Sega Genesis',
-  'n64': 'Nintendo 64',
-  'psx': 'PlayStation',
-  'gamecube': 'Nintendo GameCube',
-  'wii': 'Nintendo Wii',
-  'ps2': 'PlayStation 2',
-  'dreamcast': 'Sega Dreamcast'
-};
-
-// Genre detection from filename
-function detectGenre(filename) {
-  const lower = filename.toLowerCase();
-  if (lower.includes('mario') || lower.includes('sonic') || lower.includes('metroid')) return 'Platformer';
-  if (lower.includes('street fighter') || lower.includes('mortal kombat') || lower.includes('tekken')) return 'Fighting';
-  if (lower.includes('final fantasy') || lower.includes('rpg')) return 'RPG';
-  if (lower.includes('zelda') || lower.includes('adventure')) return 'Adventure';
-  if (lower.includes('kart') || lower.includes('racing')) return 'Racing';
-  if (lower.includes('goldeneye') || lower.includes('shooter')) return 'Shooter';
-  return 'Action';
-}
-
-// Clean filename to get game title
-function getGameTitle(filename) {
-  // Remove extension
-  let title = path.parse(filename).name;
-
-  // Common cleanup patterns
-  title = title.replace(/\(.*?\)/g, ''); // Remove (USA), (Europe), etc.
-  title = title.replace(/\[.*?\]/g, ''); // Remove [b1], etc.
-  title = title.replace(/_/g, ' '); // Replace underscores with spaces
-  title = title.replace(/\./g, ' '); // Replace dots with spaces
-
-  // Title case
-  title = title.split(' ')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-    .join(' ');
-
-  return title.trim();
-}
-
-// Detect emulator based on system
-function getEmulator(system) {
-  const emulatorMap = {
-    'nes': 'retroarch',
-    'snes': 'retroarch',
-    'genesis': 'retroarch',
-    'n64': 'retroarch',
-    'psx': 'retroarch',
-    'gamecube': 'dolphin',
-    'wii': 'dolphin',
-    'ps2': 'pcsx2',
-    'dreamcast': 'retroarch'
+import { parseArgs } from 'util';
+import { openCatalog } from '../src/catalog/index.js';
+import { slugify } from '../src/catalog/games.js';
+import { loadConfig } from '../src/config.js';
+import { scanLibrary } from '../src/library/scanner.js';
+import { openHashCache } from '../src/library/hash.js';
+import { loadDats } from '../src/library/dat.js';
+import { identifyRoms } from '../src/library/identify.js';
+import { createArtworkStore } from '../src/artwork/store.js';
+import { getPlatform } from '../src/platforms.js';
+import { toLibraryPath } from '../src/library/paths.js';
+import { applySync, formatPlan, planSync } from '../src/library/sync.js';
+import { createAuditLog } from '../src/audit/log.js';
+import { setLogLevel } from '../src/logger.js';
+
+// Catalog payload for a newly found ROM
+function toGame(rom) {
+  const platform = getPlatform(rom.system);
+  return {
+    title: rom.title,
+    system: rom.system,
+    year: rom.year,
+    genre: rom.genre,
+    region: rom.region,
+    revision: rom.revision,
+    playerCount: 1, // Default, could be detected
+    emulator: platform.emulator,
+    emulatorCore: platform.core,
+    coverArtUrl: null,
+    description: `Auto-scanned ${platform.name} ROM: ${rom.filename}`,
+    isActive: true
   };
-  return emulatorMap[system] || 'retroarch';
-}
-
-// Scan directory recursively
-async function scanDirectory(dirPath) {
-  const roms = [];
-
-  try {
-    const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-
-      if (entry.isDirectory()) {
-        // Recursively scan subdirectories
-        const subRoms = await scanDirectory(fullPath);
-        roms.push(...subRoms);
-      } else {
-        // Check if file is a ROM
-        const ext = path.extname(entry.name).toLowerCase();
-        if (ROM_EXTENSIONS[ext]) {
-          const stats = await fs.promises.stat(fullPath);
-          const system = ROM_EXTENSIONS[ext];
-          const romPath = fullPath;
-
-          roms.push({
-            filename: entry.name,
-            path: romPath,
-            system,
-            size: stats.size,
-            title: getGameTitle(entry.name),
-            genre: detectGenre(entry.name)
-          });
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error scanning ${dirPath}:`, error.message);
-  }
-
-  return roms;
-}
-
-// Add ROM to database
-async function addRomToDatabase(rom) {
-  try {
-    // Check if game already exists
-    const existing = await prisma.game.findFirst({
-      where: {
-        OR: [
-          { romPath: rom.path },
-          { slug: rom.title.toLowerCase().replace(/[^a-z0-9]+/g, '-') }
-        ]
-      }
-    });
-
-    if (existing) {
-      console.log(`⚠️  Skipping (already exists): ${rom.title}`);
-      return null;
-    }
-
-    // Generate slug
-    const slug = rom.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
-
-    // Create game
-    const game = await prisma.game.create({
-      data: {
-        title: rom.title,
-        slug: slug,
-        system: rom.system,
-        year: null, // Could be detected from filename in future
-        genre: rom.genre,
-        playerCount: 1, // Default, could be detected
-        romPath: rom.path,
-        emulator: getEmulator(rom.system),
-        emulatorCore: null,
-        coverArtUrl: null,
-        description: `Auto-scanned ROM: ${rom.filename}`,
-        isActive: true
-      }
-    });
-
-    console.log(`✅ Added: ${rom.title} (${rom.system.toUpperCase()})`);
-    return game;
-  } catch (error) {
-    console.error(`❌ Error adding ${rom.title}:`, error.message);
-    return null;
-  }
 }
 
 // Main function
 async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      dir: { type: 'string' },
+      dats: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
   console.log('\n╔════════════════════════════════════════════╗');
   console.log('║    ROM Scanner - Auto-Load Games           ║');
   console.log('╚════════════════════════════════════════════╝\n');
 
-  const romsDir = '/home/jak/projects/roms';
+  const config = loadConfig();
+  setLogLevel(config.logLevel);
+  const libraryRoot = path.resolve(config.gamesDir);
+  const romsDir = path.resolve(args.dir || libraryRoot);
 
   if (!fs.existsSync(romsDir)) {
     console.error(`❌ ROM directory not found: ${romsDir}`);
     process.exit(1);
   }
 
+  // ROM paths are stored relative to GAMES_DIR, so scans have to stay inside it
+  let scope;
+  try {
+    scope = toLibraryPath(libraryRoot, romsDir);
+  } catch {
+    console.error(`❌ ${romsDir} is not inside GAMES_DIR (${libraryRoot})`);
+    process.exit(1);
+  }
+
   console.log(`📁 Scanning directory: ${romsDir}\n`);
 
-  // Scan for ROMs
-  const roms = await scanDirectory(romsDir);
+  const { games: roms, warnings } = await scanLibrary(romsDir);
 
-  if (roms.length === 0) {
-    console.log('⚠️  No ROM files found in the directory.');
-    process.exit(0);
+  for (const warning of warnings) {
+    console.log(`⚠️  ${warning}`);
   }
+  if (warnings.length > 0) console.log('');
+
+  console.log(`🎮 Found ${roms.length} game(s)\n`);
 
-  console.log(`🎮 Found ${roms.length} ROM file(s)\n`);
   console.log('📊 System breakdown:');
   const systemCounts = {};
   roms.forEach(rom => {
@@ -224,30 +107,98 @@ async function main() {
   });
   console.log('');
 
-  // Add to database
-  console.log('💾 Adding games to database...\n');
-  let added = 0;
-  let skipped = 0;
+  // Checksums and DAT matching
+  const datDir = args.dats || config.datDir;
+  let dats = null;
+  if (datDir) {
+    dats = await loadDats(datDir);
+    console.log(`📚 Loaded ${dats.entries} DAT entries from ${dats.files} file(s) in ${datDir}`);
+  }
 
-  for (const rom of roms) {
-    const result = await addRomToDatabase(rom);
-    if (result) {
-      added++;
-    } else {
-      skipped++;
-    }
-    // Small delay to avoid overwhelming the database
-    await new Promise(resolve => setTimeout(resolve, 50));
+  console.log('🔢 Hashing ROMs (cached files are skipped)...');
+  const hashCache = await openHashCache(path.join(config.dataDir, 'hash-cache.json'));
+  await identifyRoms(roms, {
+    hashCache,
+    dats,
+    onError: (file, error) => console.log(`⚠️  Cannot hash ${file}: ${error.message}`)
+  });
+  const dryRun = args['dry-run'];
+  if (!dryRun) {
+    // Hashes from folders this run didn't scan are kept
+    await hashCache.save({ scope: romsDir });
   }
 
-  console.log('\n╔════════════════════════════════════════════╗');
-  console.log('║              Scan Complete!                ║');
-  console.log('╚════════════════════════════════════════════╝\n');
-  console.log(`✅ Added: ${added} game(s)`);
-  console.log(`⚠️  Skipped: ${skipped} game(s)`);
-  console.log(`📊 Total processed: ${roms.length} game(s)\n`);
+  if (dats) {
+    const matched = roms.filter(rom => rom.datName).length;
+    console.log(`🏷️  Matched ${matched}/${roms.length} game(s) against DATs`);
+  }
+  console.log('');
+
+  const catalog = await openCatalog({ driver: config.catalogStore, dataDir: config.dataDir, readOnly: dryRun });
+
+  try {
+    const plan = planSync({
+      scanned: roms.map(rom => ({
+        ...rom,
+        path: toLibraryPath(libraryRoot, rom.path),
+        discs: rom.discs.map(disc => toLibraryPath(libraryRoot, disc))
+      })),
+      existing: await catalog.games.list(),
+      root: libraryRoot,
+      scope,
+      slugFor: rom => slugify(rom.title)
+    });
+
+    console.log('📝 Changes:\n');
+    console.log(formatPlan(plan));
+    console.log('');
+
+    if (dryRun) {
+      console.log('🔍 Dry run - nothing was written.\n');
+      return;
+    }
+
+    console.log('💾 Applying changes to catalog...\n');
+    const artwork = createArtworkStore({ dir: config.artworkDir });
+    await artwork.open();
+    const result = await applySync(plan, {
+      games: catalog.games,
+      toGame,
+      importCover: (rom, slug) => artwork.importFile(rom.image, `${slug}-cover`)
+    });
+
+    for (const failure of result.failed) {
+      console.error(`❌ Error syncing ${failure.path}: ${failure.error}`);
+    }
 
-  await prisma.$disconnect();
+    console.log('\n╔════════════════════════════════════════════╗');
+    console.log('║              Scan Complete!                ║');
+    console.log('╚════════════════════════════════════════════╝\n');
+    console.log(`✅ Added: ${result.added} game(s)`);
+    console.log(`🔄 Updated: ${result.updated} game(s)`);
+    console.log(`↺  Reactivated: ${result.reactivated} game(s)`);
+    console.log(`🚫 Deactivated: ${result.deactivated} game(s)`);
+    console.log(`⚠️  Skipped: ${plan.conflicts.length + result.failed.length} game(s)`);
+    console.log(`📊 Total processed: ${roms.length} game(s)\n`);
+
+    const audit = createAuditLog({ file: config.auditLog });
+    await audit.open();
+    await audit.record({
+      actor: { id: 'cli', username: process.env.USER ?? null },
+      action: 'library.scan',
+      target: { type: 'library', id: scope || '.' },
+      details: {
+        found: roms.length,
+        added: result.added,
+        updated: result.updated,
+        reactivated: result.reactivated,
+        deactivated: result.deactivated,
+        skipped: plan.conflicts.length + result.failed.length
+      }
+    });
+  } finally {
+    await catalog.close();
+  }
 }
 
 // Run if called directly
@@ -1,13 +1,13 @@
 /**
- * Seed database with sample games
+ * Seed the game catalog with sample games
  * Run: node scripts/seed.js
  */
 
-import { PrismaClient } from '@prisma/client';
-import dotenv from 'dotenv';
+import { openCatalog } from '../src/catalog/index.js';
+import { loadConfig } from '../src/config.js';
 
-dotenv.config();
-const prisma = new PrismaClient();
+const config = loadConfig();
+const catalog = await openCatalog({ driver: config.catalogStore, dataDir: config.dataDir });
 
 const sampleGames = [
   // NES Games
@@ -18,7 +18,7 @@ const sampleGames = [
     year: 1985,
     genre: 'Platformer',
     playerCount: 2,
-    romPath: '/games/nes/super-mario-bros.nes',
+    romPath: 'nes/super-mario-bros.nes',
     emulator: 'retroarch',
     emulatorCore: 'fceumm',
     description: 'The classic platformer that saved Nintendo. Jump across worlds to rescue Princess Peach!',
@@ -31,7 +31,7 @@ const sampleGames = [
     year: 1986,
     genre: 'Adventure',
     playerCount: 1,
-    romPath: '/games/nes/zelda.nes',
+    romPath: 'nes/zelda.nes',
     emulator: 'retroarch',
     emulatorCore: 'fceumm',
     description: 'Explore dungeons, defeat enemies, and find the Triforce in this iconic adventure.',
@@ -44,7 +44,7 @@ const sampleGames = [
     year: 1986,
     genre: 'Action',
     playerCount: 1,
-    romPath: '/games/nes/metroid.nes',
+    romPath: 'nes/metroid.nes',
     emulator: 'retroarch',
     emulatorCore: 'fceumm',
     description: 'Side-scrolling action-adventure in the spirit of Alien and Indiana Jones.',
@@ -57,7 +57,7 @@ const sampleGames = [
     year: 1988,
     genre: 'Platformer',
     playerCount: 1,
-    romPath: '/games/nes/mega-man-2.nes',
+    romPath: 'nes/mega-man-2.nes',
     emulator: 'retroarch',
     emulatorCore: 'fceumm',
     description: 'The best Mega Man game. Battle Robot Masters and save the world!',
@@ -70,7 +70,7 @@ const sampleGames = [
     year: 1987,
     genre: 'Action',
     playerCount: 2,
-    romPath: '/games/nes/contra.nes',
+    romPath: 'nes/contra.nes',
     emulator: 'retroarch',
     emulatorCore: 'fceumm',
     description: 'Run and gun action. Use the Konami code for 30 lives!',
@@ -85,7 +85,7 @@ const sampleGames = [
     year: 1990,
     genre: 'Platformer',
     playerCount: 2,
-    romPath: '/games/snes/super-mario-world.smc',
+    romPath: 'snes/super-mario-world.smc',
     emulator: 'retroarch',
     emulatorCore: 'snes9x',
     description: 'Mario\'s SNES debut with Yoshi. Explore Dinosaur Land!',
@@ -98,7 +98,7 @@ const sampleGames = [
     year: 1991,
     genre: 'Adventure',
     playerCount: 1,
-    romPath: '/games/snes/zelda-alttp.smc',
+    romPath: 'snes/zelda-alttp.smc',
     emulator: 'retroarch',
     emulatorCore: 'snes9x',
     description: 'One of the greatest games ever made. Save Hyrule from Ganon!',
@@ -111,7 +111,7 @@ const sampleGames = [
     year: 1994,
     genre: 'Action',
     playerCount: 1,
-    romPath: '/games/snes/super-metroid.smc',
+    romPath: 'snes/super-metroid.smc',
     emulator: 'retroarch',
     emulatorCore: 'snes9x',
     description: 'Perfect game design. Explore planet Zebes in this masterpiece.',
@@ -124,7 +124,7 @@ const sampleGames = [
     year: 1992,
     genre: 'Fighting',
     playerCount: 2,
-    romPath: '/games/snes/sf2.zip',
+    romPath: 'snes/sf2.zip',
     emulator: 'retroarch',
     emulatorCore: 'snes9x',
     description: 'The fighting game that started it all. Hadoken!',
@@ -137,7 +137,7 @@ const sampleGames = [
     year: 1992,
     genre: 'Racing',
     playerCount: 2,
-    romPath: '/games/snes/mario-kart.smc',
+    romPath: 'snes/mario-kart.smc',
     emulator: 'retroarch',
     emulatorCore: 'snes9x',
     description: 'Race with Mario and friends! Battle Mode is the best.',
@@ -152,7 +152,7 @@ const sampleGames = [
     year: 1991,
     genre: 'Platformer',
     playerCount: 1,
-    romPath: '/games/genesis/sonic.bin',
+    romPath: 'genesis/sonic.bin',
     emulator: 'retroarch',
     emulatorCore: 'genesis_plus_gx',
     description: 'Speed through Green Hill Zone at breakneck pace!',
@@ -165,7 +165,7 @@ const sampleGames = [
     year: 1992,
     genre: 'Fighting',
     playerCount: 2,
-    romPath: '/games/genesis/sf2ce.bin',
+    romPath: 'genesis/sf2ce.bin',
     emulator: 'retroarch',
     emulatorCore: 'genesis_plus_gx',
     description: 'Fight against all 8 World Warriors!',
@@ -178,7 +178,7 @@ const sampleGames = [
     year: 1992,
     genre: 'Fighting',
     playerCount: 2,
-    romPath: '/games/genesis/mk.bin',
+    romPath: 'genesis/mk.bin',
     emulator: 'retroarch',
     emulatorCore: 'genesis_plus_gx',
     description: 'Finish Him! The controversial fighting game phenomenon.',
@@ -193,7 +193,7 @@ const sampleGames = [
     year: 1996,
     genre: 'Platformer',
     playerCount: 1,
-    romPath: '/games/n64/sm64.z64',
+    romPath: 'n64/sm64.z64',
     emulator: 'retroarch',
     emulatorCore: 'mupen64plus',
     description: 'Mario\'s first 3D adventure. Collect 120 stars!',
@@ -206,7 +206,7 @@ const sampleGames = [
     year: 1998,
     genre: 'Adventure',
     playerCount: 1,
-    romPath: '/games/n64/oot.z64',
+    romPath: 'n64/oot.z64',
     emulator: 'retroarch',
     emulatorCore: 'mupen64plus',
     description: 'Epic Zelda adventure through time. Epona\'s Song!',
@@ -219,7 +219,7 @@ const sampleGames = [
     year: 1997,
     genre: 'Shooter',
     playerCount: 4,
-    romPath: '/games/n64/goldeneye.z64',
+    romPath: 'n64/goldeneye.z64',
     emulator: 'retroarch',
     emulatorCore: 'mupen64plus',
     description: 'Perfect Dark, eh? Classic multiplayer shooter.',
@@ -232,7 +232,7 @@ const sampleGames = [
     year: 1999,
     genre: 'Fighting',
     playerCount: 4,
-    romPath: '/games/n64/smash.z64',
+    romPath: 'n64/smash.z64',
     emulator: 'retroarch',
     emulatorCore: 'mupen64plus',
     description: 'All Nintendo heroes in one place. Nintendo fighting!',
@@ -247,7 +247,7 @@ const sampleGames = [
     year: 2001,
     genre: 'Fighting',
     playerCount: 4,
-    romPath: '/home/jak/projects/roms/gamecube/Mario Party 7 (USA) (Rev 1).rvz',
+    romPath: 'gamecube/Mario Party 7 (USA) (Rev 1).rvz',
     emulator: 'dolphin-emu',
     description: 'The ultimate Nintendo fighter. Fox Only, Final Destination!',
     coverArtUrl: '/artwork/ssbm.jpg'
@@ -259,7 +259,7 @@ const sampleGames = [
     year: 2002,
     genre: 'Adventure',
     playerCount: 1,
-    romPath: '/games/gamecube/wind-waker.iso',
+    romPath: 'gamecube/wind-waker.iso',
     emulator: 'dolphin-emu',
     description: 'Sail the Great Sea in this cel-shaded Zelda adventure.',
     coverArtUrl: '/artwork/wind-waker.jpg'
@@ -271,7 +271,7 @@ const sampleGames = [
     year: 2003,
     genre: 'Racing',
     playerCount: 4,
-    romPath: '/games/gamecube/mkdd.iso',
+    romPath: 'gamecube/mkdd.iso',
     emulator: 'dolphin-emu',
     description: 'Two characters per kart. Unique items and characters!',
     coverArtUrl: '/artwork/mkdd.jpg'
@@ -285,7 +285,7 @@ const sampleGames = [
     year: 1997,
     genre: 'RPG',
     playerCount: 1,
-    romPath: '/games/psx/ff7.bin',
+    romPath: 'psx/ff7.bin',
     emulator: 'retroarch',
     emulatorCore: 'pcsx_rearmed',
     description: 'Cloud and Sephiroth\'s epic journey. Materia system!',
@@ -298,7 +298,7 @@ const sampleGames = [
     year: 1998,
     genre: 'Stealth',
     playerCount: 1,
-    romPath: '/games/psx/mgs.bin',
+    romPath: 'psx/mgs.bin',
     emulator: 'retroarch',
     emulatorCore: 'pcsx_rearmed',
     description: 'Snake infiltrates Shadow Moses Island. Tatics!',
@@ -311,7 +311,7 @@ const sampleGames = [
     year: 1997,
     genre: 'Fighting',
     playerCount: 2,
-    romPath: '/games/psx/tekken3.bin',
+    romPath: 'psx/tekken3.bin',
     emulator: 'retroarch',
     emulatorCore: 'pcsx_rearmed',
     description: '3D fighting at its best. King of Iron Fist Tournament!',
@@ -320,35 +320,33 @@ const sampleGames = [
 ];
 
 async function main() {
-  console.log('🌱 Seeding database with sample games...');
+  console.log('🌱 Seeding catalog with sample games...');
 
   try {
-    // Check if games already exist
-    const existingCount = await prisma.game.count();
-    if (existingCount > 0) {
-      console.log(`ℹ️  Database already has ${existingCount} games. Skipping seed.`);
-      return;
-    }
+    let added = 0;
 
-    // Create games
+    // Seed is re-runnable: only games whose slug isn't taken are added
     for (const game of sampleGames) {
-      await prisma.game.create({
-        data: game
-      });
+      if (await catalog.games.findBySlug(game.slug)) {
+        console.log(`ℹ️  Already in catalog: ${game.title}`);
+        continue;
+      }
+      await catalog.games.create(game);
+      added++;
       console.log(`✅ Added: ${game.title} (${game.system.toUpperCase()})`);
     }
 
-    console.log(`\n🎉 Successfully seeded ${sampleGames.length} games!`);
+    console.log(`\n🎉 Successfully seeded ${added} games!`);
     console.log('\nNext steps:');
-    console.log('1. Copy ROMs to /home/jak/projects/games/');
-    console.log('2. Update romPath in database if needed');
+    console.log(`1. Copy ROMs into GAMES_DIR (${config.gamesDir}) - romPath is relative to it, e.g. nes/zelda.nes`);
+    console.log('2. Check GET /api/admin/roms for anything missing');
     console.log('3. Start the server: npm start');
     console.log('4. Visit https://platium.vip/games');
   } catch (error) {
-    console.error('❌ Error seeding database:', error);
+    console.error('❌ Error seeding catalog:', error);
     throw error;
   } finally {
-    await prisma.$disconnect();
+    await catalog.close();
   }
 }
 
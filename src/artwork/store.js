@@ -0,0 +1,138 @@
+/**
+ * Artwork storage
+ * Originals live in <dir>/originals and are served as /artwork/<file>.
+ * Resized variants are generated on first request and cached in <dir>/cache;
+ * concurrent requests for the same missing thumbnail share one render.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { HttpError } from '../errors.js';
+
+// Named thumbnail sizes used by the frontend
+export const SIZES = {
+  grid: { width: 300, height: 400, fit: 'cover' },
+  detail: { width: 600, height: 800, fit: 'inside' },
+  banner: { width: 1280, height: 400, fit: 'cover' }
+};
+
+// Own keys only, so 'constructor' or '__proto__' from a query string isn't a size
+export const isSize = (size) => typeof size === 'string' && Object.hasOwn(SIZES, size);
+
+const FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+const FILE_PATTERN = /^[a-z0-9][a-z0-9._-]*\.(jpg|png|webp|gif)$/i;
+
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+export function createArtworkStore({ dir }) {
+  const originals = path.join(dir, 'originals');
+  const cache = path.join(dir, 'cache');
+  // thumbnail path -> render in progress
+  const rendering = new Map();
+
+  // Only plain file names are accepted, so nothing outside originals/ is reachable
+  function originalPath(file) {
+    if (!FILE_PATTERN.test(file)) return null;
+    return path.join(originals, file);
+  }
+
+  // The original's stats and its thumbnail's, which are null when missing or stale
+  async function thumbnailState(file, size) {
+    const source = originalPath(file);
+    const sourceStats = source && await fs.promises.stat(source).catch(() => null);
+    if (!sourceStats || !isSize(size)) return null;
+
+    const target = path.join(cache, size, `${file}.webp`);
+    const stats = await fs.promises.stat(target).catch(() => null);
+    return { source, target, stats: stats && stats.mtimeMs >= sourceStats.mtimeMs ? stats : null };
+  }
+
+  async function render(source, target, size) {
+    const { width, height, fit } = SIZES[size];
+    // Render to a temp file so concurrent requests never serve a partial image
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await sharp(source)
+      .resize({ width, height, fit, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(tmp);
+    await fs.promises.rename(tmp, target);
+  }
+
+  async function detectFormat(buffer) {
+    try {
+      const { format } = await sharp(buffer).metadata();
+      return FORMATS[format] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    async open() {
+      await fs.promises.mkdir(originals, { recursive: true });
+      await fs.promises.mkdir(cache, { recursive: true });
+    },
+
+    /**
+     * Store an image under `<baseName>.<ext>` (extension from the actual
+     * format) and return its public URL. Replaces an existing image of the
+     * same name and drops its cached thumbnails.
+     */
+    async save(baseName, buffer) {
+      const ext = await detectFormat(buffer);
+      if (!ext) {
+        throw new HttpError(415, 'Unsupported image format (use JPEG, PNG, WebP or GIF)');
+      }
+
+      const file = `${baseName}.${ext}`;
+      const target = originalPath(file);
+      if (!target) {
+        throw new HttpError(400, `Invalid artwork name: ${baseName}`);
+      }
+
+      await fs.promises.writeFile(target, buffer);
+      for (const size of Object.keys(SIZES)) {
+        await fs.promises.rm(path.join(cache, size, `${file}.webp`), { force: true });
+      }
+      return `/artwork/${file}`;
+    },
+
+    async importFile(source, baseName) {
+      return this.save(baseName, await fs.promises.readFile(source));
+    },
+
+    // Whether serving `file` at `size` means rendering a thumbnail first
+    async needsRender(file, size) {
+      const state = await thumbnailState(file, size);
+      return Boolean(state) && !state.stats;
+    },
+
+    /**
+     * Path and stats of the file to serve for `file` at `size` (or the
+     * original when size is omitted). Thumbnails are regenerated when the
+     * original is newer. Returns null when the image doesn't exist.
+     */
+    async resolve(file, size) {
+      if (!size) {
+        const source = originalPath(file);
+        const stats = source && await fs.promises.stat(source).catch(() => null);
+        return stats ? { path: source, stats } : null;
+      }
+
+      const state = await thumbnailState(file, size);
+      if (!state) return null;
+      if (state.stats) {
+        return { path: state.target, stats: state.stats };
+      }
+
+      if (!rendering.has(state.target)) {
+        rendering.set(state.target, render(state.source, state.target, size)
+          .finally(() => rendering.delete(state.target)));
+      }
+      await rendering.get(state.target);
+      return { path: state.target, stats: await fs.promises.stat(state.target) };
+    }
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Audit log
+ * Append-only record of admin actions, one JSON object per line:
+ *   { id, at, actor: { id, username }, action, target: { type, id }, details, requestId }
+ *
+ * Entries are only ever appended, so the CLI scripts can write to the same
+ * file as a running server. Queries read the file back; with no file
+ * configured entries are kept in memory.
+ *
+ * Actions are dotted, `<area>.<verb>`: game.create, game.update,
+ * game.delete, game.artwork, session.end, review.moderate, queue.move,
+ * queue.remove, user.session-limit, library.scan.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import { currentContext } from '../context.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'audit' });
+
+// { id, username } of a request's user
+export const actorOf = (user) => ({ id: user.id, username: user.username ?? null });
+
+// `game` matches game.create, game.update, ...; `game.update` only itself
+const matchesAction = (action, filter) => action === filter || action.startsWith(`${filter}.`);
+
+export function createAuditLog({ file = null } = {}) {
+  const memory = [];
+  // Appends are chained so entries land in the order they were recorded
+  let writing = Promise.resolve();
+
+  async function* entries() {
+    if (!file) {
+      yield* memory;
+      return;
+    }
+
+    let lines;
+    try {
+      lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          yield JSON.parse(line);
+        } catch {
+          // A line cut short by a crash - skip it
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    } finally {
+      lines?.close();
+    }
+  }
+
+  return {
+    async open() {
+      if (file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      }
+    },
+
+    /**
+     * Append an entry. Failing to write is logged, not thrown - the action
+     * it describes has already happened.
+     */
+    async record({ actor, action, target = null, details = null }) {
+      const entry = {
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        actor,
+        action,
+        target,
+        details,
+        requestId: currentContext().requestId ?? null
+      };
+
+      if (!file) {
+        memory.push(entry);
+        return entry;
+      }
+
+      writing = writing
+        .then(() => fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`))
+        .catch(error => log.error('Failed to write audit entry', { action, err: error }));
+      await writing;
+      return entry;
+    },
+
+    // Newest first. Filters: actor (user id), action (exact or area prefix), since/until (Dates)
+    async query({ actor, action, since, until, page = 1, limit = 20 } = {}) {
+      const matches = [];
+      for await (const entry of entries()) {
+        if (actor && entry.actor?.id !== actor) continue;
+        if (action && !matchesAction(entry.action, action)) continue;
+        const at = new Date(entry.at);
+        if (since && at < since) continue;
+        if (until && at > until) continue;
+        matches.push(entry);
+      }
+      matches.reverse();
+
+      const start = (page - 1) * limit;
+      return {
+        entries: matches.slice(start, start + limit),
+        pagination: { page, limit, total: matches.length, totalPages: Math.ceil(matches.length / limit) }
+      };
+    }
+  };
+}
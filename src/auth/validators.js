@@ -0,0 +1,93 @@
+/**
+ * Token validators
+ *
+ * validate(token) -> Promise<user | null>
+ *   user = { id, username, roles: [] }
+ *   null means the token is invalid. Throws if the token couldn't be checked
+ *   (validation service down or slow).
+ */
+
+import { createHash } from 'crypto';
+
+const MAX_CACHE_ENTRIES = 10000;
+
+// Platium answers with either `role` or `roles`; normalize to an array
+function normalizeUser(data) {
+  const user = data?.user ?? data;
+  if (!user || user.id === undefined || user.id === null) return null;
+
+  const roles = Array.isArray(user.roles) ? user.roles : user.role ? [user.role] : [];
+  return {
+    id: String(user.id),
+    username: user.username ?? user.name ?? null,
+    roles
+  };
+}
+
+/**
+ * Validates tokens against the Platium main site. Both valid and invalid
+ * answers are cached (invalid ones for less time) so a page full of requests
+ * costs one round trip.
+ */
+export function createRemoteValidator({
+  baseUrl,
+  path = '/api/auth/validate',
+  timeout = 3000,
+  cacheTtl = 60000,
+  negativeCacheTtl = 10000
+}) {
+  const url = new URL(path, baseUrl).toString();
+  // sha256(token) -> { user, expiresAt }
+  const cache = new Map();
+
+  const keyFor = (token) => createHash('sha256').update(token).digest('hex');
+
+  function remember(key, user) {
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+      // Maps iterate in insertion order, so this drops the oldest entry
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { user, expiresAt: Date.now() + (user ? cacheTtl : negativeCacheTtl) });
+  }
+
+  return {
+    async validate(token) {
+      const key = keyFor(token);
+      const cached = cache.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.user;
+      }
+      cache.delete(key);
+
+      const response = await fetch(url, {
+        headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (response.status === 401 || response.status === 403) {
+        remember(key, null);
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Token validation failed with HTTP ${response.status}`);
+      }
+
+      const body = await response.json();
+      const user = body?.valid === false ? null : normalizeUser(body);
+      remember(key, user);
+      return user;
+    }
+  };
+}
+
+/**
+ * Offline validator for development and tests.
+ * `tokens` maps token -> user, e.g. { 'dev-admin': { id: '1', roles: ['admin'] } }
+ */
+export function createFakeValidator({ tokens = {} } = {}) {
+  return {
+    async validate(token) {
+      return Object.hasOwn(tokens, token) ? normalizeUser(tokens[token]) : null;
+    }
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Games loaded into an empty catalog on first start
+ */
+
+export const defaultGames = [
+  {
+    id: '57216f4d-158c-446e-96d3-c28b7ea34354',
+    title: 'Mario Party 7',
+    slug: 'mario-party-7',
+    system: 'gamecube',
+    year: 2001,
+    genre: 'Party',
+    playerCount: 4,
+    romPath: 'gamecube/Mario Party 7 (USA) (Rev 1).rvz',
+    emulator: 'dolphin-emu',
+    emulatorCore: null,
+    coverArtUrl: null,
+    screenshotUrls: [],
+    description: 'Party with Mario and friends! 8 players, 90+ minigames, and classic Mario fun. Your legally obtained ROM.',
+    rating: null,
+    playCount: 0,
+    isActive: true,
+    createdAt: '2025-11-10T02:11:35.984Z',
+    updatedAt: '2025-11-10T02:11:35.984Z',
+    sessions: []
+  }
+];
@@ -0,0 +1,116 @@
+/**
+ * Game catalog repository
+ * Wraps the document store so routes and scripts share one view of the catalog
+ */
+
+import { randomUUID } from 'crypto';
+
+const COLLECTION = 'games';
+
+// Why a game has isActive: false (`deactivatedReason`)
+export const DEACTIVATED_BY_ADMIN = 'admin';
+export const DEACTIVATED_MISSING_FILE = 'missing-file';
+
+// Same slug rules the ROM scanner has always used
+export function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export function createGameRepository(store) {
+  return {
+    list() {
+      return store.all(COLLECTION);
+    },
+
+    findById(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    async findBySlug(slug) {
+      const games = await store.all(COLLECTION);
+      return games.find(g => g.slug === slug) || null;
+    },
+
+    async findByRomPath(romPath) {
+      const games = await store.all(COLLECTION);
+      return games.find(g => g.romPath === romPath) || null;
+    },
+
+    async count() {
+      return (await store.all(COLLECTION)).length;
+    },
+
+    create(data) {
+      const now = new Date().toISOString();
+      const game = {
+        id: data.id || randomUUID(),
+        title: data.title,
+        slug: data.slug || slugify(data.title),
+        system: data.system,
+        year: data.year ?? null,
+        genre: data.genre ?? null,
+        playerCount: data.playerCount ?? 1,
+        romPath: data.romPath ?? null,
+        romSize: data.romSize ?? null,
+        romModifiedAt: data.romModifiedAt ?? null,
+        discs: data.discs ?? [],
+        checksums: data.checksums ?? null,
+        region: data.region ?? null,
+        revision: data.revision ?? null,
+        emulator: data.emulator ?? null,
+        emulatorCore: data.emulatorCore ?? null,
+        coverArtUrl: data.coverArtUrl ?? null,
+        screenshotUrls: data.screenshotUrls ?? [],
+        description: data.description ?? null,
+        rating: data.rating ?? null,
+        ratingCount: data.ratingCount ?? 0,
+        playCount: data.playCount ?? 0,
+        isActive: data.isActive ?? true,
+        deactivatedReason: data.isActive === false ? (data.deactivatedReason ?? DEACTIVATED_BY_ADMIN) : null,
+        createdAt: data.createdAt || now,
+        updatedAt: data.updatedAt || now,
+        sessions: data.sessions ?? []
+      };
+      return store.put(COLLECTION, game);
+    },
+
+    // Switching isActive records why: scans pass DEACTIVATED_MISSING_FILE,
+    // anything else counts as an admin's decision
+    update(id, changes) {
+      const reason = 'isActive' in changes
+        ? { deactivatedReason: changes.isActive ? null : (changes.deactivatedReason ?? DEACTIVATED_BY_ADMIN) }
+        : {};
+      return store.update(COLLECTION, id, (game) => game && {
+        ...game,
+        ...changes,
+        ...reason,
+        id,
+        updatedAt: new Date().toISOString()
+      });
+    },
+
+    // Play counts aren't an edit, so updatedAt is left alone
+    incrementPlayCount(id) {
+      return store.update(COLLECTION, id, (game) => game && {
+        ...game,
+        playCount: (game.playCount || 0) + 1
+      });
+    },
+
+    // Aggregate from the reviews repository - not an edit either
+    setRating(id, { average, count }) {
+      return store.update(COLLECTION, id, (game) => game && {
+        ...game,
+        rating: average,
+        ratingCount: count
+      });
+    },
+
+    remove(id) {
+      return store.delete(COLLECTION, id);
+    }
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Catalog entry point
+ * Opens the configured store and hands back the repositories built on it.
+ * Used by the server and by the seed/scan scripts so they all see the same data.
+ */
+
+import { createStore } from '../store/index.js';
+import { createGameRepository } from './games.js';
+import { createUserRepository } from './users.js';
+import { createReviewRepository } from './reviews.js';
+import { defaultGames } from './defaults.js';
+
+export async function openCatalog({
+  driver = 'json',
+  dataDir = './data',
+  seedDefaults = false,
+  // Reads only, e.g. for a scan's dry run
+  readOnly = false
+} = {}) {
+  const store = await createStore({ driver, dataDir, readOnly });
+  const games = createGameRepository(store);
+  const users = createUserRepository(store);
+  const reviews = createReviewRepository(store, { games });
+
+  if (seedDefaults && await games.count() === 0) {
+    for (const game of defaultGames) {
+      await games.create(game);
+    }
+  }
+
+  return {
+    store,
+    games,
+    users,
+    reviews,
+    close: () => store.close()
+  };
+}
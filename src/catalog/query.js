@@ -0,0 +1,208 @@
+/**
+ * Catalog queries
+ * Validates listing query strings and runs filtering, typo-tolerant search,
+ * sorting, paging and facet counts over the game list.
+ */
+
+export const MAX_LIMIT = 100;
+export const SORT_FIELDS = ['title', 'year', 'playCount', 'rating', 'createdAt'];
+
+const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+function intParam(query, name, { min, max, errors }) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min || (max !== undefined && value > max)) {
+    errors.push(`${name} must be an integer${max !== undefined ? ` between ${min} and ${max}` : ` >= ${min}`}`);
+    return undefined;
+  }
+  return value;
+}
+
+// page/limit shared by every paged listing
+export function parsePaging(query, errors) {
+  return {
+    page: intParam(query, 'page', { min: 1, errors }) ?? 1,
+    limit: intParam(query, 'limit', { min: 1, max: MAX_LIMIT, errors }) ?? 20
+  };
+}
+
+// Express parses ?search[a]=b into an object; only strings, or repeated
+// strings, are accepted and anything else is reported and dropped
+function flattenQuery(query, errors) {
+  const flat = {};
+  for (const [name, value] of Object.entries(query)) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.every(v => typeof v === 'string')) {
+      flat[name] = values.join(',');
+    } else {
+      errors.push(`${name} must be a string`);
+    }
+  }
+  return flat;
+}
+
+/**
+ * Parse req.query into query options. Returns { options, errors }.
+ * Repeated parameters (?genre=a&genre=b) are treated like comma lists.
+ */
+export function parseGameQuery(query) {
+  const errors = [];
+  const flat = flattenQuery(query, errors);
+
+  const options = {
+    ...parsePaging(flat, errors),
+    yearFrom: intParam(flat, 'yearFrom', { min: 1970, max: 2100, errors }),
+    yearTo: intParam(flat, 'yearTo', { min: 1970, max: 2100, errors }),
+    minPlayers: intParam(flat, 'minPlayers', { min: 1, max: 8, errors }),
+    systems: flat.system ? list(flat.system) : [],
+    genres: flat.genre ? list(flat.genre).map(g => g.toLowerCase()) : [],
+    emulators: flat.emulator ? list(flat.emulator) : [],
+    search: flat.search?.trim() || null,
+    sort: flat.sort || null,
+    order: flat.order || null
+  };
+
+  if (options.sort && !SORT_FIELDS.includes(options.sort)) {
+    errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (options.order && !['asc', 'desc'].includes(options.order)) {
+    errors.push('order must be asc or desc');
+  }
+  if (options.search && options.search.length > 100) {
+    errors.push('search must be at most 100 characters');
+  }
+  if (options.yearFrom && options.yearTo && options.yearFrom > options.yearTo) {
+    errors.push('yearFrom must not be after yearTo');
+  }
+
+  return { options, errors };
+}
+
+// Levenshtein distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Accents are dropped, not split off: "Pokémon" is one word, "pokemon"
+const words = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// How well one search term matches a list of words (0 = not at all)
+function termScore(term, fieldWords) {
+  let best = 0;
+  const allowed = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+  for (const word of fieldWords) {
+    if (word === term) return 3;
+    if (word.startsWith(term)) best = Math.max(best, 2);
+    else if (term.length >= 3 && word.includes(term)) best = Math.max(best, 1.5);
+    else if (allowed && editDistance(term, word, allowed) <= allowed) best = Math.max(best, 1);
+  }
+  return best;
+}
+
+/**
+ * Relevance of a game for the search terms; every term has to match the
+ * title, genre or description somewhere. Title matches weigh the most.
+ */
+function searchScore(game, terms) {
+  const title = words(game.title);
+  const genre = words(game.genre);
+  const description = words(game.description);
+  let total = 0;
+
+  for (const term of terms) {
+    const score = Math.max(termScore(term, title) * 2, termScore(term, genre), termScore(term, description) * 0.5);
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total;
+}
+
+function compareBy(field, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  return (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    // Missing values always sort last
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    if (typeof x === 'string') return x.localeCompare(y, undefined, { sensitivity: 'base' }) * direction;
+    return (x - y) * direction;
+  };
+}
+
+const countBy = (games, key) => {
+  const counts = {};
+  for (const game of games) {
+    const value = key(game);
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+};
+
+export function queryGames(allGames, options) {
+  const filters = {
+    system: (g) => options.systems.length === 0 || options.systems.includes(g.system),
+    genre: (g) => options.genres.length === 0 || options.genres.includes(g.genre?.toLowerCase()),
+    other: (g) =>
+      (options.emulators.length === 0 || options.emulators.includes(g.emulator)) &&
+      (options.yearFrom === undefined || (g.year && g.year >= options.yearFrom)) &&
+      (options.yearTo === undefined || (g.year && g.year <= options.yearTo)) &&
+      (options.minPlayers === undefined || g.playerCount >= options.minPlayers)
+  };
+
+  // Search first so facets reflect what the user typed; a search with no
+  // words in it (only punctuation) filters nothing
+  const terms = words(options.search);
+  let candidates = allGames;
+  const scores = new Map();
+  if (terms.length > 0) {
+    candidates = allGames.filter((game) => {
+      const score = searchScore(game, terms);
+      if (score > 0) scores.set(game.id, score);
+      return score > 0;
+    });
+  }
+
+  // Each facet counts games matching every filter except its own
+  const facets = {
+    systems: countBy(candidates.filter(g => filters.genre(g) && filters.other(g)), g => g.system),
+    genres: countBy(candidates.filter(g => filters.system(g) && filters.other(g)), g => g.genre)
+  };
+
+  const matched = candidates.filter(g => filters.system(g) && filters.genre(g) && filters.other(g));
+
+  if (options.sort) {
+    const defaultOrder = options.sort === 'title' ? 'asc' : 'desc';
+    matched.sort(compareBy(options.sort, options.order || defaultOrder));
+  } else if (terms.length > 0) {
+    matched.sort((a, b) => scores.get(b.id) - scores.get(a.id) || compareBy('title', 'asc')(a, b));
+  } else {
+    matched.sort(compareBy('title', options.order || 'asc'));
+  }
+
+  const start = (options.page - 1) * options.limit;
+  return {
+    games: matched.slice(start, start + options.limit),
+    total: matched.length,
+    facets
+  };
+}
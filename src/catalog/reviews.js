@@ -0,0 +1,121 @@
+/**
+ * Ratings and reviews repository
+ * One rating per user per game, with an optional text review. Every change
+ * recomputes the game's `rating` (average score) and `ratingCount`.
+ * Hidden reviews are left out of both.
+ */
+
+import { randomUUID } from 'crypto';
+
+const COLLECTION = 'reviews';
+
+// Average, count and per-score distribution of the visible ratings
+export function summarize(reviews) {
+  const visible = reviews.filter(r => !r.hidden);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+
+  for (const review of visible) {
+    distribution[review.score]++;
+    total += review.score;
+  }
+
+  return {
+    average: visible.length > 0 ? Math.round((total / visible.length) * 100) / 100 : null,
+    count: visible.length,
+    distribution
+  };
+}
+
+export function createReviewRepository(store, { games }) {
+  // Changes to one game's reviews run one at a time so the aggregate
+  // is always computed from the latest set
+  const queues = new Map();
+
+  function forGame(gameId, fn) {
+    const previous = queues.get(gameId) || Promise.resolve();
+    const run = previous.then(fn);
+    const tail = run.catch(() => {});
+    queues.set(gameId, tail);
+    tail.then(() => {
+      if (queues.get(gameId) === tail) queues.delete(gameId);
+    });
+    return run;
+  }
+
+  async function listForGame(gameId) {
+    return (await store.all(COLLECTION)).filter(r => r.gameId === gameId);
+  }
+
+  async function refreshRating(gameId) {
+    const summary = summarize(await listForGame(gameId));
+    await games.setRating(gameId, { average: summary.average, count: summary.count });
+    return summary;
+  }
+
+  return {
+    listForGame,
+
+    async list() {
+      return store.all(COLLECTION);
+    },
+
+    get(id) {
+      return store.get(COLLECTION, id);
+    },
+
+    /**
+     * Create or edit the user's rating for a game. Leaving `review` undefined
+     * keeps the existing text; null clears it. Returns { review, created, summary }.
+     */
+    rate(gameId, user, { score, review }) {
+      return forGame(gameId, async () => {
+        const existing = (await listForGame(gameId)).find(r => r.userId === user.id);
+        const now = new Date().toISOString();
+
+        const saved = await store.put(COLLECTION, existing
+          ? {
+              ...existing,
+              username: user.username,
+              score,
+              review: review === undefined ? existing.review : review,
+              updatedAt: now
+            }
+          : {
+              id: randomUUID(),
+              gameId,
+              userId: user.id,
+              username: user.username,
+              score,
+              review: review ?? null,
+              hidden: false,
+              hiddenReason: null,
+              hiddenBy: null,
+              hiddenAt: null,
+              createdAt: now,
+              updatedAt: now
+            });
+
+        return { review: saved, created: !existing, summary: await refreshRating(gameId) };
+      });
+    },
+
+    // Moderation - hide or restore a review
+    async setHidden(id, hidden, { reason = null, by = null } = {}) {
+      const review = await store.get(COLLECTION, id);
+      if (!review) return null;
+
+      return forGame(review.gameId, async () => {
+        const updated = await store.update(COLLECTION, id, (current) => current && {
+          ...current,
+          hidden,
+          hiddenReason: hidden ? reason : null,
+          hiddenBy: hidden ? by : null,
+          hiddenAt: hidden ? new Date().toISOString() : null
+        });
+        if (updated) await refreshRating(review.gameId);
+        return updated;
+      });
+    }
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Game serializers
+ * What the API returns for a game. Public responses are a whitelist, so new
+ * internal fields stay private by default; admins get everything except
+ * bookkeeping that has no meaning outside the store.
+ */
+
+import { hasRole } from '../middleware/auth.js';
+
+const PUBLIC_FIELDS = [
+  'id', 'title', 'slug', 'system', 'year', 'genre', 'playerCount',
+  'region', 'revision', 'emulator', 'emulatorCore',
+  'coverArtUrl', 'screenshotUrls', 'description',
+  'rating', 'ratingCount', 'playCount', 'isActive', 'createdAt', 'updatedAt'
+];
+
+const INTERNAL_FIELDS = ['sessions'];
+
+export function publicGame(game) {
+  return Object.fromEntries(PUBLIC_FIELDS.filter(field => field in game).map(field => [field, game[field]]));
+}
+
+// Includes the library-relative romPath, file size, discs and checksums
+export function adminGame(game) {
+  const result = { ...game };
+  for (const field of INTERNAL_FIELDS) delete result[field];
+  return result;
+}
+
+// Pick the serializer for whoever is asking
+export const gameSerializerFor = (user) => (hasRole(user, 'admin') ? adminGame : publicGame);
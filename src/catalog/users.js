@@ -0,0 +1,72 @@
+/**
+ * User profile repository
+ * Per-user state keyed by the Platium user id: favorites, recently played
+ * sessions, total playtime per game and the admin-set session limit.
+ */
+
+const COLLECTION = 'users';
+const MAX_RECENT = 50;
+
+function emptyProfile(id) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    username: null,
+    favorites: [],
+    recent: [],
+    playtime: {},
+    // Concurrent session limit set by an admin; null means the server default
+    sessionLimit: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+export function createUserRepository(store) {
+  // Apply fn to the user's profile, creating it on first use
+  const mutate = (id, fn) => store.update(COLLECTION, id, (profile) => ({
+    ...fn(profile || emptyProfile(id)),
+    updatedAt: new Date().toISOString()
+  }));
+
+  return {
+    async get(id) {
+      return (await store.get(COLLECTION, id)) || emptyProfile(id);
+    },
+
+    // Keep the cached username in step with the token
+    async ensure(user) {
+      const existing = await store.get(COLLECTION, user.id);
+      if (existing && existing.username === user.username) return existing;
+      return mutate(user.id, profile => ({ ...profile, username: user.username }));
+    },
+
+    setFavorites(id, gameIds) {
+      return mutate(id, profile => ({ ...profile, favorites: [...new Set(gameIds)] }));
+    },
+
+    setSessionLimit(id, limit) {
+      return mutate(id, profile => ({ ...profile, sessionLimit: limit }));
+    },
+
+    /**
+     * Record a finished session: newest first in `recent`, and its duration
+     * added to the game's playtime.
+     */
+    recordPlay(id, { gameId, sessionId, startedAt, endedAt }) {
+      const durationSeconds = Math.max(0, Math.round((Date.parse(endedAt) - Date.parse(startedAt)) / 1000));
+
+      return mutate(id, profile => ({
+        ...profile,
+        recent: [
+          { gameId, sessionId, startedAt, endedAt, durationSeconds },
+          ...profile.recent.filter(entry => entry.sessionId !== sessionId)
+        ].slice(0, MAX_RECENT),
+        playtime: {
+          ...profile.playtime,
+          [gameId]: (profile.playtime[gameId] || 0) + durationSeconds
+        }
+      }));
+    }
+  };
+}
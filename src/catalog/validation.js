@@ -0,0 +1,115 @@
+/**
+ * Game payload validation for the admin API
+ * Returns a list of human readable errors; an empty list means the payload is valid.
+ */
+
+import { SYSTEM_IDS, getPlatform } from '../platforms.js';
+import { isSafeLibraryPath } from '../library/paths.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isString = (value) => typeof value === 'string';
+const nullable = (check) => (value) => value === null || check(value);
+
+const rules = {
+  title: {
+    check: (v) => isString(v) && v.trim().length > 0 && v.length <= 200,
+    message: 'must be a non-empty string of at most 200 characters'
+  },
+  slug: {
+    check: (v) => isString(v) && SLUG_PATTERN.test(v),
+    message: 'must contain only lowercase letters, digits and single dashes'
+  },
+  system: {
+    check: (v) => SYSTEM_IDS.includes(v),
+    message: `must be one of: ${SYSTEM_IDS.join(', ')}`
+  },
+  year: {
+    check: nullable((v) => Number.isInteger(v) && v >= 1970 && v <= new Date().getFullYear() + 1),
+    message: 'must be a four digit year or null'
+  },
+  genre: {
+    check: nullable((v) => isString(v) && v.length <= 50),
+    message: 'must be a string of at most 50 characters or null'
+  },
+  playerCount: {
+    check: (v) => Number.isInteger(v) && v > 0 && v <= 8,
+    message: 'must be a positive integer (max 8)'
+  },
+  romPath: {
+    check: nullable(isSafeLibraryPath),
+    message: 'must be a path relative to GAMES_DIR (forward slashes, no "..") or null'
+  },
+  emulator: {
+    check: nullable((v) => isString(v) && v.length > 0),
+    message: 'must be a non-empty string or null'
+  },
+  emulatorCore: {
+    check: nullable((v) => isString(v) && v.length > 0),
+    message: 'must be a non-empty string or null'
+  },
+  coverArtUrl: {
+    check: nullable(isString),
+    message: 'must be a string or null'
+  },
+  screenshotUrls: {
+    check: (v) => Array.isArray(v) && v.every(isString),
+    message: 'must be an array of strings'
+  },
+  description: {
+    check: nullable((v) => isString(v) && v.length <= 5000),
+    message: 'must be a string of at most 5000 characters or null'
+  },
+  region: {
+    check: nullable((v) => isString(v) && v.length <= 50),
+    message: 'must be a string of at most 50 characters or null'
+  },
+  revision: {
+    check: nullable((v) => isString(v) && v.length <= 20),
+    message: 'must be a string of at most 20 characters or null'
+  },
+  isActive: {
+    check: (v) => typeof v === 'boolean',
+    message: 'must be a boolean'
+  }
+};
+
+// Required when creating a game; everything else has a default
+const REQUIRED = ['title', 'system'];
+
+/**
+ * `current` is the stored game when validating a partial update, so
+ * cross-field rules see the merged result.
+ */
+export function validateGame(payload, { partial = false, current = null } = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['body must be a JSON object'];
+  }
+
+  const errors = [];
+
+  for (const field of Object.keys(payload)) {
+    if (!rules[field]) {
+      errors.push(`${field} is not an editable field`);
+    } else if (!rules[field].check(payload[field])) {
+      errors.push(`${field} ${rules[field].message}`);
+    }
+  }
+
+  if (!partial) {
+    for (const field of REQUIRED) {
+      if (payload[field] === undefined) {
+        errors.push(`${field} is required`);
+      }
+    }
+  }
+
+  // A game can't need more controllers than its system has ports for
+  const merged = { ...current, ...payload };
+  const platform = getPlatform(merged.system);
+  if (errors.length === 0 && platform && merged.playerCount > platform.maxControllers) {
+    errors.push(`playerCount must be at most ${platform.maxControllers} for ${platform.name}`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,210 @@
+/**
+ * Server configuration
+ * Every environment variable the server reads is parsed and validated here,
+ * once, at startup. Invalid values are collected and reported together so a
+ * bad deploy fails immediately with one clear message.
+ */
+
+import os from 'os';
+import path from 'path';
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parsers return the typed value or throw with a message describing what's expected
+const types = {
+  string: () => (raw) => raw,
+
+  int: ({ min = -Infinity, max = Infinity } = {}) => (raw) => {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+      throw new Error(`must be an integer ${range}`);
+    }
+    return value;
+  },
+
+  oneOf: (choices) => (raw) => {
+    if (!choices.includes(raw)) {
+      throw new Error(`must be one of: ${choices.join(', ')}`);
+    }
+    return raw;
+  },
+
+  url: () => (raw) => {
+    try {
+      return new URL(raw).toString().replace(/\/$/, '');
+    } catch {
+      throw new Error('must be an absolute URL');
+    }
+  },
+
+  json: () => (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new Error('must be valid JSON');
+    }
+  },
+
+  // JSON array of RTCIceServer objects ({ urls, username?, credential? })
+  iceServers: () => (raw) => {
+    let servers;
+    try {
+      servers = JSON.parse(raw);
+    } catch {
+      throw new Error('must be a JSON array of ICE servers');
+    }
+    const valid = Array.isArray(servers) && servers.every(s =>
+      s && (typeof s.urls === 'string' || (Array.isArray(s.urls) && s.urls.every(u => typeof u === 'string'))));
+    if (!valid) {
+      throw new Error('must be a JSON array of { "urls": ... } objects');
+    }
+    return servers;
+  },
+
+  // Token bucket as `<requests>/<seconds>`: bursts of up to <requests>, refilled
+  // evenly over <seconds>. `off` disables the limit.
+  rate: () => (raw) => {
+    if (raw === 'off') return null;
+    const match = /^(\d+)\/(\d+(?:\.\d+)?)$/.exec(raw);
+    if (!match || Number(match[1]) < 1 || Number(match[2]) <= 0) {
+      throw new Error('must be <requests>/<seconds> (e.g. 100/60) or off');
+    }
+    const capacity = Number(match[1]);
+    return { capacity, refillPerSecond: capacity / Number(match[2]) };
+  },
+
+  // Comma separated values
+  list: () => (raw) => raw.split(',').map(s => s.trim()).filter(Boolean),
+
+  // Comma separated origins; `*` matches one or more subdomain labels
+  origins: () => (raw) => raw.split(',').map(s => s.trim()).filter(Boolean).map((origin) => {
+    if (!/^https?:\/\/[^/]+$/.test(origin)) {
+      throw new Error(`"${origin}" is not an origin (scheme://host[:port])`);
+    }
+    return origin;
+  })
+};
+
+const schema = {
+  nodeEnv: { env: 'NODE_ENV', type: types.oneOf(['development', 'production', 'test']), default: 'development' },
+  port: { env: 'PORT', type: types.int({ min: 1, max: 65535 }), default: '3000' },
+  clientUrl: { env: 'CLIENT_URL', type: types.url(), default: 'https://platium.vip' },
+  corsOrigins: { env: 'CORS_ORIGINS', type: types.origins(), default: null },
+  logLevel: { env: 'LOG_LEVEL', type: types.oneOf(['debug', 'info', 'warn', 'error', 'silent']), default: null },
+
+  catalogStore: { env: 'CATALOG_STORE', type: types.oneOf(['json', 'memory']), default: 'json' },
+  dataDir: { env: 'DATA_DIR', type: types.string(), default: './data' },
+  artworkDir: { env: 'ARTWORK_DIR', type: types.string(), default: null },
+  gamesDir: { env: 'GAMES_DIR', type: types.string(), default: '/games' },
+  datDir: { env: 'DAT_DIR', type: types.string(), default: null },
+  savesDir: { env: 'SAVES_DIR', type: types.string(), default: null },
+  auditLog: { env: 'AUDIT_LOG', type: types.string(), default: null },
+  saveQuota: { env: 'SAVE_QUOTA', type: types.int({ min: 0 }), default: String(100 * 1024 * 1024) },
+
+  maxConcurrentSessions: { env: 'MAX_CONCURRENT_SESSIONS', type: types.int({ min: 1 }), default: '10' },
+  maxSessionsPerUser: { env: 'MAX_SESSIONS_PER_USER', type: types.int({ min: 1 }), default: '1' },
+  queueClaimTimeout: { env: 'QUEUE_CLAIM_TIMEOUT', type: types.int({ min: 1000 }), default: '60000' },
+  sessionIdleTimeout: { env: 'SESSION_IDLE_TIMEOUT', type: types.int({ min: 1000 }), default: '600000' },
+  cleanupInterval: { env: 'CLEANUP_INTERVAL', type: types.int({ min: 1000 }), default: '300000' },
+  shutdownDrainPeriod: { env: 'SHUTDOWN_DRAIN_PERIOD', type: types.int({ min: 0 }), default: '30000' },
+  healthCheckTimeout: { env: 'HEALTH_CHECK_TIMEOUT', type: types.int({ min: 100 }), default: '2000' },
+  healthMaxEventLoopLag: { env: 'HEALTH_MAX_EVENT_LOOP_LAG', type: types.int({ min: 1 }), default: '500' },
+  sessionMaxSpectators: { env: 'SESSION_MAX_SPECTATORS', type: types.int({ min: 0, max: 100 }), default: '10' },
+  chatBlockedWords: { env: 'CHAT_BLOCKED_WORDS', type: types.list(), default: '' },
+
+  emulatorLauncher: { env: 'EMULATOR_LAUNCHER', type: types.oneOf(['process', 'fake']), default: 'process' },
+  emulatorProfile: { env: 'EMULATOR_PROFILE', type: types.string(), default: null },
+  retroarchBin: { env: 'RETROARCH_BIN', type: types.string(), default: 'retroarch' },
+  retroarchCoresDir: { env: 'RETROARCH_CORES_DIR', type: types.string(), default: '/usr/lib/libretro' },
+  dolphinBin: { env: 'DOLPHIN_BIN', type: types.string(), default: 'dolphin-emu' },
+  pcsx2Bin: { env: 'PCSX2_BIN', type: types.string(), default: 'pcsx2-qt' },
+  sessionsDir: { env: 'SESSIONS_DIR', type: types.string(), default: path.join(os.tmpdir(), 'platium-sessions') },
+
+  platiumApiUrl: { env: 'PLATIUM_API_URL', type: types.url(), default: 'https://platium.vip' },
+  authValidator: { env: 'AUTH_VALIDATOR', type: types.oneOf(['remote', 'fake']), default: 'remote' },
+  authValidatePath: { env: 'AUTH_VALIDATE_PATH', type: types.string(), default: '/api/auth/validate' },
+  authTimeout: { env: 'AUTH_TIMEOUT', type: types.int({ min: 100 }), default: '3000' },
+  authCacheTtl: { env: 'AUTH_CACHE_TTL', type: types.int({ min: 0 }), default: '60000' },
+  authFakeTokens: { env: 'AUTH_FAKE_TOKENS', type: types.json(), default: '{}' },
+
+  rateLimitStore: { env: 'RATE_LIMIT_STORE', type: types.oneOf(['memory', 'redis']), default: 'memory' },
+  redisUrl: { env: 'REDIS_URL', type: types.url(), default: null },
+  rateLimitIp: { env: 'RATE_LIMIT_IP', type: types.rate(), default: '600/60' },
+  rateLimitUser: { env: 'RATE_LIMIT_USER', type: types.rate(), default: '300/60' },
+  rateLimitSessionStart: { env: 'RATE_LIMIT_SESSION_START', type: types.rate(), default: '10/60' },
+  rateLimitAuthFailures: { env: 'RATE_LIMIT_AUTH_FAILURES', type: types.rate(), default: '10/60' },
+  rateLimitArtworkResize: { env: 'RATE_LIMIT_ARTWORK_RESIZE', type: types.rate(), default: '30/60' },
+  socketEventRate: { env: 'SOCKET_EVENT_RATE', type: types.rate(), default: '240/2' },
+  maxSocketsPerUser: { env: 'MAX_SOCKETS_PER_USER', type: types.int({ min: 1 }), default: '5' },
+  metricsToken: { env: 'METRICS_TOKEN', type: types.string(), default: null },
+
+  publicIp: { env: 'PUBLIC_IP', type: types.string(), default: null },
+  iceServers: { env: 'ICE_SERVERS', type: types.iceServers(), default: '[]' },
+  rtcListenIp: { env: 'MEDIASOUP_LISTEN_IP', type: types.string(), default: '0.0.0.0' },
+  rtcAnnouncedIp: { env: 'MEDIASOUP_ANNOUNCED_IP', type: types.string(), default: null },
+  rtcMinPort: { env: 'MEDIASOUP_MIN_PORT', type: types.int({ min: 1024, max: 65535 }), default: '40000' },
+  rtcMaxPort: { env: 'MEDIASOUP_MAX_PORT', type: types.int({ min: 1024, max: 65535 }), default: '49999' },
+  rtcMaxConsumers: { env: 'RTC_MAX_CONSUMERS', type: types.int({ min: 1 }), default: '16' }
+};
+
+export function loadConfig(env = process.env) {
+  const config = {};
+  const problems = [];
+
+  for (const [key, { env: name, type, default: fallback }] of Object.entries(schema)) {
+    const raw = env[name] === undefined || env[name] === '' ? fallback : env[name];
+    if (raw === null) {
+      config[key] = null;
+      continue;
+    }
+    try {
+      config[key] = type(raw);
+    } catch (error) {
+      problems.push(`${name}=${JSON.stringify(raw)} ${error.message}`);
+    }
+  }
+
+  if (config.rtcMinPort > config.rtcMaxPort) {
+    problems.push(`MEDIASOUP_MIN_PORT=${config.rtcMinPort} must not be above MEDIASOUP_MAX_PORT=${config.rtcMaxPort}`);
+  }
+
+  if (config.rateLimitStore === 'redis' && !config.redisUrl) {
+    problems.push('RATE_LIMIT_STORE=redis needs REDIS_URL');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  // Artwork, saves and the audit log sit next to the catalog unless configured elsewhere
+  config.artworkDir = config.artworkDir || path.join(config.dataDir, 'artwork');
+  config.savesDir = config.savesDir || path.join(config.dataDir, 'saves');
+  config.auditLog = config.auditLog || path.join(config.dataDir, 'audit.log');
+
+  // Everything while developing, less in production, only problems under test
+  config.logLevel = config.logLevel || { development: 'debug', production: 'info', test: 'warn' }[config.nodeEnv];
+
+  // Media is announced on the public address unless told otherwise
+  config.rtcAnnouncedIp = config.rtcAnnouncedIp || config.publicIp;
+
+  // CLIENT_URL is always allowed; CORS_ORIGINS adds staging/local frontends
+  config.corsOrigins = [...new Set([new URL(config.clientUrl).origin, ...(config.corsOrigins || [])])];
+
+  return Object.freeze(config);
+}
+
+// Build an origin matcher from the configured list (exact or `*` wildcard)
+export function createOriginMatcher(origins) {
+  const patterns = origins.map((origin) => {
+    const escaped = origin.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+    return new RegExp(`^${escaped}$`, 'i');
+  });
+  return (origin) => Boolean(origin) && patterns.some(p => p.test(origin));
+}
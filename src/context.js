@@ -0,0 +1,21 @@
+/**
+ * Request context
+ * Fields that follow one HTTP request or socket event through everything it
+ * triggers - awaited calls, timers and emitted events - without being passed
+ * around. The logger adds them to every line; realtime channels add the
+ * request ID to the broadcasts a request causes.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export const runWithContext = (fields, fn) => storage.run(fields, fn);
+
+export const currentContext = () => storage.getStore() ?? {};
+
+// `payload` plus the current request ID, if there is one
+export function withRequestId(payload) {
+  const { requestId } = currentContext();
+  return requestId ? { ...payload, requestId } : payload;
+}
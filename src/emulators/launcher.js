@@ -0,0 +1,181 @@
+/**
+ * Process launcher
+ * Implements the session launcher interface (see sessions/launchers.js) by
+ * spawning real emulator processes from the profile registry.
+ *
+ * With a save store, the player's saves for the game are copied into the
+ * session directory before launch and collected back once the emulator has
+ * exited, however the session ended. Lobby sessions share one emulator, so
+ * they load and keep the host's saves only; the other players' own saves for
+ * the game are left alone. The session directory is deleted once the saves
+ * are collected.
+ *
+ * Each handle carries `recovery` - the pid, session directory and save
+ * locations - which the session snapshot keeps. If the server dies without
+ * stopping its emulators, recover() uses it on the next start to stop the
+ * orphan and still collect the host's saves.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildLaunchSpec } from './profiles.js';
+import { spawnSupervised, stopOrphan } from './supervisor.js';
+import { resolveLibraryPath } from '../library/paths.js';
+import { sessionLogger } from '../sessions/manager.js';
+
+export function createProcessLauncher({
+  workDir = path.join(os.tmpdir(), 'platium-sessions'),
+  // Library root that games' romPath is relative to (GAMES_DIR)
+  libraryDir = '/games',
+  killTimeout = 5000,
+  // Force every game onto one profile, e.g. 'echo' when no emulators are installed
+  profileOverride = null,
+  // Binary/core locations, see profiles.js
+  paths = {},
+  // Save store (saves/store.js); without one nothing is kept between sessions
+  saves = null
+} = {}) {
+  return {
+    async launch({ session, game, onExit }) {
+      if (!game.romPath) {
+        throw new Error(`Game ${game.id} has no ROM path`);
+      }
+      const romPath = await resolveLibraryPath(libraryDir, game.romPath);
+      if (!romPath) {
+        throw new Error(`ROM path of game ${game.id} points outside the library`);
+      }
+
+      const sessionDir = path.join(workDir, session.id);
+      const spec = buildLaunchSpec({
+        game,
+        romPath,
+        workDir: sessionDir,
+        profileName: profileOverride,
+        paths
+      });
+
+      const log = sessionLogger(session).child({ component: 'launcher', profile: spec.profile });
+
+      const keepSaves = Boolean(saves && session.userId && spec.saves.length > 0);
+
+      // Runs once after the emulator has exited; failures never block ending the session
+      async function collectSaves() {
+        if (!keepSaves) return;
+        try {
+          const { stored, dropped } = await saves.collect({
+            userId: session.userId,
+            gameId: game.id,
+            workDir: sessionDir,
+            locations: spec.saves
+          });
+          if (stored > 0) {
+            log.info('Stored save files', { count: stored });
+          }
+          if (dropped.length > 0) {
+            log.warn('Save quota reached, dropped old save states', { count: dropped.length });
+          }
+        } catch (error) {
+          log.error('Failed to collect saves', { err: error });
+        }
+      }
+
+      async function removeSessionDir() {
+        try {
+          await fs.promises.rm(sessionDir, { recursive: true, force: true });
+        } catch (error) {
+          log.warn('Failed to remove session directory', { err: error });
+        }
+      }
+
+      // Saves first, the directory holds them
+      async function finish() {
+        await collectSaves();
+        await removeSessionDir();
+      }
+
+      await fs.promises.mkdir(sessionDir, { recursive: true });
+
+      let handle;
+      try {
+        if (keepSaves) {
+          const { restored, corrupt } = await saves.restore({ userId: session.userId, gameId: game.id, workDir: sessionDir });
+          if (restored.length > 0) {
+            log.info('Restored save files', { count: restored.length });
+          }
+          if (corrupt.length > 0) {
+            log.warn('Skipped corrupted save files', { count: corrupt.length });
+          }
+        }
+
+        log.info('Launching emulator', { command: spec.command });
+
+        handle = await spawnSupervised(spec, {
+          killTimeout,
+          onExit: (result) => {
+            if (result.crashed) {
+              log.error('Emulator crashed', {
+                code: result.code,
+                signal: result.signal,
+                stderr: result.stderr.slice(-20)
+              });
+            }
+            // stop() exits are initiated by the session manager, which already knows
+            if (!result.stopped) {
+              finish()
+                .then(() => onExit(result))
+                .catch(error => log.error('Failed to end session after emulator exit', { err: error }));
+            }
+          }
+        });
+      } catch (error) {
+        await removeSessionDir();
+        throw error;
+      }
+
+      return {
+        pid: handle.pid,
+        profile: spec.profile,
+        output: handle.output,
+        recovery: {
+          pid: handle.pid,
+          workDir: sessionDir,
+          userId: session.userId,
+          gameId: game.id,
+          saves: keepSaves ? spec.saves : []
+        },
+        // Inputs go to the emulator's input bridge as newline-delimited JSON on stdin
+        input(message) {
+          if (handle.stdin.writable) {
+            handle.stdin.write(`${JSON.stringify(message)}\n`);
+          }
+        },
+        async stop() {
+          await handle.stop();
+          await finish();
+        }
+      };
+    },
+
+    /**
+     * Clean up after a session of a previous run: stop its emulator if it is
+     * still running and, unless `collectSaves` is false (the session was
+     * stopped properly and its saves already stored), collect its saves.
+     * Then its session directory is deleted.
+     */
+    async recover({ pid, workDir: sessionDir, userId, gameId, saves: locations }, { collectSaves = true } = {}) {
+      const stopped = pid ? await stopOrphan(pid, { marker: `HOME=${sessionDir}`, killTimeout }) : false;
+
+      let stored = 0;
+      if ((collectSaves || stopped) && saves && userId && locations.length > 0) {
+        ({ stored } = await saves.collect({ userId, gameId, workDir: sessionDir, locations }));
+      }
+
+      // The path comes from the snapshot file; only ever delete under workDir
+      if (path.dirname(path.resolve(sessionDir)) === path.resolve(workDir)) {
+        await fs.promises.rm(sessionDir, { recursive: true, force: true });
+      }
+      return { stopped, stored };
+    }
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Emulator profiles
+ * Each profile turns a game + ROM path into the command line, environment and
+ * working directory for its emulator. Binary and core locations come from the
+ * config (RETROARCH_BIN, DOLPHIN_BIN, PCSX2_BIN, RETROARCH_CORES_DIR).
+ *
+ * `saves` lists where the emulator keeps its save data, relative to the
+ * session directory: save RAM and memory cards (kind 'save') and save states
+ * (kind 'state'). These are collected when a session ends and restored for
+ * the same user's next session of the game.
+ */
+
+import path from 'path';
+import { getPlatform } from '../platforms.js';
+
+// Stays alive until killed so it behaves like a real emulator, echoing input
+// messages back on stdout and appending them to saves/echo.srm. Set
+// ECHO_EXIT_CODE to make it exit straight away (e.g. to simulate a crash).
+const ECHO_SCRIPT = `
+const fs = require('fs');
+fs.mkdirSync('saves', { recursive: true });
+console.log(JSON.stringify({ argv: process.argv.slice(1), cwd: process.cwd(), saves: fs.readdirSync('saves') }));
+if (process.env.ECHO_EXIT_CODE) process.exit(Number(process.env.ECHO_EXIT_CODE));
+process.stdin.on('data', (chunk) => {
+  process.stdout.write(chunk);
+  fs.appendFileSync('saves/echo.srm', chunk);
+});
+setInterval(() => {}, 1 << 30);
+process.on('SIGTERM', () => process.exit(0));
+`;
+
+const profiles = new Map();
+const aliases = new Map();
+
+export function registerProfile(profile) {
+  profiles.set(profile.name, profile);
+  for (const alias of profile.aliases || []) {
+    aliases.set(alias, profile.name);
+  }
+}
+
+export function getProfile(name) {
+  return profiles.get(name) || profiles.get(aliases.get(name)) || null;
+}
+
+export function listProfiles() {
+  return [...profiles.values()];
+}
+
+registerProfile({
+  name: 'retroarch',
+  binary: (paths) => paths.retroarchBin || 'retroarch',
+  saves: [{ kind: 'save', dir: 'saves' }, { kind: 'state', dir: 'states' }],
+  build({ game, romPath, workDir, paths }) {
+    // Fall back to the platform's default libretro core
+    const core = game.emulatorCore || getPlatform(game.system)?.core;
+    if (!core) {
+      throw new Error(`No libretro core configured for system ${game.system}`);
+    }
+    const coresDir = paths.retroarchCoresDir || '/usr/lib/libretro';
+    return {
+      args: [
+        '--fullscreen',
+        '-L', path.join(coresDir, `${core}_libretro.so`),
+        '-s', path.join(workDir, 'saves'),
+        '-S', path.join(workDir, 'states'),
+        romPath
+      ]
+    };
+  }
+});
+
+registerProfile({
+  name: 'dolphin-emu',
+  aliases: ['dolphin'],
+  binary: (paths) => paths.dolphinBin || 'dolphin-emu',
+  saves: [
+    { kind: 'save', dir: '.local/share/dolphin-emu/GC' },
+    { kind: 'save', dir: '.local/share/dolphin-emu/Wii/title' },
+    { kind: 'state', dir: '.local/share/dolphin-emu/StateSaves' }
+  ],
+  build({ romPath }) {
+    return {
+      args: ['--batch', `--exec=${romPath}`]
+    };
+  }
+});
+
+registerProfile({
+  name: 'pcsx2',
+  binary: (paths) => paths.pcsx2Bin || 'pcsx2-qt',
+  saves: [
+    { kind: 'save', dir: '.config/PCSX2/memcards' },
+    { kind: 'state', dir: '.config/PCSX2/sstates' }
+  ],
+  build({ romPath }) {
+    return {
+      args: ['-batch', '-fullscreen', '--', romPath]
+    };
+  }
+});
+
+registerProfile({
+  name: 'echo',
+  binary: () => process.execPath,
+  saves: [{ kind: 'save', dir: 'saves' }],
+  build({ game, romPath }) {
+    return {
+      args: ['-e', ECHO_SCRIPT, game.emulator || 'echo', game.emulatorCore || '', romPath],
+      env: process.env.ECHO_EXIT_CODE ? { ECHO_EXIT_CODE: process.env.ECHO_EXIT_CODE } : {}
+    };
+  }
+});
+
+/**
+ * Build the full launch spec for a game.
+ * `workDir` becomes both the cwd and HOME so emulator config and save data
+ * stay inside the session's directory.
+ */
+export function buildLaunchSpec({ game, romPath, workDir, profileName, paths = {} }) {
+  const name = profileName || game.emulator;
+  const profile = getProfile(name);
+  if (!profile) {
+    throw new Error(`Unknown emulator: ${name}`);
+  }
+
+  const spec = profile.build({ game, romPath, workDir, paths });
+  return {
+    profile: profile.name,
+    command: profile.binary(paths),
+    args: spec.args,
+    cwd: spec.cwd || workDir,
+    saves: profile.saves || [],
+    env: {
+      PATH: process.env.PATH,
+      HOME: workDir,
+      XDG_CONFIG_HOME: path.join(workDir, '.config'),
+      XDG_DATA_HOME: path.join(workDir, '.local/share'),
+      ...(process.env.DISPLAY && { DISPLAY: process.env.DISPLAY }),
+      ...spec.env
+    }
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Process supervision for emulators
+ * Spawns a process, keeps the tail of its stdout/stderr, and reports how it
+ * exited. stop() sends SIGTERM and escalates to SIGKILL after a grace period.
+ * stopOrphan() does the same for an emulator a previous run left behind.
+ */
+
+import fs from 'fs';
+import { spawn } from 'child_process';
+
+const MAX_OUTPUT_LINES = 200;
+
+function createLineBuffer() {
+  const lines = [];
+  let partial = '';
+
+  return {
+    push(chunk) {
+      const parts = (partial + chunk.toString()).split('\n');
+      partial = parts.pop();
+      lines.push(...parts);
+      if (lines.length > MAX_OUTPUT_LINES) {
+        lines.splice(0, lines.length - MAX_OUTPUT_LINES);
+      }
+    },
+    lines: () => (partial ? [...lines, partial] : [...lines])
+  };
+}
+
+export function spawnSupervised({ command, args, env, cwd }, { killTimeout = 5000, onExit } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { env, cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = createLineBuffer();
+    const stderr = createLineBuffer();
+    let stopping = false;
+    let spawned = false;
+    let exited = null;
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    // Emulators that don't read stdin close it; that's not an error
+    child.stdin.on('error', () => {});
+    child.stderr.on('data', chunk => stderr.push(chunk));
+
+    child.once('error', (error) => {
+      if (!spawned) reject(error);
+    });
+
+    child.once('exit', (code, signal) => {
+      exited = {
+        code,
+        signal,
+        // Anything other than a clean exit we didn't ask for is a crash
+        crashed: !stopping && (code !== 0 || signal !== null),
+        stopped: stopping,
+        stdout: stdout.lines(),
+        stderr: stderr.lines()
+      };
+      onExit?.(exited);
+    });
+
+    child.once('spawn', () => {
+      spawned = true;
+      resolve({
+        pid: child.pid,
+        stdin: child.stdin,
+        output: () => ({ stdout: stdout.lines(), stderr: stderr.lines() }),
+        exitStatus: () => exited,
+
+        stop() {
+          if (exited) return Promise.resolve(exited);
+          stopping = true;
+
+          return new Promise((done) => {
+            const timer = setTimeout(() => child.kill('SIGKILL'), killTimeout);
+            child.once('exit', () => {
+              clearTimeout(timer);
+              done(exited);
+            });
+            child.kill('SIGTERM');
+          });
+        }
+      });
+    });
+  });
+}
+
+// Zombies count as gone - they only wait to be reaped
+async function isRunning(pid) {
+  try {
+    const stat = await fs.promises.readFile(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3) !== 'Z';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Stop a process left over from a previous run of the server, which nobody
+ * supervises any more. It is only signalled if its environment contains
+ * `marker` (e.g. its HOME=<session dir>), so a reused PID is never touched.
+ * Reads /proc, so on other platforms nothing is stopped. Resolves to whether
+ * the process was found and stopped.
+ */
+export async function stopOrphan(pid, { marker, killTimeout = 5000 }) {
+  let environ;
+  try {
+    environ = await fs.promises.readFile(`/proc/${pid}/environ`, 'utf8');
+  } catch {
+    return false;
+  }
+  if (!environ.split('\0').includes(marker) || !(await isRunning(pid))) {
+    return false;
+  }
+
+  const signal = (name) => {
+    try {
+      process.kill(pid, name);
+    } catch {
+      // Already gone
+    }
+  };
+
+  signal('SIGTERM');
+  const deadline = Date.now() + killTimeout;
+  while (await isRunning(pid)) {
+    if (Date.now() >= deadline) {
+      signal('SIGKILL');
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return true;
+}
@@ -0,0 +1,13 @@
+/**
+ * Errors that carry an HTTP status
+ * Thrown from services and turned into JSON responses by the error handler in index.js
+ */
+
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
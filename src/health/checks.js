@@ -0,0 +1,108 @@
+/**
+ * Built-in health checks
+ * Each factory returns a check function for createHealthChecks().register().
+ * Reports leave out paths: /health/ready is public.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { monitorEventLoopDelay } from 'perf_hooks';
+
+// The document store can still write (store.ping())
+export function storageCheck(store) {
+  return async () => {
+    await store.ping();
+    return { driver: store.driver };
+  };
+}
+
+// A directory exists and can be listed; an empty one is reported because an
+// unmounted volume usually shows up as an empty mount point
+export function directoryCheck(dir) {
+  return async () => {
+    const handle = await fs.promises.opendir(dir);
+    try {
+      const first = await handle.read();
+      return first ? {} : { status: 'warn', error: 'Directory is empty' };
+    } finally {
+      await handle.close();
+    }
+  };
+}
+
+/**
+ * Find an executable the way spawn() would: paths are checked as given,
+ * bare names are looked up on PATH. Resolves to the full path or null.
+ */
+export async function resolveBinary(binary, searchPath = process.env.PATH || '') {
+  const candidates = binary.includes(path.sep)
+    ? [binary]
+    : searchPath.split(path.delimiter).filter(Boolean).map(dir => path.join(dir, binary));
+
+  for (const candidate of candidates) {
+    try {
+      await fs.promises.access(candidate, fs.constants.X_OK);
+      if ((await fs.promises.stat(candidate)).isFile()) return candidate;
+    } catch {
+      // Not here, try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Emulator binaries by profile name, { name: binary }, with null for an
+ * unknown profile. Fails when none can be found and warns when some are
+ * missing, since games on the other emulators still work.
+ */
+export function emulatorCheck(binaries) {
+  return async () => {
+    const entries = Object.entries(binaries);
+    const found = await Promise.all(entries.map(([, binary]) => (binary ? resolveBinary(binary) : null)));
+    const emulators = Object.fromEntries(entries.map(([name], i) => [name, found[i] ? 'found' : 'missing']));
+    const missing = entries.filter((entry, i) => !found[i]).map(([name]) => name);
+
+    if (missing.length === 0) return { emulators };
+    return missing.length === entries.length
+      ? { status: 'fail', error: 'No emulator binary found', emulators }
+      : { status: 'warn', error: `Missing: ${missing.join(', ')}`, emulators };
+  };
+}
+
+// Session slots: fails once the server stops taking sessions (shutting down),
+// warns when every slot is taken (new players queue)
+export function capacityCheck(sessions, maxSessions) {
+  return async () => {
+    if (!sessions.isAccepting()) {
+      throw new Error('Not accepting sessions, the server is shutting down');
+    }
+    const active = sessions.activeCount();
+    return active >= maxSessions
+      ? { status: 'warn', error: 'All session slots are taken', active, max: maxSessions }
+      : { active, max: maxSessions };
+  };
+}
+
+/**
+ * Event loop delay since the previous run. Warns when its 99th percentile
+ * goes over `maxLag` ms - players feel that as input lag.
+ */
+export function eventLoopCheck({ maxLag = 500, resolution = 10 } = {}) {
+  const histogram = monitorEventLoopDelay({ resolution });
+  histogram.enable();
+
+  // Samples are the time between timer ticks, so an idle loop reads as `resolution`
+  const ms = (ns) => (histogram.count > 0 ? Math.max(0, Math.round((ns / 1e6 - resolution) * 100) / 100) : 0);
+
+  return async () => {
+    const lag = {
+      meanMs: ms(histogram.mean),
+      p99Ms: ms(histogram.percentile(99)),
+      maxMs: ms(histogram.max)
+    };
+    histogram.reset();
+    return lag.p99Ms > maxLag
+      ? { status: 'warn', error: `Event loop lag over ${maxLag}ms`, ...lag }
+      : lag;
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Health checks
+ * Checks are registered by name and run together for /health/ready. A check
+ * is an async function that returns details for the report, or throws to
+ * fail. Details with `status: 'warn'` report a problem that leaves the
+ * server usable; `status: 'fail'` fails with the details kept.
+ *
+ * Each result has `status` ('ok', 'warn' or 'fail'), `critical` and
+ * `latencyMs`. The overall status is 'fail' when a critical check failed,
+ * 'degraded' when anything else is off, 'ok' otherwise.
+ */
+
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'health' });
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function createHealthChecks({ timeout = 2000 } = {}) {
+  // name -> { check, critical }
+  const checks = new Map();
+  // name -> status of the last run, so probes only log changes
+  const last = new Map();
+
+  async function runOne(name, { check, critical }) {
+    const started = process.hrtime.bigint();
+    let result;
+    try {
+      const { status = 'ok', ...details } = (await withTimeout(Promise.resolve().then(check), timeout)) || {};
+      result = { status, ...details };
+    } catch (error) {
+      // fs errors carry full paths; the code is enough for a public endpoint
+      result = { status: 'fail', error: error.code || error.message, cause: error };
+    }
+    const latencyMs = Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+
+    const { cause, ...details } = result;
+    if (details.status !== (last.get(name) ?? 'ok')) {
+      if (details.status === 'ok') {
+        log.info('Health check recovered', { check: name });
+      } else {
+        log.warn(`Health check ${details.status === 'fail' ? 'failed' : 'warning'}`, {
+          check: name,
+          critical,
+          error: details.error,
+          err: cause
+        });
+      }
+    }
+    last.set(name, details.status);
+    return { ...details, critical, latencyMs };
+  }
+
+  return {
+    register(name, check, { critical = true } = {}) {
+      checks.set(name, { check, critical });
+    },
+
+    async run() {
+      const names = [...checks.keys()];
+      const results = await Promise.all(names.map(name => runOne(name, checks.get(name))));
+
+      const report = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+      const failed = results.some(r => r.critical && r.status === 'fail');
+      const degraded = results.some(r => r.status !== 'ok');
+      return {
+        status: failed ? 'fail' : degraded ? 'degraded' : 'ok',
+        checks: report
+      };
+    }
+  };
+}
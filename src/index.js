@@ -1,28 +1,88 @@
 /**
  * Simple Platium.vip Game Streaming Backend
- * No database - uses in-memory storage
+ * No database server - catalog lives in an embedded JSON store
  */
 
 import express from 'express';
 import { createServer } from 'http';
+import path from 'path';
 import { Server as SocketIOServer } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
+import { openCatalog } from './catalog/index.js';
+import { HttpError } from './errors.js';
+import { asyncHandler } from './middleware/async-handler.js';
+import { createGamesRouter } from './routes/games.js';
+import { createSessionsRouter } from './routes/sessions.js';
+import { createLobbiesRouter } from './routes/lobbies.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createArtworkRouter } from './routes/artwork.js';
+import { createSystemsRouter } from './routes/systems.js';
+import { createMeRouter } from './routes/me.js';
+import { createReviewsRouter } from './routes/reviews.js';
+import { createHealthRouter } from './routes/health.js';
+import { createArtworkStore } from './artwork/store.js';
+import { createSaveStore } from './saves/store.js';
+import { createSessionManager } from './sessions/manager.js';
+import { createSessionQueue } from './sessions/queue.js';
+import { createPresence } from './sessions/presence.js';
+import { createSessionRecovery } from './sessions/recovery.js';
+import { createShutdown } from './shutdown.js';
+import { acquireInstanceLock } from './instance-lock.js';
+import { checkRoms } from './library/rom-check.js';
+import { createFakeLauncher } from './sessions/launchers.js';
+import { createProcessLauncher } from './emulators/launcher.js';
+import { getProfile, listProfiles } from './emulators/profiles.js';
+import { registerSessionChannel } from './realtime/sessions.js';
+import { registerLobbyChannel } from './realtime/lobbies.js';
+import { registerQueueChannel } from './realtime/queue.js';
+import { registerRtcChannel } from './realtime/rtc.js';
+import { createLobbyManager } from './lobbies/manager.js';
+import { createFakeValidator, createRemoteValidator } from './auth/validators.js';
+import { createAuthenticator, createSocketAuthenticator, requireAdminOrToken } from './middleware/auth.js';
+import { createLimiter, rateLimit } from './middleware/rate-limit.js';
+import { createRateLimitStore } from './rate-limit/index.js';
+import { registerSocketLimits } from './realtime/limits.js';
+import { createMetrics } from './metrics/index.js';
+import { createHealthChecks } from './health/index.js';
+import { capacityCheck, directoryCheck, emulatorCheck, eventLoopCheck, storageCheck } from './health/checks.js';
+import { createAuditLog } from './audit/log.js';
+import { registerSocketRequestIds, requestId } from './middleware/request-id.js';
+import { logger, setLogLevel } from './logger.js';
+import { createOriginMatcher, loadConfig } from './config.js';
+
+const log = logger.child({ component: 'server' });
+
+// Load configuration - refuse to start on invalid values
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  log.error('Invalid configuration', { problems: error.problems ?? [error.message] });
+  process.exit(1);
+}
+setLogLevel(config.logLevel);
+const isAllowedOrigin = createOriginMatcher(config.corsOrigins);
 
 // Create Express app
 const app = express();
 app.set('trust proxy', 1);
 
+// Request IDs and the access log
+app.use(requestId());
+
 // CORS middleware
 app.use((req, res, next) => {
   const origin = req.headers.origin;
-  console.log('[CORS] Request origin:', origin, 'URL:', req.method, req.url);
 
-  // Set CORS headers
-  res.header('Access-Control-Allow-Origin', 'https://platium.vip');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  // Set CORS headers - allowed origins are echoed back, others get none
+  res.header('Vary', 'Origin');
+  if (isAllowedOrigin(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+  }
+  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,skip_zrok_interstitial');
   res.header('Cache-Control', 'no-cache, no-store, must-revalidate');
   res.header('Pragma', 'no-cache');
@@ -40,110 +100,287 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-// In-memory game storage
-const games = [
-  {
-    id: '57216f4d-158c-446e-96d3-c28b7ea34354',
-    title: 'Mario Party 7',
-    slug: 'mario-party-7',
-    system: 'gamecube',
-    year: 2001,
-    genre: 'Party',
-    playerCount: 4,
-    romPath: '/home/jak/projects/roms/gamecube/Mario Party 7 (USA) (Rev 1).rvz',
-    emulator: 'dolphin-emu',
-    emulatorCore: null,
-    coverArtUrl: '/artwork/ssbm.jpg',
-    screenshotUrls: [],
-    description: 'Party with Mario and friends! 8 players, 90+ minigames, and classic Mario fun. Your legally obtained ROM.',
-    rating: null,
-    playCount: 0,
-    isActive: true,
-    createdAt: '2025-11-10T02:11:35.984Z',
-    updatedAt: '2025-11-10T02:11:35.984Z',
-    sessions: []
-  }
-];
+// Rate limits - token buckets in this process, or shared through Redis
+const rateLimitStore = await createRateLimitStore({ driver: config.rateLimitStore, redisUrl: config.redisUrl });
+const limits = {
+  ip: createLimiter(rateLimitStore, { name: 'ip', rule: config.rateLimitIp }),
+  user: createLimiter(rateLimitStore, { name: 'user', rule: config.rateLimitUser }),
+  sessionStart: createLimiter(rateLimitStore, { name: 'session-start', rule: config.rateLimitSessionStart }),
+  authFailures: createLimiter(rateLimitStore, { name: 'auth-failures', rule: config.rateLimitAuthFailures }),
+  artworkResize: createLimiter(rateLimitStore, { name: 'artwork-resize', rule: config.rateLimitArtworkResize })
+};
+app.use('/api', rateLimit(limits.ip, req => req.ip));
+
+// Token validation - 'fake' reads tokens from AUTH_FAKE_TOKENS for offline use
+const validator = config.authValidator === 'fake'
+  ? createFakeValidator({ tokens: config.authFakeTokens })
+  : createRemoteValidator({
+    baseUrl: config.platiumApiUrl,
+    path: config.authValidatePath,
+    timeout: config.authTimeout,
+    cacheTtl: config.authCacheTtl
+  });
+const authenticate = createAuthenticator(validator, { failures: limits.authFailures });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// One server per DATA_DIR - a second one would clean up the first one's sessions
+try {
+  await acquireInstanceLock(path.join(config.dataDir, 'server.pid'));
+} catch (error) {
+  log.error('Cannot start', { err: error });
+  process.exit(1);
+}
+
+// Game catalog - persisted through the configured store (json or memory)
+const catalog = await openCatalog({
+  driver: config.catalogStore,
+  dataDir: config.dataDir,
+  seedDefaults: true
 });
+const { games, users, reviews } = catalog;
 
-// Stats
-app.get('/api/stats', (req, res) => {
-  res.json({
-    totalGames: games.length,
-    activeSessions: 0,
-    onlineUsers: 0,
-    uptime: process.uptime()
+// Audit trail of admin actions, shared with the CLI scripts
+const audit = createAuditLog({ file: config.auditLog });
+await audit.open();
+
+// Artwork (cover art, screenshots, thumbnails)
+const artwork = createArtworkStore({ dir: config.artworkDir });
+await artwork.open();
+
+// Player save data, collected from and restored into emulator sessions
+const saves = createSaveStore({ dir: config.savesDir, store: catalog.store, quota: config.saveQuota });
+await saves.open();
+
+// Emulator launcher - 'fake' skips launching entirely
+const emulatorPaths = {
+  retroarchBin: config.retroarchBin,
+  retroarchCoresDir: config.retroarchCoresDir,
+  dolphinBin: config.dolphinBin,
+  pcsx2Bin: config.pcsx2Bin
+};
+const launcher = config.emulatorLauncher === 'fake'
+  ? createFakeLauncher()
+  : createProcessLauncher({
+    workDir: config.sessionsDir,
+    libraryDir: config.gamesDir,
+    profileOverride: config.emulatorProfile,
+    paths: emulatorPaths,
+    saves
   });
+
+// Game sessions
+const sessions = createSessionManager({
+  games,
+  launcher,
+  maxSessions: config.maxConcurrentSessions,
+  maxSpectators: config.sessionMaxSpectators,
+  idleTimeout: config.sessionIdleTimeout,
+  cleanupInterval: config.cleanupInterval
 });
+sessions.startCleanup();
 
-// Get all games
-app.get('/api/games', (req, res) => {
-  const { page = 1, limit = 20, system, search } = req.query;
-  let filteredGames = [...games];
+// Session snapshot - cleans up after the previous run, then follows this one
+const recovery = createSessionRecovery({
+  file: path.join(config.dataDir, 'session-snapshot.json'),
+  sessions,
+  launcher
+});
 
-  if (system) {
-    filteredGames = filteredGames.filter(g => g.system === system);
-  }
+// Who is playing or watching each session, kept by the socket channel
+const presence = createPresence();
+
+// Waiting queue in front of the session slots
+const queue = createSessionQueue({
+  sessions,
+  users,
+  games,
+  maxSessions: config.maxConcurrentSessions,
+  maxPerUser: config.maxSessionsPerUser,
+  claimTimeout: config.queueClaimTimeout
+});
+
+// Multiplayer lobbies
+const lobbies = createLobbyManager({ games, sessions, startSession: queue.startNow });
+lobbies.startCleanup();
 
-  if (search) {
-    const searchLower = search.toLowerCase();
-    filteredGames = filteredGames.filter(g =>
-      g.title.toLowerCase().includes(searchLower) ||
-      g.genre?.toLowerCase().includes(searchLower)
-    );
+// Play history - finished sessions land in each player's recently played list
+sessions.on('session', (session) => {
+  if (!session.startedAt || !['ended', 'crashed'].includes(session.status)) return;
+
+  const userIds = new Set([session.userId, ...(session.players ?? []).map(p => p.userId)]);
+  for (const userId of userIds) {
+    if (!userId) continue;
+    users.recordPlay(userId, {
+      gameId: session.gameId,
+      sessionId: session.id,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt
+    }).catch(error => log.error('Failed to record play history', { sessionId: session.id, userId, err: error }));
   }
+});
+
+await recovery.reconcile();
+recovery.track();
+
+// Metrics
+const metrics = createMetrics({ sessions });
+app.use(metrics.httpMiddleware);
+
+// Readiness checks - a critical failure turns /health/ready into a 503
+const health = createHealthChecks({ timeout: config.healthCheckTimeout });
+health.register('storage', storageCheck(catalog.store));
+health.register('library', directoryCheck(config.gamesDir));
+if (config.emulatorLauncher === 'process') {
+  // Only the forced profile matters when there is one; echo is a test stand-in
+  const names = config.emulatorProfile
+    ? [config.emulatorProfile]
+    : listProfiles().map(p => p.name).filter(name => name !== 'echo');
+  health.register('emulators', emulatorCheck(Object.fromEntries(
+    names.map(name => [name, getProfile(name)?.binary(emulatorPaths) ?? null])
+  )));
+}
+health.register('capacity', capacityCheck(sessions, config.maxConcurrentSessions));
+health.register('eventLoop', eventLoopCheck({ maxLag: config.healthMaxEventLoopLag }), { critical: false });
+
+// Health checks - before the authenticator, so a stray token can't fail a probe
+app.use('/health', createHealthRouter({ checks: health }));
 
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + parseInt(limit);
-  const paginatedGames = filteredGames.slice(startIndex, endIndex);
+// Prometheus scrape endpoint - admins, or Prometheus with METRICS_TOKEN
+app.get('/metrics', requireAdminOrToken(config.metricsToken, authenticate), asyncHandler(async (req, res) => {
+  res.type('text/plain; version=0.0.4').send(await metrics.render());
+}));
+
+// Everything below sees req.user
+app.use(authenticate);
+app.use('/api', rateLimit(limits.user, req => req.user?.id));
 
+// Stats
+app.get('/api/stats', asyncHandler(async (req, res) => {
+  const live = await metrics.stats();
   res.json({
-    games: paginatedGames,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total: filteredGames.length,
-      totalPages: Math.ceil(filteredGames.length / limit)
-    }
+    totalGames: await games.count(),
+    activeSessions: sessions.activeCount(),
+    ...live,
+    uptime: process.uptime()
   });
-});
+}));
 
-// Get single game
-app.get('/api/games/:id', (req, res) => {
-  const { id } = req.params;
-  const game = games.find(g => g.id === id);
+// Games
+app.use('/api/games', createGamesRouter({ games, audit }));
 
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
-  }
+// Systems
+app.use('/api/systems', createSystemsRouter({ games }));
+
+// Ratings and reviews
+app.use('/api', createReviewsRouter({ games, reviews, audit }));
+
+// Current user
+app.use('/api/me', createMeRouter({ users, games, saves }));
+
+// Starting sessions has its own, stricter budget per user
+const startLimit = rateLimit(limits.sessionStart, req => req.user?.id);
+
+// Sessions
+app.use('/api', createSessionsRouter({ sessions, queue, games, presence, startLimit, audit }));
+
+// Lobbies
+app.use('/api/lobbies', createLobbiesRouter({ lobbies, startLimit }));
+
+// Admin
+app.use('/api/admin', createAdminRouter({ queue, users, games, gamesDir: config.gamesDir, audit }));
 
-  res.json(game);
+// Artwork
+app.use(createArtworkRouter({ artwork, games, audit, resizeLimit: limits.artworkResize }));
+
+// JSON errors instead of Express's HTML error page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body' });
+  }
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  log.error('Unhandled error', { method: req.method, path: req.originalUrl, err });
+  // The ID lets a user's bug report be matched to the log line above
+  res.status(500).json({ error: 'Internal server error', requestId: req.id });
 });
 
 // Start server
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 const server = createServer(app);
 const io = new SocketIOServer(server, {
   cors: {
-    origin: 'https://platium.vip',
-    methods: ['GET', 'POST']
+    origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+    methods: ['GET', 'POST'],
+    credentials: true
   }
 });
 
+registerSocketRequestIds(io);
+io.use(createSocketAuthenticator(validator, { failures: limits.authFailures }));
+registerSocketLimits(io, {
+  maxSocketsPerUser: config.maxSocketsPerUser,
+  eventRate: config.socketEventRate
+});
+metrics.watchSockets(io);
+
 io.on('connection', (socket) => {
-  console.log('WebSocket client connected:', socket.id);
+  const socketLog = log.child({ socketId: socket.id, userId: socket.data.user.id, requestId: socket.data.requestId });
+  socketLog.debug('Socket connected');
 
-  socket.on('disconnect', () => {
-    console.log('WebSocket client disconnected:', socket.id);
+  socket.on('disconnect', (reason) => {
+    socketLog.debug('Socket disconnected', { reason });
   });
 });
 
+registerSessionChannel(io, {
+  sessions,
+  games,
+  lobbies,
+  presence,
+  chatBlocklist: config.chatBlockedWords
+});
+registerLobbyChannel(io, { lobbies });
+registerQueueChannel(io, { queue, startLimit: limits.sessionStart });
+registerRtcChannel(io, {
+  sessions,
+  presence,
+  iceServers: config.iceServers,
+  media: {
+    listenIp: config.rtcListenIp,
+    announcedIp: config.rtcAnnouncedIp,
+    minPort: config.rtcMinPort,
+    maxPort: config.rtcMaxPort
+  },
+  maxConsumersPerProducer: config.rtcMaxConsumers
+});
+
+// SIGTERM/SIGINT drain sessions before exiting
+const shutdown = createShutdown({
+  server,
+  io,
+  sessions,
+  recovery,
+  drainPeriod: config.shutdownDrainPeriod,
+  closers: [() => rateLimitStore.close(), () => catalog.close()]
+});
+shutdown.listen();
+
+// Listen failures (EADDRINUSE, EACCES) are fatal
+server.on('error', (error) => {
+  log.error('HTTP server error', { port: PORT, err: error });
+  process.exit(1);
+});
+
 server.listen(PORT, () => {
-  console.log('🚀 Simple Platium Game Streaming Server running on port', PORT);
-  console.log('📡 WebSocket server ready');
-  console.log('🎮 Ready to stream retro games!');
+  log.info('Server listening', { port: PORT, env: config.nodeEnv, logLevel: config.logLevel });
+
+  // Report broken ROM paths once at boot; the full list is at GET /api/admin/roms
+  games.list()
+    .then(all => checkRoms(all, { root: config.gamesDir }))
+    .then(report => {
+      if (report.problems.length > 0) {
+        log.warn('Games with ROM problems', { count: report.problems.length, total: report.total, root: report.root });
+      }
+    })
+    .catch(err => log.error('ROM check failed', { err }));
 });
@@ -0,0 +1,60 @@
+/**
+ * Instance lock
+ * One server per DATA_DIR: the catalog files, the session snapshot and the
+ * orphaned-emulator cleanup all assume nobody else is using them. The lock is
+ * a pidfile, removed when the process exits; one left behind by a crash is
+ * taken over once its process is gone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// The holder is alive and is this server (not a reused PID). Without /proc
+// (non-Linux) only the PID is checked.
+async function isServer(pid) {
+  if (pid === process.pid) return false;
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    if (error.code !== 'EPERM') return false;
+  }
+  try {
+    const cmdline = await fs.promises.readFile(`/proc/${pid}/cmdline`, 'utf8');
+    const cwd = await fs.promises.readlink(`/proc/${pid}/cwd`);
+    return cmdline.split('\0').some(arg => arg && path.resolve(cwd, arg) === process.argv[1]);
+  } catch (error) {
+    // Without /proc at all the PID check above is all there is
+    if (error.code === 'ENOENT') return !fs.existsSync('/proc/self');
+    return true;
+  }
+}
+
+export async function acquireInstanceLock(file) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fs.promises.writeFile(file, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST' || attempt > 0) throw error;
+    }
+    const holder = Number(await fs.promises.readFile(file, 'utf8').catch(() => ''));
+    if (holder && await isServer(holder)) {
+      throw new Error(`Another server (pid ${holder}) is using ${path.dirname(file)}`);
+    }
+    // Stale - left by a crashed run
+    await fs.promises.rm(file, { force: true });
+  }
+
+  // Sync so it also runs on process.exit()
+  const release = () => {
+    try {
+      if (fs.readFileSync(file, 'utf8') === String(process.pid)) fs.unlinkSync(file);
+    } catch {
+      // Already gone
+    }
+  };
+  process.on('exit', release);
+  return { release };
+}
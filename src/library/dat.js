@@ -0,0 +1,111 @@
+/**
+ * No-Intro / Redump DAT files
+ * Parses Logiqx-style DAT XML and indexes every ROM by SHA1, MD5 and CRC32+size
+ * so scanned files can be matched to their canonical entry.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decode = (text) => text
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&(\w+);/g, (match, name) => ENTITIES[name] ?? match);
+
+function attributes(text) {
+  const attrs = {};
+  for (const [, name, value] of text.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attrs[name] = decode(value);
+  }
+  return attrs;
+}
+
+const REGIONS = [
+  'World', 'USA', 'Europe', 'Japan', 'Asia', 'Australia', 'Brazil', 'Canada', 'China',
+  'France', 'Germany', 'Italy', 'Korea', 'Netherlands', 'Spain', 'Sweden', 'Taiwan', 'UK'
+];
+
+/**
+ * Split a No-Intro/Redump name into its parts:
+ * "Legend of Zelda, The (USA) (Rev 1)" -> { title: 'The Legend of Zelda', region: 'USA', revision: '1' }
+ */
+export function parseDatName(name) {
+  const tags = [...name.matchAll(/\(([^)]*)\)/g)].map(match => match[1]);
+  let title = name.replace(/\s*[([].*$/, '').trim();
+
+  // Trailing articles: "Legend of Zelda, The" -> "The Legend of Zelda"
+  const article = title.match(/^(.*), (The|A|An)(\b.*)?$/);
+  if (article) {
+    title = `${article[2]} ${article[1]}${article[3] || ''}`;
+  }
+
+  const region = tags.find(tag => tag.split(', ').every(part => REGIONS.includes(part))) || null;
+  const revision = tags.map(tag => tag.match(/^Rev ([\w.]+)$/)?.[1]).find(Boolean) || null;
+
+  return { title, region, revision };
+}
+
+export function parseDat(xml, source = 'dat') {
+  const header = xml.match(/<header>([\s\S]*?)<\/header>/)?.[1] || '';
+  const datName = decode(header.match(/<name>([\s\S]*?)<\/name>/)?.[1]?.trim() || source);
+  const entries = [];
+
+  for (const [, , attrText, body] of xml.matchAll(/<(game|machine)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+    const { name } = attributes(attrText);
+    if (!name) continue;
+
+    const year = Number(body.match(/<year>\s*(\d{4})\s*<\/year>/)?.[1]) || null;
+    const roms = [...body.matchAll(/<rom\b([^>]*?)\/?>/g)].map(([, romAttrs]) => {
+      const rom = attributes(romAttrs);
+      return {
+        name: rom.name,
+        size: rom.size ? Number(rom.size) : null,
+        crc32: rom.crc?.toLowerCase() || null,
+        md5: rom.md5?.toLowerCase() || null,
+        sha1: rom.sha1?.toLowerCase() || null
+      };
+    });
+
+    entries.push({ name: decode(name), year, dat: datName, roms, ...parseDatName(decode(name)) });
+  }
+
+  return entries;
+}
+
+/**
+ * Load every .dat/.xml file in `dir` and return a matcher:
+ *   match({ crc32, md5, sha1 }, size) -> entry | null
+ */
+export async function loadDats(dir) {
+  const bySha1 = new Map();
+  const byMd5 = new Map();
+  const byCrc = new Map();
+  let count = 0;
+
+  const files = (await fs.promises.readdir(dir))
+    .filter(name => ['.dat', '.xml'].includes(path.extname(name).toLowerCase()));
+
+  for (const name of files) {
+    const entries = parseDat(await fs.promises.readFile(path.join(dir, name), 'utf8'), name);
+    for (const entry of entries) {
+      for (const rom of entry.roms) {
+        if (rom.sha1) bySha1.set(rom.sha1, entry);
+        if (rom.md5) byMd5.set(rom.md5, entry);
+        if (rom.crc32) byCrc.set(`${rom.crc32}:${rom.size}`, entry);
+      }
+    }
+    count += entries.length;
+  }
+
+  return {
+    files: files.length,
+    entries: count,
+    match(checksums, size) {
+      return bySha1.get(checksums.sha1) ||
+        byMd5.get(checksums.md5) ||
+        byCrc.get(`${checksums.crc32}:${size}`) ||
+        null;
+    }
+  };
+}
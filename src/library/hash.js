@@ -0,0 +1,93 @@
+/**
+ * ROM checksums
+ * Files are streamed once through CRC32, MD5 and SHA1 together. Results are
+ * cached by path + size + mtime so rescans only hash new or changed files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createHash } from 'crypto';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'library' });
+
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const md5 = createHash('md5');
+    const sha1 = createHash('sha1');
+    let crc = 0;
+
+    fs.createReadStream(file)
+      .on('data', (chunk) => {
+        crc = zlib.crc32(chunk, crc);
+        md5.update(chunk);
+        sha1.update(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve({
+        crc32: crc.toString(16).padStart(8, '0'),
+        md5: md5.digest('hex'),
+        sha1: sha1.digest('hex')
+      }));
+  });
+}
+
+// The cache key: path, size and mtime, so a changed file misses
+const keyFor = (romPath, stats) => `${romPath}\0${stats.size}\0${stats.mtimeMs}`;
+
+const isInside = (dir, file) => file === dir || file.startsWith(dir.endsWith(path.sep) ? dir : `${dir}${path.sep}`);
+
+// An entry from another folder still describes its file as it is on disk
+async function isCurrent(key) {
+  const [romPath] = key.split('\0');
+  const stats = await fs.promises.stat(romPath).catch(() => null);
+  return Boolean(stats) && keyFor(romPath, stats) === key;
+}
+
+/**
+ * Hash cache persisted as one JSON file.
+ * Entries whose file changed size or mtime are simply missed and re-hashed.
+ */
+export async function openHashCache(file) {
+  let entries = {};
+  try {
+    entries = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Ignoring unreadable hash cache', { file, err: error });
+    }
+  }
+  const used = new Set();
+
+  return {
+    async hash(romPath) {
+      const stats = await fs.promises.stat(romPath);
+      const key = keyFor(romPath, stats);
+      used.add(key);
+
+      if (!entries[key]) {
+        entries[key] = await hashFile(romPath);
+      }
+      return entries[key];
+    },
+
+    /**
+     * Write the cache. Inside `scope`, the directory this run scanned, only
+     * entries it touched are kept, so deleted and changed files drop out.
+     * Entries outside it stay as long as their file is unchanged; without a
+     * scope the whole library was scanned.
+     */
+    async save({ scope = null } = {}) {
+      const kept = {};
+      for (const [key, value] of Object.entries(entries)) {
+        const outside = scope && !isInside(scope, key.split('\0')[0]);
+        if (used.has(key) || (outside && await isCurrent(key))) {
+          kept[key] = value;
+        }
+      }
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(kept));
+    }
+  };
+}
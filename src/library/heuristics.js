@@ -0,0 +1,39 @@
+/**
+ * Filename heuristics for titles and genres
+ * Used when a ROM has no better metadata.
+ */
+
+import path from 'path';
+
+// Genre detection from filename
+export function detectGenre(filename) {
+  const lower = filename.toLowerCase();
+  // Spin-off keywords first so "Mario Party" and "Mario Kart" aren't platformers
+  if (lower.includes('party')) return 'Party';
+  if (lower.includes('kart') || lower.includes('racing')) return 'Racing';
+  if (lower.includes('smash bros') || lower.includes('street fighter') || lower.includes('mortal kombat') || lower.includes('tekken')) return 'Fighting';
+  if (lower.includes('mario') || lower.includes('sonic') || lower.includes('metroid')) return 'Platformer';
+  if (lower.includes('final fantasy') || lower.includes('rpg')) return 'RPG';
+  if (lower.includes('zelda') || lower.includes('adventure')) return 'Adventure';
+  if (lower.includes('goldeneye') || lower.includes('shooter')) return 'Shooter';
+  return 'Action';
+}
+
+// Clean filename to get game title
+export function getGameTitle(filename) {
+  // Remove extension
+  let title = path.parse(filename).name;
+
+  // Common cleanup patterns
+  title = title.replace(/\(.*?\)/g, ''); // Remove (USA), (Europe), etc.
+  title = title.replace(/\[.*?\]/g, ''); // Remove [b1], etc.
+  title = title.replace(/_/g, ' '); // Replace underscores with spaces
+  title = title.replace(/\./g, ' '); // Replace dots with spaces
+
+  // Title case
+  title = title.split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+
+  return title.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,57 @@
+/**
+ * ROM identification
+ * Adds checksums to scanned games and, when DATs are loaded, replaces the
+ * filename-derived title with the canonical No-Intro/Redump one and fills in
+ * region, revision and year.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseDatName } from './dat.js';
+
+// Playlists and cue sheets are text - the data is in the files they point to
+const isDataFile = (file) => !['.m3u', '.cue'].includes(path.extname(file).toLowerCase());
+
+export async function identifyRoms(roms, { hashCache, dats = null, onError = () => {} }) {
+  for (const rom of roms) {
+    // Filename tags are the fallback for region/revision
+    const fromName = parseDatName(rom.filename);
+    Object.assign(rom, {
+      checksums: null,
+      year: null,
+      region: fromName.region,
+      revision: fromName.revision,
+      datName: null
+    });
+
+    const dataFiles = rom.parts.filter(isDataFile);
+    for (const [index, file] of dataFiles.entries()) {
+      let checksums;
+      try {
+        checksums = await hashCache.hash(file);
+      } catch (error) {
+        onError(file, error);
+        continue;
+      }
+      if (index === 0) {
+        rom.checksums = checksums;
+      }
+
+      const size = (await fs.promises.stat(file)).size;
+      const match = dats?.match(checksums, size);
+      if (match) {
+        Object.assign(rom, {
+          title: match.title,
+          year: match.year ?? null,
+          region: match.region,
+          revision: match.revision,
+          datName: match.name
+        });
+        break;
+      }
+      // Without DATs there is nothing to match further discs against
+      if (!dats) break;
+    }
+  }
+  return roms;
+}
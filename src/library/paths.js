@@ -0,0 +1,65 @@
+/**
+ * Library paths
+ * Game ROM paths are stored relative to the library root (GAMES_DIR), so the
+ * catalog never exposes host paths and the library can move. Everything that
+ * turns a stored path back into a file goes through here, which refuses paths
+ * that would leave the root.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const isInside = (root, file) => {
+  const relative = path.relative(root, file);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+// A stored path: relative, forward slashes, no `..` segments
+export function isSafeLibraryPath(romPath) {
+  return typeof romPath === 'string' && romPath.length > 0 && !romPath.includes('\0') &&
+    !romPath.includes('\\') && !path.posix.isAbsolute(romPath) && !romPath.split('/').includes('..');
+}
+
+// Absolute file inside the library -> stored form
+export function toLibraryPath(root, file) {
+  root = path.resolve(root);
+  const absolute = path.resolve(file);
+  if (!isInside(root, absolute)) {
+    throw new Error(`${file} is outside the library (${root})`);
+  }
+  return path.relative(root, absolute).split(path.sep).join('/');
+}
+
+/**
+ * Stored form of a catalog path. Older catalogs hold absolute paths; those
+ * inside the library are converted, anything else is returned unchanged.
+ */
+export function normalizeLibraryPath(root, romPath) {
+  if (!romPath || !path.isAbsolute(romPath)) return romPath;
+  try {
+    return toLibraryPath(root, romPath);
+  } catch {
+    return romPath;
+  }
+}
+
+/**
+ * Absolute path for a stored ROM path, or null if it points outside the
+ * library - including through a symlink when the file exists.
+ */
+export async function resolveLibraryPath(root, romPath) {
+  root = path.resolve(root);
+  const relative = normalizeLibraryPath(root, romPath);
+  if (!isSafeLibraryPath(relative)) return null;
+
+  const absolute = path.resolve(root, relative);
+  if (!isInside(root, absolute)) return null;
+
+  const [realRoot, realFile] = await Promise.all([
+    fs.promises.realpath(root).catch(() => root),
+    fs.promises.realpath(absolute).catch(() => null)
+  ]);
+  if (realFile && !isInside(realRoot, realFile)) return null;
+
+  return absolute;
+}
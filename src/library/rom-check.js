@@ -0,0 +1,64 @@
+/**
+ * ROM availability check
+ * Confirms every catalog game's ROM (and disc images) exists under the
+ * library root and can be read. Run at startup and from the admin API.
+ */
+
+import fs from 'fs';
+import { resolveLibraryPath } from './paths.js';
+
+async function problemWith(root, romPath) {
+  const file = await resolveLibraryPath(root, romPath);
+  if (!file) return 'outside the library';
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(file);
+  } catch {
+    return 'missing';
+  }
+  if (!stats.isFile()) return 'not a file';
+
+  try {
+    await fs.promises.access(file, fs.constants.R_OK);
+  } catch {
+    return 'unreadable';
+  }
+  return null;
+}
+
+/**
+ * Returns { root, checkedAt, total, ok, problems: [{ gameId, title, isActive, romPath, problem }] }.
+ * Inactive games without a ROM path are left out; active ones are reported.
+ */
+export async function checkRoms(games, { root }) {
+  const problems = [];
+  let ok = 0;
+
+  for (const game of games) {
+    const report = (romPath, problem) => problems.push({
+      gameId: game.id,
+      title: game.title,
+      isActive: game.isActive,
+      romPath,
+      problem
+    });
+
+    if (!game.romPath) {
+      if (game.isActive) report(null, 'no ROM path');
+      continue;
+    }
+
+    let healthy = true;
+    for (const romPath of [game.romPath, ...(game.discs || []).filter(d => d !== game.romPath)]) {
+      const problem = await problemWith(root, romPath);
+      if (problem) {
+        healthy = false;
+        report(romPath, problem);
+      }
+    }
+    if (healthy) ok++;
+  }
+
+  return { root, checkedAt: new Date().toISOString(), total: games.length, ok, problems };
+}
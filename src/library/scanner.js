@@ -0,0 +1,184 @@
+/**
+ * ROM library scanner
+ * Walks a ROM directory and returns one entry per game. Multi-file games are
+ * collapsed: a .m3u playlist owns the discs it lists, a .cue sheet owns its
+ * track files, and "(Disc N)" files of the same title are grouped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { detectGenre, getGameTitle } from './heuristics.js';
+import { ROM_EXTENSIONS, systemForFolder, systemsForExtension } from '../platforms.js';
+
+// Cover images that sit next to a ROM with the same name, e.g. "Game Name.png"
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+const DISC_PATTERN = /\s*\((?:disc|disk|cd)\s*(\d+)(?:\s*of\s*\d+)?\)/i;
+
+// Nearest ancestor folder (below the root) whose name names a system
+function systemFromFolders(filePath, root) {
+  let dir = path.dirname(filePath);
+  while (dir.startsWith(root) && dir !== root) {
+    const system = systemForFolder(path.basename(dir));
+    if (system) return system;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+// Extensions that belong to one system decide alone; shared disc image
+// formats (.iso, .bin, .cue, ...) need a system folder to disambiguate
+export function inferSystem(filePath, root) {
+  const candidates = systemsForExtension(path.extname(filePath));
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+  const folderSystem = systemFromFolders(filePath, root);
+  return candidates.includes(folderSystem) ? folderSystem : null;
+}
+
+async function walk(dir, files, warnings) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    warnings.push(`Cannot read ${dir}: ${error.message}`);
+    return;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await walk(fullPath, files, warnings);
+    } else if (entry.isFile() && ROM_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+}
+
+// Files referenced by a .cue (FILE "x.bin" BINARY) or .m3u (one path per line)
+async function referencedFiles(listPath) {
+  const dir = path.dirname(listPath);
+  const text = await fs.promises.readFile(listPath, 'utf8');
+
+  if (path.extname(listPath).toLowerCase() === '.cue') {
+    return [...text.matchAll(/^\s*FILE\s+"?(.+?)"?\s+\w+\s*$/gim)]
+      .map(match => path.resolve(dir, match[1]));
+  }
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => path.resolve(dir, line));
+}
+
+// First image named like one of `files` (extension swapped), if any
+async function findImage(files) {
+  for (const file of files) {
+    const { dir, name } = path.parse(file);
+    for (const base of [name, name.replace(DISC_PATTERN, '')]) {
+      for (const ext of IMAGE_EXTENSIONS) {
+        const candidate = path.join(dir, base + ext);
+        if (await fs.promises.access(candidate).then(() => true, () => false)) {
+          return candidate;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Scan `root` and return { games, warnings }.
+ * Each game: { path, filename, system, title, genre, size, modifiedAt, discs, parts }
+ * where `parts` is every file belonging to the game, playlists and tracks included,
+ * and `image` is a cover found next to the ROM (or null).
+ */
+export async function scanLibrary(root) {
+  root = path.resolve(root);
+  const warnings = [];
+  const files = [];
+  await walk(root, files, warnings);
+  files.sort();
+
+  // Playlists first so they claim their discs, then cue sheets their tracks
+  const owned = new Map();
+  const lists = files.filter(f => ['.m3u', '.cue'].includes(path.extname(f).toLowerCase()))
+    .sort((a, b) => (a.endsWith('.m3u') ? 0 : 1) - (b.endsWith('.m3u') ? 0 : 1));
+  for (const list of lists) {
+    try {
+      const refs = await referencedFiles(list);
+      const missing = refs.filter(ref => !files.includes(ref));
+      if (missing.length > 0) {
+        warnings.push(`${list} references missing file(s): ${missing.map(m => path.basename(m)).join(', ')}`);
+      }
+      for (const ref of refs) {
+        if (ref !== list && !owned.has(ref)) owned.set(ref, list);
+      }
+    } catch (error) {
+      warnings.push(`Cannot read ${list}: ${error.message}`);
+    }
+  }
+
+  const childrenOf = (list) => [...owned.entries()].filter(([, owner]) => owner === list).map(([file]) => file);
+  const descendantsOf = (list) => childrenOf(list).flatMap(child => [child, ...descendantsOf(child)]);
+
+  // Group loose "(Disc N)" files by directory + title without the disc tag
+  const groups = new Map();
+  for (const file of files) {
+    if (owned.has(file)) continue;
+
+    const system = inferSystem(file, root);
+    if (!system) {
+      warnings.push(`Skipping ${path.relative(root, file)}: can't tell the system from "${path.extname(file)}" - put it in a system folder (e.g. psx/, ps2/, gamecube/)`);
+      continue;
+    }
+
+    const name = path.basename(file);
+    const discMatch = name.match(DISC_PATTERN);
+    const key = discMatch
+      ? `${path.dirname(file)}\0${system}\0${name.replace(DISC_PATTERN, '')}`
+      : file;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ file, system, disc: discMatch ? Number(discMatch[1]) : null });
+  }
+
+  const games = [];
+  for (const members of groups.values()) {
+    members.sort((a, b) => (a.disc ?? 0) - (b.disc ?? 0));
+    const { file, system } = members[0];
+
+    // Discs are the grouped files, or what an .m3u playlist lists
+    const discs = members.length > 1
+      ? members.map(m => m.file)
+      : path.extname(file).toLowerCase() === '.m3u' ? childrenOf(file) : [];
+
+    let size = 0;
+    let modifiedAt = 0;
+    const parts = members.flatMap(m => [m.file, ...descendantsOf(m.file)]);
+    for (const part of parts) {
+      try {
+        const stats = await fs.promises.stat(part);
+        size += stats.size;
+        modifiedAt = Math.max(modifiedAt, stats.mtimeMs);
+      } catch {
+        // Missing parts were already reported above
+      }
+    }
+
+    const filename = path.basename(file);
+    games.push({
+      path: file,
+      filename,
+      system,
+      title: getGameTitle(filename.replace(DISC_PATTERN, '')),
+      genre: detectGenre(filename),
+      size,
+      modifiedAt: new Date(modifiedAt).toISOString(),
+      discs,
+      parts,
+      image: await findImage([file, ...members.slice(1).map(m => m.file)])
+    });
+  }
+
+  return { games, warnings };
+}
@@ -0,0 +1,163 @@
+/**
+ * Catalog sync for library scans
+ * Compares a scan with the games already in the catalog and produces a diff
+ * that can be printed (dry run) and then applied.
+ */
+
+import { normalizeLibraryPath } from './paths.js';
+import { DEACTIVATED_MISSING_FILE } from '../catalog/games.js';
+
+const isInside = (romPath, scope) => !scope || romPath.startsWith(`${scope}/`);
+
+// Canonical details from a DAT match; filename guesses and DAT gaps never
+// overwrite what the catalog has
+function datFields(rom) {
+  if (!rom.datName) return {};
+  const fields = { title: rom.title, region: rom.region, revision: rom.revision, year: rom.year };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+}
+
+/**
+ * Returns { added, conflicts, updated, reactivated, deactivated, unchanged }.
+ * `scanned` ROM paths and discs are relative to the library `root`, and
+ * `scope` is the scanned folder within it ('' for the whole library).
+ * New ROMs whose slug is already taken are reported as conflicts rather than
+ * added twice. Only catalog games whose ROM lives under `scope` are considered
+ * for deactivation, so scanning one folder never touches games from another.
+ * Only games a scan deactivated for a missing file are reactivated; games an
+ * admin switched off stay off, though their file details are kept current.
+ * Existing games matched against a DAT pick up its title, region, revision
+ * and year.
+ * Games still stored with an absolute path inside the library are matched
+ * and rewritten to the relative form.
+ */
+export function planSync({ scanned, existing, root, scope = '', slugFor }) {
+  const plan = { added: [], conflicts: [], updated: [], reactivated: [], deactivated: [], unchanged: [] };
+  const stored = (game) => normalizeLibraryPath(root, game.romPath);
+  const byRomPath = new Map(existing.filter(g => g.romPath).map(g => [stored(g), g]));
+  const slugs = new Map(existing.map(g => [g.slug, g]));
+  const seen = new Set();
+
+  for (const rom of scanned) {
+    const game = byRomPath.get(rom.path);
+    if (!game) {
+      const slug = slugFor(rom);
+      if (slugs.has(slug)) {
+        plan.conflicts.push({ rom, slug, game: slugs.get(slug) });
+      } else {
+        slugs.set(slug, null);
+        plan.added.push({ rom, slug });
+      }
+      continue;
+    }
+    seen.add(game.id);
+
+    const changed = game.romPath !== rom.path || game.romSize !== rom.size || game.romModifiedAt !== rom.modifiedAt ||
+      JSON.stringify(game.discs || []) !== JSON.stringify(rom.discs) ||
+      game.checksums?.sha1 !== rom.checksums?.sha1 ||
+      (rom.image && !game.coverArtUrl) ||
+      Object.entries(datFields(rom)).some(([key, value]) => game[key] !== value);
+    if (!game.isActive && game.deactivatedReason === DEACTIVATED_MISSING_FILE) {
+      plan.reactivated.push({ rom, game });
+    } else if (changed) {
+      plan.updated.push({ rom, game });
+    } else {
+      plan.unchanged.push({ rom, game });
+    }
+  }
+
+  for (const game of existing) {
+    if (game.isActive && game.romPath && !seen.has(game.id) && isInside(stored(game), scope)) {
+      plan.deactivated.push({ game });
+    }
+  }
+
+  return plan;
+}
+
+export function formatPlan(plan) {
+  const lines = [];
+  const section = (symbol, label, items, describe) => {
+    lines.push(`${label}: ${items.length}`);
+    for (const item of items) {
+      lines.push(`  ${symbol} ${describe(item)}`);
+    }
+  };
+
+  section('+', 'New', plan.added, ({ rom }) =>
+    `${rom.title} (${rom.system.toUpperCase()}) ${rom.path}${rom.image ? ' [cover]' : ''}`);
+  section('!', 'Skipped (slug already in use)', plan.conflicts, ({ rom, slug }) => `${rom.path} -> ${slug}`);
+  section('~', 'Changed', plan.updated, ({ rom, game }) =>
+    `${game.title}${datFields(rom).title && rom.title !== game.title ? ` -> ${rom.title}` : ''} ${game.romPath}`);
+  section('↺', 'Reactivated', plan.reactivated, ({ game }) => `${game.title} ${game.romPath}`);
+  section('-', 'Missing (will be deactivated)', plan.deactivated, ({ game }) => `${game.title} ${game.romPath}`);
+  lines.push(`Unchanged: ${plan.unchanged.length}`);
+  return lines.join('\n');
+}
+
+/**
+ * Write a plan to the catalog. `toGame(rom)` builds the create payload for a
+ * new ROM so callers decide titles, emulators and so on. `importCover(rom, slug)`
+ * stores an image found next to the ROM and returns its URL; it is only used
+ * for games that don't have cover art yet.
+ * Returns { added, updated, reactivated, deactivated, failed }.
+ */
+export async function applySync(plan, { games, toGame, importCover = async () => null }) {
+  const result = { added: 0, updated: 0, reactivated: 0, deactivated: 0, failed: [] };
+  const fileFields = (rom) => ({
+    romPath: rom.path,
+    romSize: rom.size,
+    romModifiedAt: rom.modifiedAt,
+    discs: rom.discs,
+    checksums: rom.checksums ?? null
+  });
+
+  for (const { rom, slug } of plan.added) {
+    try {
+      const coverArtUrl = rom.image ? await importCover(rom, slug) : null;
+      await games.create({
+        ...await toGame(rom),
+        slug,
+        ...fileFields(rom),
+        ...(coverArtUrl && { coverArtUrl })
+      });
+      result.added++;
+    } catch (error) {
+      result.failed.push({ path: rom.path, error: error.message });
+    }
+  }
+
+  const coverFor = async (rom, game) => {
+    const coverArtUrl = rom.image && !game.coverArtUrl ? await importCover(rom, game.slug) : null;
+    return coverArtUrl ? { coverArtUrl } : {};
+  };
+
+  for (const { rom, game } of plan.updated) {
+    try {
+      await games.update(game.id, { ...fileFields(rom), ...datFields(rom), ...await coverFor(rom, game) });
+      result.updated++;
+    } catch (error) {
+      result.failed.push({ path: rom.path, error: error.message });
+    }
+  }
+
+  for (const { rom, game } of plan.reactivated) {
+    try {
+      await games.update(game.id, { isActive: true, ...fileFields(rom), ...datFields(rom), ...await coverFor(rom, game) });
+      result.reactivated++;
+    } catch (error) {
+      result.failed.push({ path: rom.path, error: error.message });
+    }
+  }
+
+  for (const { game } of plan.deactivated) {
+    try {
+      await games.update(game.id, { isActive: false, deactivatedReason: DEACTIVATED_MISSING_FILE });
+      result.deactivated++;
+    } catch (error) {
+      result.failed.push({ path: game.romPath, error: error.message });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,309 @@
+/**
+ * Multiplayer lobbies
+ * Players gather in a lobby under a short invite code, take the game's player
+ * slots (or spectator seats), ready up, and the host starts one shared session
+ * whose controller ports follow the lobby slots.
+ *
+ * Lobbies live in memory like sessions. Emits 'lobby' with the lobby snapshot
+ * on every change, and 'kicked' with { lobby, userId } when the host removes
+ * someone.
+ */
+
+import { EventEmitter } from 'events';
+import { randomInt, randomUUID } from 'crypto';
+import { HttpError } from '../errors.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'lobbies' });
+
+// No 0/O or 1/I so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+export const MAX_SPECTATORS = 16;
+
+export function createLobbyManager({
+  games,
+  sessions,
+  // Launches the shared session; the queue's startNow keeps held slots free
+  startSession = (options) => sessions.start(options),
+  idleTimeout = 30 * 60 * 1000,
+  cleanupInterval = 60 * 1000
+}) {
+  const events = new EventEmitter();
+  // code -> lobby
+  const lobbies = new Map();
+  let timer = null;
+
+  const snapshot = (lobby) => structuredClone(lobby);
+
+  function changed(lobby) {
+    lobby.updatedAt = new Date().toISOString();
+    events.emit('lobby', snapshot(lobby));
+  }
+
+  function newCode() {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+    } while (lobbies.has(code));
+    return code;
+  }
+
+  function find(code) {
+    const lobby = lobbies.get(String(code || '').toUpperCase());
+    if (!lobby) {
+      throw new HttpError(404, 'Lobby not found');
+    }
+    return lobby;
+  }
+
+  function requireHost(lobby, userId) {
+    if (lobby.hostId !== userId) {
+      throw new HttpError(403, 'Only the host can do that');
+    }
+  }
+
+  const playerOf = (lobby, userId) => lobby.players.find(p => p.userId === userId) || null;
+  const isMember = (lobby, userId) =>
+    Boolean(playerOf(lobby, userId) || lobby.spectators.some(s => s.userId === userId));
+
+  // Leaving the players mid-game also frees the seat in the running session
+  function removeMember(lobby, userId) {
+    if (lobby.sessionId && playerOf(lobby, userId)) {
+      sessions.removePlayer(lobby.sessionId, userId);
+    }
+    lobby.players = lobby.players.filter(p => p.userId !== userId);
+    lobby.spectators = lobby.spectators.filter(s => s.userId !== userId);
+  }
+
+  function close(lobby) {
+    lobby.status = 'closed';
+    lobbies.delete(lobby.code);
+    changed(lobby);
+  }
+
+  async function create({ gameId, user, maxSpectators = 4 }) {
+    const game = await games.findById(gameId);
+    if (!game || !game.isActive) {
+      throw new HttpError(404, 'Game not found');
+    }
+
+    const now = new Date().toISOString();
+    const lobby = {
+      id: randomUUID(),
+      code: newCode(),
+      gameId: game.id,
+      hostId: user.id,
+      status: 'open',
+      maxPlayers: game.playerCount || 1,
+      maxSpectators,
+      players: [{ slot: 1, userId: user.id, username: user.username, ready: false }],
+      spectators: [],
+      sessionId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    lobbies.set(lobby.code, lobby);
+    changed(lobby);
+    return snapshot(lobby);
+  }
+
+  /**
+   * Join as a player (lowest free slot) or as a spectator. Joining again
+   * with the other role switches seats; players can only be added while
+   * the lobby is open.
+   */
+  function join(code, user, { spectator = false } = {}) {
+    const lobby = find(code);
+    if (spectator && lobby.spectators.some(s => s.userId === user.id)) return snapshot(lobby);
+    if (!spectator && playerOf(lobby, user.id)) return snapshot(lobby);
+
+    if (spectator) {
+      if (lobby.spectators.length >= lobby.maxSpectators) {
+        throw new HttpError(409, 'All spectator seats are taken');
+      }
+      if (lobby.hostId === user.id) {
+        throw new HttpError(409, 'The host has to play; transfer the lobby first');
+      }
+    } else {
+      if (lobby.status !== 'open') {
+        throw new HttpError(409, 'The game has already started');
+      }
+      if (lobby.players.length >= lobby.maxPlayers) {
+        throw new HttpError(409, 'All player slots are taken');
+      }
+    }
+
+    removeMember(lobby, user.id);
+    if (spectator) {
+      lobby.spectators.push({ userId: user.id, username: user.username });
+    } else {
+      let slot = 1;
+      while (lobby.players.some(p => p.slot === slot)) slot++;
+      lobby.players.push({ slot, userId: user.id, username: user.username, ready: false });
+      lobby.players.sort((a, b) => a.slot - b.slot);
+    }
+    changed(lobby);
+    return snapshot(lobby);
+  }
+
+  // Leaving as host hands the lobby to the next player; the last player out closes it
+  function leave(code, userId) {
+    const lobby = find(code);
+    if (!isMember(lobby, userId)) {
+      throw new HttpError(404, 'Not in this lobby');
+    }
+
+    removeMember(lobby, userId);
+    if (lobby.players.length === 0) {
+      close(lobby);
+    } else {
+      if (lobby.hostId === userId) {
+        lobby.hostId = lobby.players[0].userId;
+      }
+      changed(lobby);
+    }
+    return snapshot(lobby);
+  }
+
+  function setReady(code, userId, ready) {
+    const lobby = find(code);
+    const player = playerOf(lobby, userId);
+    if (!player) {
+      throw new HttpError(404, 'Not a player in this lobby');
+    }
+    if (lobby.status !== 'open') {
+      throw new HttpError(409, 'The game has already started');
+    }
+
+    player.ready = ready;
+    changed(lobby);
+    return snapshot(lobby);
+  }
+
+  function kick(code, hostId, userId) {
+    const lobby = find(code);
+    requireHost(lobby, hostId);
+    if (userId === hostId) {
+      throw new HttpError(400, 'The host cannot kick themselves; leave instead');
+    }
+    if (!isMember(lobby, userId)) {
+      throw new HttpError(404, 'Not in this lobby');
+    }
+
+    removeMember(lobby, userId);
+    changed(lobby);
+    events.emit('kicked', { lobby: snapshot(lobby), userId });
+    return snapshot(lobby);
+  }
+
+  function transfer(code, hostId, userId) {
+    const lobby = find(code);
+    requireHost(lobby, hostId);
+    if (!playerOf(lobby, userId)) {
+      throw new HttpError(400, 'The new host has to be a player in the lobby');
+    }
+
+    lobby.hostId = userId;
+    changed(lobby);
+    return snapshot(lobby);
+  }
+
+  // Launch the shared session once every player other than the host is ready
+  async function start(code, hostId) {
+    const lobby = find(code);
+    requireHost(lobby, hostId);
+    if (lobby.status !== 'open') {
+      throw new HttpError(409, 'The game has already started');
+    }
+
+    const waiting = lobby.players.filter(p => !p.ready && p.userId !== hostId);
+    if (waiting.length > 0) {
+      throw new HttpError(409, `Waiting for ${waiting.map(p => p.username || p.userId).join(', ')} to be ready`);
+    }
+
+    lobby.status = 'starting';
+    changed(lobby);
+
+    let session;
+    try {
+      session = await startSession({
+        gameId: lobby.gameId,
+        userId: hostId,
+        lobbyId: lobby.id,
+        players: lobby.players.map(({ slot, userId, username }) => ({ slot, userId, username }))
+      });
+    } catch (error) {
+      lobby.status = 'open';
+      changed(lobby);
+      throw error;
+    }
+
+    lobby.status = 'in-game';
+    lobby.sessionId = session.id;
+    changed(lobby);
+    return { lobby: snapshot(lobby), session };
+  }
+
+  // Back to the lobby when the shared session finishes, with everyone un-readied
+  sessions.on('session', (session) => {
+    if (!session.lobbyId || !['ended', 'crashed'].includes(session.status)) return;
+
+    const lobby = [...lobbies.values()].find(l => l.sessionId === session.id);
+    if (!lobby) return;
+
+    lobby.status = 'open';
+    lobby.sessionId = null;
+    for (const player of lobby.players) player.ready = false;
+    changed(lobby);
+  });
+
+  function cleanup() {
+    const now = Date.now();
+    for (const lobby of [...lobbies.values()]) {
+      if (lobby.status === 'open' && now - Date.parse(lobby.updatedAt) >= idleTimeout) {
+        log.info('Closing idle lobby', { lobbyId: lobby.id, code: lobby.code });
+        close(lobby);
+      }
+    }
+  }
+
+  return {
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+    create,
+    join,
+    leave,
+    setReady,
+    kick,
+    transfer,
+    start,
+    cleanup,
+
+    get(code) {
+      const lobby = lobbies.get(String(code || '').toUpperCase());
+      return lobby ? snapshot(lobby) : null;
+    },
+
+    findById(id) {
+      const lobby = [...lobbies.values()].find(l => l.id === id);
+      return lobby ? snapshot(lobby) : null;
+    },
+
+    isMember(code, userId) {
+      const lobby = lobbies.get(String(code || '').toUpperCase());
+      return Boolean(lobby && isMember(lobby, userId));
+    },
+
+    startCleanup() {
+      timer = setInterval(cleanup, cleanupInterval);
+      timer.unref();
+    },
+
+    stopCleanup() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
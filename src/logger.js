@@ -0,0 +1,48 @@
+/**
+ * Structured logger
+ * One JSON object per line on stdout:
+ *   {"time":"...","level":"info","msg":"Session started","component":"sessions","sessionId":"..."}
+ * Child loggers add fixed fields (component, sessionId, ...) to everything
+ * they write, and the request context (see context.js) adds the request ID.
+ * Errors passed as fields are written as { name, message, code, stack }.
+ */
+
+import { currentContext } from './context.js';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Shared by every child so setLogLevel() applies everywhere
+const state = { level: LEVELS.indexOf('info') };
+
+export function setLogLevel(level) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  state.level = LEVELS.indexOf(level);
+}
+
+const serialize = (value) => (value instanceof Error
+  ? { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack }
+  : value);
+
+function createLogger(bindings) {
+  const write = (level, msg, fields = {}) => {
+    if (LEVELS.indexOf(level) < state.level) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...currentContext(), ...bindings };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = serialize(value);
+    }
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  };
+}
+
+export const logger = createLogger({});
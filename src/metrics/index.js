@@ -0,0 +1,155 @@
+/**
+ * Server metrics
+ * Live counters shared by /api/stats and the Prometheus /metrics endpoint.
+ */
+
+import { createRegistry } from './registry.js';
+import { processUsage } from './process-usage.js';
+
+const LIVE = new Set(['starting', 'running']);
+
+export function createMetrics({ sessions }) {
+  const registry = createRegistry();
+  let io = null;
+
+  const httpDuration = registry.histogram({
+    name: 'platium_http_request_duration_seconds',
+    help: 'HTTP request latency by route'
+  });
+
+  const sessionEvents = registry.counter({
+    name: 'platium_session_events_total',
+    help: 'Session lifecycle events (started, ended, crashed) by system'
+  });
+
+  registry.gauge({
+    name: 'platium_connected_sockets',
+    help: 'Connected Socket.IO clients',
+    collect: (g) => g.set({}, connectedSockets())
+  });
+
+  registry.gauge({
+    name: 'platium_online_users',
+    help: 'Distinct users with at least one connected socket',
+    collect: (g) => g.set({}, onlineUsers())
+  });
+
+  registry.gauge({
+    name: 'platium_active_sessions',
+    help: 'Active sessions by system',
+    collect: (g) => {
+      for (const [system, count] of Object.entries(activeBySystem())) {
+        g.set({ system }, count);
+      }
+    }
+  });
+
+  registry.gauge({
+    name: 'platium_emulator_cpu_seconds',
+    help: 'CPU time used by running emulators, by system',
+    collect: async (g) => {
+      for (const [system, usage] of Object.entries(await emulatorUsage())) {
+        g.set({ system }, usage.cpuSeconds);
+      }
+    }
+  });
+
+  registry.gauge({
+    name: 'platium_emulator_memory_bytes',
+    help: 'Resident memory of running emulators, by system',
+    collect: async (g) => {
+      for (const [system, usage] of Object.entries(await emulatorUsage())) {
+        g.set({ system }, usage.memoryBytes);
+      }
+    }
+  });
+
+  // Count each transition once, as it happens. 'session' also fires for
+  // changes that keep the status (settings, players), so only a status that
+  // differs from the session's last one counts.
+  const sessionTotals = { started: 0, ended: 0, crashed: 0 };
+  const lastStatus = new Map();
+  sessions.on('session', (session) => {
+    if (lastStatus.get(session.id) === session.status) return;
+    if (LIVE.has(session.status)) {
+      lastStatus.set(session.id, session.status);
+    } else {
+      lastStatus.delete(session.id);
+    }
+
+    const event = { running: 'started', ended: 'ended', crashed: 'crashed' }[session.status];
+    if (event) {
+      sessionEvents.inc({ system: session.system, event });
+      sessionTotals[event]++;
+    }
+  });
+
+  function connectedSockets() {
+    return io ? io.of('/').sockets.size : 0;
+  }
+
+  function onlineUsers() {
+    if (!io) return 0;
+    const ids = new Set();
+    for (const socket of io.of('/').sockets.values()) {
+      if (socket.data.user) ids.add(socket.data.user.id);
+    }
+    return ids.size;
+  }
+
+  function activeBySystem() {
+    const counts = {};
+    for (const session of sessions.list()) {
+      if (LIVE.has(session.status)) {
+        counts[session.system] = (counts[session.system] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  // Summed per system: session IDs and pids stay out of public stats
+  async function emulatorUsage() {
+    const live = sessions.list().filter(s => LIVE.has(s.status) && s.pid);
+    const usage = await Promise.all(live.map(session => processUsage(session.pid)));
+
+    const bySystem = {};
+    live.forEach((session, i) => {
+      if (!usage[i]) return;
+      const total = bySystem[session.system] ||= { emulators: 0, cpuSeconds: 0, memoryBytes: 0 };
+      total.emulators++;
+      total.cpuSeconds += usage[i].cpuSeconds;
+      total.memoryBytes += usage[i].memoryBytes;
+    });
+    return bySystem;
+  }
+
+  return {
+    // Attach once the Socket.IO server exists
+    watchSockets(server) {
+      io = server;
+    },
+
+    // Times every request; labelled with the matched route pattern, not the raw URL
+    httpMiddleware(req, res, next) {
+      const start = process.hrtime.bigint();
+      res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+      });
+      next();
+    },
+
+    render: () => registry.render(),
+
+    async stats() {
+      return {
+        connectedSockets: connectedSockets(),
+        onlineUsers: onlineUsers(),
+        activeSessionsBySystem: activeBySystem(),
+        sessionTotals: { ...sessionTotals },
+        emulatorsBySystem: await emulatorUsage()
+      };
+    }
+  };
+}
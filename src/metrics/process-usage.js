@@ -0,0 +1,33 @@
+/**
+ * CPU and memory usage of a process, read from /proc (Linux only).
+ * Returns null when the process is gone or /proc isn't available.
+ */
+
+import fs from 'fs';
+
+const CLOCK_TICKS = 100;
+const PAGE_SIZE = 4096;
+
+export async function processUsage(pid) {
+  if (!pid) return null;
+
+  try {
+    const [stat, statm] = await Promise.all([
+      fs.promises.readFile(`/proc/${pid}/stat`, 'utf8'),
+      fs.promises.readFile(`/proc/${pid}/statm`, 'utf8')
+    ]);
+
+    // The command name may contain spaces, so split after its closing paren
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const utime = Number(fields[11]);
+    const stime = Number(fields[12]);
+    const rssPages = Number(statm.split(' ')[1]);
+
+    return {
+      cpuSeconds: (utime + stime) / CLOCK_TICKS,
+      memoryBytes: rssPages * PAGE_SIZE
+    };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Minimal Prometheus metrics registry
+ * Counters, gauges and histograms with labels, rendered in the text exposition
+ * format. Gauges can be given a collect() callback that fills them at scrape time.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const body = entries
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+  return `{${body}}`;
+}
+
+function createSeries() {
+  // labelKey -> { labels, value }
+  const series = new Map();
+  return {
+    entry(labels, init) {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, { labels, ...init() });
+      return series.get(key);
+    },
+    values: () => [...series.values()],
+    reset: () => series.clear()
+  };
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    counter({ name, help }) {
+      const series = createSeries();
+      return register({
+        name, help, type: 'counter',
+        inc(labels = {}, amount = 1) {
+          series.entry(labels, () => ({ value: 0 })).value += amount;
+        },
+        lines: () => series.values().map(s => `${name}${formatLabels(s.labels)} ${s.value}`)
+      });
+    },
+
+    gauge({ name, help, collect }) {
+      const series = createSeries();
+      const gauge = register({
+        name, help, type: 'gauge',
+        set(labels, value) {
+          series.entry(labels, () => ({ value: 0 })).value = value;
+        },
+        reset: series.reset,
+        async lines() {
+          if (collect) {
+            series.reset();
+            await collect(gauge);
+          }
+          return series.values().map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+        }
+      });
+      return gauge;
+    },
+
+    histogram({ name, help, buckets = DEFAULT_BUCKETS }) {
+      const series = createSeries();
+      const init = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+      return register({
+        name, help, type: 'histogram',
+        observe(labels, value) {
+          const s = series.entry(labels, init);
+          buckets.forEach((bound, i) => {
+            if (value <= bound) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+        lines() {
+          return series.values().flatMap(s => [
+            ...buckets.map((bound, i) =>
+              `${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`),
+            `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+            `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+            `${name}_count${formatLabels(s.labels)} ${s.count}`
+          ]);
+        }
+      });
+    },
+
+    async render() {
+      const out = [];
+      for (const metric of metrics) {
+        out.push(`# HELP ${metric.name} ${metric.help}`);
+        out.push(`# TYPE ${metric.name} ${metric.type}`);
+        out.push(...await metric.lines());
+      }
+      return `${out.join('\n')}\n`;
+    }
+  };
+}
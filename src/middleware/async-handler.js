@@ -0,0 +1,7 @@
+/**
+ * Forward rejected promises from async route handlers to Express
+ */
+
+export const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
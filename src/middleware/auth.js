@@ -0,0 +1,128 @@
+/**
+ * Authentication middleware
+ * Bearer tokens are checked by a validator (see auth/validators.js) and the
+ * resulting user is attached as req.user / socket.data.user.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { socketIp, tooManyRequests } from './rate-limit.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'auth' });
+
+function bearerToken(header) {
+  const [scheme, token] = (header || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+export const hasRole = (user, role) => Boolean(user?.roles.includes(role));
+
+/**
+ * Attaches req.user when a token is sent. Requests without a token carry on
+ * anonymously; a token that doesn't validate is rejected outright.
+ *
+ * With a `failures` limiter every rejected token spends one of the client
+ * IP's tokens, and once they run out that IP gets 429 for anything carrying
+ * a token until the bucket refills - guessing tokens gets slow quickly.
+ */
+export function createAuthenticator(validator, { failures = null } = {}) {
+  return async (req, res, next) => {
+    const token = bearerToken(req.headers.authorization);
+    req.user = null;
+    if (!token) return next();
+
+    if (failures) {
+      const { allowed, retryAfter } = await failures.take(req.ip, 0);
+      if (!allowed) {
+        return tooManyRequests(res, retryAfter);
+      }
+    }
+
+    let user;
+    try {
+      user = await validator.validate(token);
+    } catch (error) {
+      log.error('Token validation unavailable', { err: error });
+      return res.status(503).json({ error: 'Authentication service unavailable' });
+    }
+
+    if (!user) {
+      await failures?.take(req.ip);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+// Socket.IO handshake check - token from `auth: { token }` or the Authorization header
+export function createSocketAuthenticator(validator, { failures = null } = {}) {
+  return async (socket, next) => {
+    const token = socket.handshake.auth?.token || bearerToken(socket.handshake.headers.authorization);
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    try {
+      // Same failure budget as HTTP; connect_error carries { retryAfter } in milliseconds
+      const ip = socketIp(socket);
+      const limit = failures ? await failures.take(ip, 0) : { allowed: true };
+      if (!limit.allowed) {
+        const error = new Error('Too many requests');
+        error.data = { retryAfter: limit.retryAfter };
+        return next(error);
+      }
+
+      const user = await validator.validate(token);
+      if (!user) {
+        await failures?.take(ip);
+        return next(new Error('Invalid or expired token'));
+      }
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      log.error('Token validation unavailable', { err: error });
+      next(new Error('Authentication service unavailable'));
+    }
+  };
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+export const requireAdmin = requireRole('admin');
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * Admins only, except for callers sending `token` - a shared secret such as
+ * METRICS_TOKEN for Prometheus - which skip token validation altogether.
+ * For routes mounted before the global authenticator; `authenticate` is
+ * that authenticator, run for everyone without the secret.
+ */
+export function requireAdminOrToken(token, authenticate) {
+  const expected = token ? digest(token) : null;
+  return (req, res, next) => {
+    const sent = bearerToken(req.headers.authorization);
+    if (expected && sent && timingSafeEqual(digest(sent), expected)) {
+      return next();
+    }
+    authenticate(req, res, () => requireAdmin(req, res, next));
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Rate limiting middleware
+ * A limiter is a named rule over a rate limit store (see rate-limit/); each
+ * caller gets its own bucket under `<name>:<id>`. Limiters without a rule
+ * (the limit was set to `off`) allow everything.
+ */
+
+export function createLimiter(store, { name, rule }) {
+  return {
+    name,
+
+    async take(id, cost = 1) {
+      if (!rule || id === null || id === undefined) {
+        return { allowed: true, retryAfter: 0 };
+      }
+      return store.consume(`${name}:${id}`, rule, cost);
+    }
+  };
+}
+
+/**
+ * Client address of a Socket.IO handshake. Matches Express's `trust proxy 1`:
+ * behind the one reverse proxy, the last X-Forwarded-For entry is the client.
+ */
+export function socketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',').at(-1).trim() : socket.handshake.address;
+}
+
+// 429 with Retry-After in whole seconds
+export function tooManyRequests(res, retryAfter) {
+  const seconds = Math.max(1, Math.ceil(retryAfter / 1000));
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ error: 'Too many requests', retryAfter: seconds });
+}
+
+/**
+ * Spends one token from the caller's bucket per request. `keyFor` picks the
+ * bucket (e.g. req.ip or req.user?.id); requests it returns null for pass.
+ */
+export function rateLimit(limiter, keyFor) {
+  return async (req, res, next) => {
+    try {
+      const { allowed, retryAfter } = await limiter.take(keyFor(req));
+      if (!allowed) {
+        return tooManyRequests(res, retryAfter);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
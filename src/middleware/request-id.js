@@ -0,0 +1,62 @@
+/**
+ * Request IDs
+ * Every HTTP request and socket connection gets an ID - the caller's
+ * X-Request-Id if it sent a sensible one, a new UUID otherwise. HTTP
+ * responses echo it in X-Request-Id; sockets get it at connection time
+ * and all their events run under it. Logs written while handling either
+ * carry it (see context.js).
+ */
+
+import { randomUUID } from 'crypto';
+import { runWithContext } from '../context.js';
+import { logger } from '../logger.js';
+
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+const idFrom = (header) => (typeof header === 'string' && VALID_ID.test(header) ? header : randomUUID());
+
+const log = logger.child({ component: 'http' });
+
+// Probes and scrapes would drown everything else at info
+const QUIET_PATHS = ['/health', '/metrics'];
+
+export function requestId() {
+  return (req, res, next) => {
+    req.id = idFrom(req.headers['x-request-id']);
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const quiet = QUIET_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`));
+      log[quiet ? 'debug' : 'info']('Request finished', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+        userId: req.user?.id ?? null
+      });
+    });
+
+    runWithContext({ requestId: req.id }, next);
+  };
+}
+
+/**
+ * Socket.IO counterpart: the handshake's X-Request-Id (or a new one) becomes
+ * socket.data.requestId, echoed to the client as `connection:ready`, and
+ * every incoming event is handled in its context.
+ */
+export function registerSocketRequestIds(io) {
+  io.use((socket, next) => {
+    socket.data.requestId = idFrom(socket.handshake.headers['x-request-id']);
+    next();
+  });
+
+  io.on('connection', (socket) => {
+    socket.use((packet, next) => {
+      runWithContext({ requestId: socket.data.requestId, socketId: socket.id }, next);
+    });
+    socket.emit('connection:ready', { requestId: socket.data.requestId });
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * Platform registry
+ * Single source of truth for the systems we support, shared by the server
+ * (validation, /api/systems, emulator profiles) and the scripts (ROM scanner).
+ */
+
+export const PLATFORMS = [
+  {
+    id: 'nes',
+    name: 'Nintendo Entertainment System',
+    manufacturer: 'Nintendo',
+    generation: 3,
+    extensions: ['.nes'],
+    folders: ['nes', 'famicom'],
+    emulator: 'retroarch',
+    core: 'fceumm',
+    maxControllers: 4
+  },
+  {
+    id: 'snes',
+    name: 'Super Nintendo',
+    manufacturer: 'Nintendo',
+    generation: 4,
+    extensions: ['.smc', '.sfc'],
+    folders: ['snes', 'super nintendo', 'sfc'],
+    emulator: 'retroarch',
+    core: 'snes9x',
+    maxControllers: 5
+  },
+  {
+    id: 'genesis',
+    name: 'Sega Genesis',
+    manufacturer: 'Sega',
+    generation: 4,
+    extensions: ['.md', '.gen', '.bin'],
+    folders: ['genesis', 'megadrive', 'mega drive', 'md'],
+    emulator: 'retroarch',
+    core: 'genesis_plus_gx',
+    maxControllers: 4
+  },
+  {
+    id: 'n64',
+    name: 'Nintendo 64',
+    manufacturer: 'Nintendo',
+    generation: 5,
+    extensions: ['.z64', '.n64', '.v64'],
+    folders: ['n64', 'nintendo 64'],
+    emulator: 'retroarch',
+    core: 'mupen64plus_next',
+    maxControllers: 4
+  },
+  {
+    id: 'psx',
+    name: 'PlayStation',
+    manufacturer: 'Sony',
+    generation: 5,
+    extensions: ['.bin', '.cue', '.iso', '.chd', '.m3u'],
+    folders: ['psx', 'ps1', 'playstation'],
+    emulator: 'retroarch',
+    core: 'pcsx_rearmed',
+    maxControllers: 8
+  },
+  {
+    id: 'gamecube',
+    name: 'Nintendo GameCube',
+    manufacturer: 'Nintendo',
+    generation: 6,
+    extensions: ['.iso', '.gcm', '.ciso', '.rvz'],
+    folders: ['gamecube', 'gc', 'ngc'],
+    emulator: 'dolphin-emu',
+    core: null,
+    maxControllers: 4
+  },
+  {
+    id: 'wii',
+    name: 'Nintendo Wii',
+    manufacturer: 'Nintendo',
+    generation: 7,
+    extensions: ['.iso', '.wad', '.dol', '.wbfs'],
+    folders: ['wii'],
+    emulator: 'dolphin-emu',
+    core: null,
+    maxControllers: 4
+  },
+  {
+    id: 'ps2',
+    name: 'PlayStation 2',
+    manufacturer: 'Sony',
+    generation: 6,
+    extensions: ['.iso', '.bin', '.elf', '.cue', '.chd', '.m3u'],
+    folders: ['ps2', 'playstation 2'],
+    emulator: 'pcsx2',
+    core: null,
+    maxControllers: 8
+  },
+  {
+    id: 'dreamcast',
+    name: 'Sega Dreamcast',
+    manufacturer: 'Sega',
+    generation: 6,
+    extensions: ['.cdi', '.gdi', '.chd', '.cue', '.m3u'],
+    folders: ['dreamcast', 'dc'],
+    emulator: 'retroarch',
+    core: 'flycast',
+    maxControllers: 4
+  }
+];
+
+const byId = new Map(PLATFORMS.map(p => [p.id, p]));
+
+export const SYSTEM_IDS = PLATFORMS.map(p => p.id);
+
+export function getPlatform(id) {
+  return byId.get(id) || null;
+}
+
+// Systems that accept a file extension (several for shared disc formats)
+export function systemsForExtension(ext) {
+  const lower = ext.toLowerCase();
+  return PLATFORMS.filter(p => p.extensions.includes(lower)).map(p => p.id);
+}
+
+// System named by a folder, e.g. "PS1" -> psx
+export function systemForFolder(name) {
+  const lower = name.toLowerCase();
+  return PLATFORMS.find(p => p.folders.includes(lower))?.id || null;
+}
+
+export const ROM_EXTENSIONS = [...new Set(PLATFORMS.flatMap(p => p.extensions))];
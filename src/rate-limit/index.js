@@ -0,0 +1,25 @@
+/**
+ * Rate limit store factory
+ * Token buckets keyed by string, shared by every limiter. Every backend
+ * exposes the same async API:
+ *   consume(key, rule, cost) -> { allowed, retryAfter }, close()
+ * where rule is { capacity, refillPerSecond } and retryAfter is in
+ * milliseconds. A cost of 0 only checks that a token is available.
+ */
+
+import { createMemoryLimitStore } from './memory-store.js';
+import { createRedisLimitStore } from './redis-store.js';
+
+export async function createRateLimitStore({ driver = 'memory', redisUrl } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryLimitStore();
+    case 'redis': {
+      const store = createRedisLimitStore({ url: redisUrl });
+      await store.open();
+      return store;
+    }
+    default:
+      throw new Error(`Unknown rate limit store: ${driver}`);
+  }
+}
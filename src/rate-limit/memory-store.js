@@ -0,0 +1,41 @@
+/**
+ * In-process rate limit store
+ * Buckets live in this process only, so limits are per instance. Buckets
+ * that have refilled completely are dropped by a periodic sweep.
+ */
+
+import { createTokenBucket } from '../utils/token-bucket.js';
+
+export function createMemoryLimitStore({ sweepInterval = 60000 } = {}) {
+  // key -> { bucket, idleAt } - a bucket is full again (and forgettable) at idleAt
+  const buckets = new Map();
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of buckets) {
+      if (entry.idleAt <= now) buckets.delete(key);
+    }
+  }, sweepInterval);
+  timer.unref();
+
+  return {
+    driver: 'memory',
+
+    async consume(key, rule, cost = 1) {
+      let entry = buckets.get(key);
+      if (!entry) {
+        entry = { bucket: createTokenBucket(rule), idleAt: 0 };
+        buckets.set(key, entry);
+      }
+      entry.idleAt = Date.now() + (rule.capacity / rule.refillPerSecond) * 1000;
+
+      const allowed = cost > 0 ? entry.bucket.take(cost) : entry.bucket.retryAfter() === 0;
+      return { allowed, retryAfter: allowed ? 0 : entry.bucket.retryAfter(Math.max(cost, 1)) };
+    },
+
+    async close() {
+      clearInterval(timer);
+      buckets.clear();
+    }
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Redis rate limit store
+ * Buckets are shared by every instance pointing at the same Redis. Each
+ * bucket is a hash updated by one Lua script, so concurrent requests can't
+ * both spend the last token, and expires once it would have refilled.
+ *
+ * Rate limiting must not take the API down with it: while Redis is
+ * unreachable every request is allowed and the outage is logged.
+ */
+
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'rate-limit' });
+
+const KEY_PREFIX = 'platium:ratelimit:';
+const ERROR_LOG_INTERVAL = 60000;
+
+// KEYS[1] bucket; ARGV capacity, tokens per ms, cost. Returns { allowed, retryAfter ms }
+const CONSUME_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local last = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - last) * rate)
+
+local need = math.max(cost, 1)
+local allowed = 0
+local retry = math.ceil((need - tokens) / rate)
+if tokens >= need then
+  allowed = 1
+  retry = 0
+  tokens = tokens - cost
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate) + 1000)
+return { allowed, retry }
+`;
+
+export function createRedisLimitStore({ url }) {
+  let client = null;
+  let lastErrorLog = 0;
+
+  const logError = (error) => {
+    const now = Date.now();
+    if (now - lastErrorLog < ERROR_LOG_INTERVAL) return;
+    lastErrorLog = now;
+    log.error('Rate limit store unavailable, allowing requests', { err: error });
+  };
+
+  return {
+    driver: 'redis',
+
+    async open() {
+      // Only loaded when configured, so the in-process store works without it
+      const { createClient } = await import('redis');
+      // No offline queue: while disconnected, commands fail at once and requests pass
+      client = createClient({ url, disableOfflineQueue: true });
+      client.on('error', logError);
+      client.connect().catch(logError);
+    },
+
+    async consume(key, rule, cost = 1) {
+      if (!client?.isReady) {
+        return { allowed: true, retryAfter: 0 };
+      }
+      try {
+        const [allowed, retryAfter] = await client.eval(CONSUME_SCRIPT, {
+          keys: [KEY_PREFIX + key],
+          arguments: [String(rule.capacity), String(rule.refillPerSecond / 1000), String(cost)]
+        });
+        return { allowed: allowed === 1, retryAfter };
+      } catch (error) {
+        logError(error);
+        return { allowed: true, retryAfter: 0 };
+      }
+    },
+
+    async close() {
+      if (client?.isReady) {
+        await client.quit();
+      } else if (client?.isOpen) {
+        // Still trying to connect - nothing to flush
+        await client.disconnect();
+      }
+    }
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Chat message filter
+ * Trims and length-checks messages and masks blocked words. Matching ignores
+ * case, accents, common letter/digit swaps (sh1t, @ss) and stretched letters
+ * (fuuuck), but only whole words, so "class" or "Scunthorpe" pass untouched.
+ */
+
+export const MAX_MESSAGE_LENGTH = 300;
+
+const DEFAULT_BLOCKLIST = [
+  'fuck', 'fucker', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch', 'cunt',
+  'asshole', 'ass', 'bastard', 'dick', 'dickhead', 'cock', 'pussy', 'piss',
+  'slut', 'whore', 'wanker', 'twat', 'retard', 'fag', 'faggot', 'nigger', 'nigga'
+];
+
+const SWAPS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+// Lowercase, strip accents and undo swaps
+function normalize(word) {
+  return word
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[013457@$!]/g, c => SWAPS[c]);
+}
+
+const collapse = (word) => word.replace(/(.)\1+/g, '$1');
+
+export function createChatFilter({ blocklist = [] } = {}) {
+  // Entries stay as written: collapsing them would turn "ass" into "as"
+  const blocked = new Set([...DEFAULT_BLOCKLIST, ...blocklist].map(normalize));
+
+  // A message word matches as typed or with stretched letters collapsed
+  const isBlocked = (word) => {
+    const normalized = normalize(word);
+    return blocked.has(normalized) || blocked.has(collapse(normalized));
+  };
+
+  /**
+   * Returns { text } with blocked words masked, or { error } when the message
+   * is empty or too long.
+   */
+  return function filterMessage(raw) {
+    if (typeof raw !== 'string') {
+      return { error: 'Message must be text' };
+    }
+    const text = raw.replace(/\s+/g, ' ').trim();
+    if (!text) {
+      return { error: 'Message is empty' };
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return { error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+    }
+
+    const masked = text.replace(/[\p{L}\p{N}@$!]+/gu, (word) =>
+      (isBlocked(word) ? '*'.repeat(word.length) : word));
+    return { text: masked };
+  };
+}
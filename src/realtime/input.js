@@ -0,0 +1,32 @@
+/**
+ * Controller input messages
+ *   { type: 'button', control: 'a', pressed: true }
+ *   { type: 'axis', control: 'lx', value: -0.5 }
+ */
+
+export const BUTTONS = [
+  'a', 'b', 'x', 'y',
+  'l', 'r', 'zl', 'zr', 'l3', 'r3',
+  'start', 'select', 'home',
+  'up', 'down', 'left', 'right'
+];
+
+export const AXES = ['lx', 'ly', 'rx', 'ry', 'lt', 'rt'];
+
+// Returns the normalized message, or null if it isn't a valid input
+export function parseInput(message) {
+  if (!message || typeof message !== 'object') return null;
+
+  if (message.type === 'button' && BUTTONS.includes(message.control)) {
+    if (typeof message.pressed !== 'boolean') return null;
+    return { type: 'button', control: message.control, pressed: message.pressed };
+  }
+
+  if (message.type === 'axis' && AXES.includes(message.control)) {
+    const { value } = message;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < -1 || value > 1) return null;
+    return { type: 'axis', control: message.control, value };
+  }
+
+  return null;
+}
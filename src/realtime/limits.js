@@ -0,0 +1,74 @@
+/**
+ * Socket abuse limits
+ *
+ * - Connections: a user may hold at most `maxSocketsPerUser` sockets on this
+ *   instance; the next handshake fails with "Too many connections". A
+ *   handshake reserves its place as it passes, so concurrent ones can't all
+ *   squeeze in before the first is connected.
+ * - Events: every socket gets a token bucket over all of its events. An event
+ *   over the limit is dropped; its ack gets { error, retryAfter } and events
+ *   without one trigger a single `rate:limited { event, retryAfter }` until
+ *   the socket is back under the limit. retryAfter is in milliseconds.
+ *
+ * Individual channels keep their own tighter limits (input, chat) on top.
+ * Register after the socket authenticator, which sets socket.data.user, and
+ * after any other io.use: a handshake these limits let through connects.
+ */
+
+import { createTokenBucket } from '../utils/token-bucket.js';
+
+export function registerSocketLimits(io, {
+  maxSocketsPerUser = 5,
+  // null disables the per-socket event limit
+  eventRate = { capacity: 240, refillPerSecond: 120 }
+} = {}) {
+  // userId -> ids of the sockets holding (or about to hold) a connection
+  const reserved = new Map();
+
+  function release(userId, socketId) {
+    const ids = reserved.get(userId);
+    ids?.delete(socketId);
+    if (ids?.size === 0) reserved.delete(userId);
+  }
+
+  io.use((socket, next) => {
+    const userId = socket.data.user?.id;
+    const ids = reserved.get(userId) ?? new Set();
+    if (ids.size >= maxSocketsPerUser) {
+      const error = new Error('Too many connections');
+      error.data = { limit: maxSocketsPerUser };
+      return next(error);
+    }
+
+    ids.add(socket.id);
+    reserved.set(userId, ids);
+    // A client that goes away mid-handshake never disconnects, but its
+    // connection still closes
+    socket.once('disconnect', () => release(userId, socket.id));
+    socket.conn.once('close', () => release(userId, socket.id));
+    next();
+  });
+
+  if (!eventRate) return;
+
+  io.on('connection', (socket) => {
+    const bucket = createTokenBucket(eventRate);
+    let notified = false;
+
+    socket.use(([event, ...args], next) => {
+      if (bucket.take()) {
+        notified = false;
+        return next();
+      }
+
+      const retryAfter = bucket.retryAfter();
+      const ack = args.at(-1);
+      if (typeof ack === 'function') {
+        ack({ error: 'Too many requests', retryAfter });
+      } else if (!notified) {
+        notified = true;
+        socket.emit('rate:limited', { event, retryAfter });
+      }
+    });
+  });
+}
@@ -0,0 +1,61 @@
+/**
+ * Real-time lobby channel
+ *
+ * Client -> server
+ *   lobby:subscribe   { code }             ack: { lobby } | { error }
+ *   lobby:unsubscribe { code }
+ *
+ * Server -> client
+ *   lobby:state  { lobby }                 on subscribe and every change
+ *   lobby:kicked { code }                  to the kicked user's sockets
+ *   lobby:error  { error }                 failed subscribe without an ack
+ *
+ * Changes themselves go through the REST API; this only pushes state. Only
+ * lobby members can subscribe. A lobby with status 'closed' is gone for good,
+ * and one with a sessionId has started - join that session to play or watch.
+ */
+
+import { withRequestId } from '../context.js';
+
+export const lobbyRoomFor = (code) => `lobby:${code}`;
+
+export function registerLobbyChannel(io, { lobbies }) {
+  lobbies.on('lobby', (lobby) => {
+    io.to(lobbyRoomFor(lobby.code)).emit('lobby:state', withRequestId({ lobby }));
+    if (lobby.status === 'closed') {
+      io.in(lobbyRoomFor(lobby.code)).socketsLeave(lobbyRoomFor(lobby.code));
+    }
+  });
+
+  // Drop the kicked user's sockets from the room so they stop receiving updates
+  lobbies.on('kicked', async ({ lobby, userId }) => {
+    const room = lobbyRoomFor(lobby.code);
+    for (const socket of await io.in(room).fetchSockets()) {
+      if (socket.data.user?.id === userId) {
+        socket.leave(room);
+        socket.emit('lobby:kicked', { code: lobby.code });
+      }
+    }
+  });
+
+  io.on('connection', (socket) => {
+    socket.on('lobby:subscribe', (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : (result) => result.error && socket.emit('lobby:error', withRequestId(result));
+      const lobby = lobbies.get(payload?.code);
+
+      if (!lobby || !lobbies.isMember(lobby.code, socket.data.user?.id)) {
+        return reply({ error: 'Lobby not found' });
+      }
+
+      socket.join(lobbyRoomFor(lobby.code));
+      socket.emit('lobby:state', { lobby });
+      reply({ lobby });
+    });
+
+    socket.on('lobby:unsubscribe', (payload, ack) => {
+      const code = String(payload?.code || '').toUpperCase();
+      socket.leave(lobbyRoomFor(code));
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+  });
+}
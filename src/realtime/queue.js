@@ -0,0 +1,59 @@
+/**
+ * Real-time queue updates
+ *
+ * Client -> server
+ *   queue:claim { ticketId }               ack: { session } | { error }
+ *   queue:leave { ticketId }               ack: { ok } | { error }
+ *
+ * Server -> client
+ *   queue:update { ticket }                position/ETA changes, and status
+ *                                          'offered' (claim before claimDeadline),
+ *                                          'claimed', 'expired', 'cancelled' or 'failed'
+ *
+ * Updates go to every socket of the ticket's user, so a ticket taken over
+ * REST is followed live without subscribing. Claims spend the same start
+ * budget (RATE_LIMIT_SESSION_START) as the REST routes; over it, the ack is
+ * { error, retryAfter } in milliseconds.
+ */
+
+import { withRequestId } from '../context.js';
+
+export const userRoomFor = (userId) => `user:${userId}`;
+
+export function registerQueueChannel(io, { queue, startLimit = null }) {
+  queue.on('ticket', (ticket) => {
+    io.to(userRoomFor(ticket.userId)).emit('queue:update', withRequestId({ ticket }));
+  });
+
+  io.on('connection', (socket) => {
+    const userId = socket.data.user?.id;
+    if (userId) {
+      socket.join(userRoomFor(userId));
+    }
+
+    const reply = (ack, payload) => {
+      if (typeof ack === 'function') ack(payload);
+    };
+
+    socket.on('queue:claim', async (payload, ack) => {
+      try {
+        const limit = startLimit ? await startLimit.take(userId) : { allowed: true };
+        if (!limit.allowed) {
+          return reply(ack, { error: 'Too many requests', retryAfter: limit.retryAfter });
+        }
+        reply(ack, { session: await queue.claim(payload?.ticketId, userId) });
+      } catch (error) {
+        reply(ack, { error: error.status ? error.message : 'Failed to start session' });
+      }
+    });
+
+    socket.on('queue:leave', (payload, ack) => {
+      try {
+        queue.cancel(payload?.ticketId, userId);
+        reply(ack, { ok: true });
+      } catch (error) {
+        reply(ack, { error: error.message });
+      }
+    });
+  });
+}
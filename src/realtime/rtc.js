@@ -0,0 +1,276 @@
+/**
+ * WebRTC signaling
+ *
+ * SFU-style fan-out without a media server: a producer (the capture agent
+ * streaming a session's emulator) announces its tracks in the session room,
+ * and every viewer that consumes one gets its own peer connection to that
+ * producer. The server only brokers the connections; SDP and ICE candidates
+ * are relayed strictly between the two ends of one consumer.
+ *
+ * Client -> server
+ *   rtc:config    { sessionId }                      ack: { iceServers, [media] } | { error }
+ *   rtc:produce   { sessionId, kind, label? }        ack: { producer } | { error }   (see below)
+ *   rtc:unproduce { producerId }
+ *   rtc:producers { sessionId }                      ack: { producers } | { error }
+ *   rtc:consume   { producerId }                     ack: { consumerId, iceServers } | { error }
+ *   rtc:signal    { consumerId, description | candidate }
+ *   rtc:close     { consumerId }
+ *
+ * Server -> client
+ *   rtc:producers { sessionId, producers }           to the room on every change
+ *   rtc:consumer  { consumerId, producerId, sessionId }  to the producer: make an offer
+ *   rtc:signal    { consumerId, description | candidate }  from the other end
+ *   rtc:closed    { consumerId }                     either end went away
+ *   rtc:error     { error }                          failures without an ack
+ *
+ * Producers are streamers who own or play in the session, or admins; a
+ * producer leaving the session takes its streams with it. Producing doesn't
+ * join the room, so a private session's room stays its own. The producer
+ * sends the offer. Consumers must have joined the session room
+ * (session:join) first. With no ICE servers configured peers use host
+ * candidates only, which is enough on a LAN or the same machine.
+ */
+
+import { randomUUID } from 'crypto';
+import { hasRole } from '../middleware/auth.js';
+import { roomFor } from './sessions.js';
+import { isInSession } from '../sessions/serializers.js';
+import { withRequestId } from '../context.js';
+
+const KINDS = ['video', 'audio'];
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 2048;
+
+const canProduce = (user) => hasRole(user, 'streamer') || hasRole(user, 'admin');
+
+// Streamers only stream the sessions they're in
+const mayProduce = (user, session) =>
+  hasRole(user, 'admin') || (hasRole(user, 'streamer') && isInSession(session, user));
+
+// { type: 'offer' | 'answer', sdp } or an RTCIceCandidateInit - anything else is dropped
+function parseSignal(payload) {
+  const { description, candidate } = payload || {};
+  if (description) {
+    const valid = ['offer', 'answer'].includes(description.type) &&
+      typeof description.sdp === 'string' && description.sdp.length <= MAX_SDP_LENGTH;
+    return valid ? { description: { type: description.type, sdp: description.sdp } } : null;
+  }
+  if (candidate) {
+    const valid = typeof candidate.candidate === 'string' && candidate.candidate.length <= MAX_CANDIDATE_LENGTH;
+    return valid
+      ? {
+          candidate: {
+            candidate: candidate.candidate,
+            sdpMid: candidate.sdpMid ?? null,
+            sdpMLineIndex: candidate.sdpMLineIndex ?? null
+          }
+        }
+      : null;
+  }
+  return null;
+}
+
+export function registerRtcChannel(io, {
+  sessions,
+  presence,
+  iceServers = [],
+  // Handed to producers so their media binds where the compose file opens ports
+  media = {},
+  maxConsumersPerProducer = 16
+}) {
+  // producerId -> { id, sessionId, socketId, user, kind, label, createdAt }
+  const producers = new Map();
+  // consumerId -> { id, producerId, socketId }
+  const consumers = new Map();
+
+  const publicProducer = ({ id, sessionId, kind, label, createdAt }) => ({ id, sessionId, kind, label, createdAt });
+
+  function producersFor(sessionId) {
+    return [...producers.values()].filter(p => p.sessionId === sessionId).map(publicProducer);
+  }
+
+  const announce = (sessionId) => {
+    io.to(roomFor(sessionId)).emit('rtc:producers', { sessionId, producers: producersFor(sessionId) });
+  };
+
+  // Tell both ends a consumer is gone (the one that closed it already knows, but it's harmless)
+  function closeConsumer(consumerId) {
+    const consumer = consumers.get(consumerId);
+    if (!consumer) return;
+    consumers.delete(consumerId);
+
+    const producer = producers.get(consumer.producerId);
+    io.to(consumer.socketId).emit('rtc:closed', { consumerId });
+    if (producer) {
+      io.to(producer.socketId).emit('rtc:closed', { consumerId });
+    }
+  }
+
+  function closeProducer(producerId) {
+    const producer = producers.get(producerId);
+    if (!producer) return;
+
+    for (const consumer of [...consumers.values()]) {
+      if (consumer.producerId === producerId) closeConsumer(consumer.id);
+    }
+    producers.delete(producerId);
+    announce(producer.sessionId);
+  }
+
+  // A finished session takes its streams with it, and so does a producer
+  // that was removed from the session
+  sessions.on('session', (session) => {
+    const finished = session.status === 'ended' || session.status === 'crashed';
+    for (const producer of [...producers.values()]) {
+      if (producer.sessionId === session.id && (finished || !mayProduce(producer.user, session))) {
+        closeProducer(producer.id);
+      }
+    }
+  });
+
+  // Leaving a session room ends what was consumed there, whether the client
+  // asked (session:leave) or the server removed it (e.g. the session went private)
+  presence.on('leave', ({ sessionId, socketId }) => {
+    for (const consumer of [...consumers.values()]) {
+      if (consumer.socketId === socketId && producers.get(consumer.producerId)?.sessionId === sessionId) {
+        closeConsumer(consumer.id);
+      }
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+
+    const reply = (ack, payload) => {
+      if (typeof ack === 'function') {
+        ack(payload);
+      } else if (payload.error) {
+        socket.emit('rtc:error', withRequestId(payload));
+      }
+    };
+
+    const liveSession = (sessionId) => {
+      const session = sessions.get(sessionId);
+      return session && session.status !== 'ended' && session.status !== 'crashed' ? session : null;
+    };
+
+    const inRoom = (sessionId) => socket.rooms.has(roomFor(sessionId));
+
+    socket.on('rtc:config', (payload, ack) => {
+      const session = liveSession(payload?.sessionId);
+      if (!session) {
+        return reply(ack, { error: 'Session not found' });
+      }
+      reply(ack, mayProduce(user, session) ? { iceServers, media } : { iceServers });
+    });
+
+    socket.on('rtc:produce', (payload, ack) => {
+      if (!canProduce(user)) {
+        return reply(ack, { error: 'Only streamers can produce media' });
+      }
+      const session = liveSession(payload?.sessionId);
+      if (!session) {
+        return reply(ack, { error: 'Session not found' });
+      }
+      if (!mayProduce(user, session)) {
+        return reply(ack, { error: 'Only players in the session can stream it' });
+      }
+      if (!KINDS.includes(payload.kind)) {
+        return reply(ack, { error: `kind must be one of: ${KINDS.join(', ')}` });
+      }
+
+      const producer = {
+        id: randomUUID(),
+        sessionId: session.id,
+        socketId: socket.id,
+        user,
+        kind: payload.kind,
+        label: typeof payload.label === 'string' ? payload.label.slice(0, 100) : null,
+        createdAt: new Date().toISOString()
+      };
+      producers.set(producer.id, producer);
+      announce(session.id);
+      reply(ack, { producer: publicProducer(producer) });
+    });
+
+    socket.on('rtc:unproduce', (payload, ack) => {
+      const producer = producers.get(payload?.producerId);
+      if (!producer || producer.socketId !== socket.id) {
+        return reply(ack, { error: 'Producer not found' });
+      }
+      closeProducer(producer.id);
+      reply(ack, { ok: true });
+    });
+
+    socket.on('rtc:producers', (payload, ack) => {
+      if (!inRoom(payload?.sessionId)) {
+        return reply(ack, { error: 'Join the session first' });
+      }
+      reply(ack, { producers: producersFor(payload.sessionId) });
+    });
+
+    socket.on('rtc:consume', (payload, ack) => {
+      const producer = producers.get(payload?.producerId);
+      if (!producer || !inRoom(producer.sessionId)) {
+        return reply(ack, { error: 'Producer not found' });
+      }
+      if (producer.socketId === socket.id) {
+        return reply(ack, { error: 'Cannot consume your own producer' });
+      }
+
+      const active = [...consumers.values()].filter(c => c.producerId === producer.id);
+      if (active.length >= maxConsumersPerProducer) {
+        return reply(ack, { error: 'This stream has no room for more viewers' });
+      }
+
+      const consumer = { id: randomUUID(), producerId: producer.id, socketId: socket.id };
+      consumers.set(consumer.id, consumer);
+
+      io.to(producer.socketId).emit('rtc:consumer', {
+        consumerId: consumer.id,
+        producerId: producer.id,
+        sessionId: producer.sessionId
+      });
+      reply(ack, { consumerId: consumer.id, iceServers });
+    });
+
+    // Relay to whichever end of the consumer didn't send it
+    socket.on('rtc:signal', (payload) => {
+      const consumer = consumers.get(payload?.consumerId);
+      const producer = consumer && producers.get(consumer.producerId);
+      if (!producer) {
+        return socket.emit('rtc:error', { error: 'Consumer not found' });
+      }
+
+      const peer = socket.id === producer.socketId ? consumer.socketId
+        : socket.id === consumer.socketId ? producer.socketId
+          : null;
+      if (!peer) {
+        return socket.emit('rtc:error', { error: 'Consumer not found' });
+      }
+
+      const signal = parseSignal(payload);
+      if (!signal) {
+        return socket.emit('rtc:error', { error: 'Invalid signal' });
+      }
+      io.to(peer).emit('rtc:signal', { consumerId: consumer.id, ...signal });
+    });
+
+    socket.on('rtc:close', (payload) => {
+      const consumer = consumers.get(payload?.consumerId);
+      const producer = consumer && producers.get(consumer.producerId);
+      if (consumer && (consumer.socketId === socket.id || producer?.socketId === socket.id)) {
+        closeConsumer(consumer.id);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      for (const producer of [...producers.values()]) {
+        if (producer.socketId === socket.id) closeProducer(producer.id);
+      }
+      for (const consumer of [...consumers.values()]) {
+        if (consumer.socketId === socket.id) closeConsumer(consumer.id);
+      }
+    });
+  });
+}
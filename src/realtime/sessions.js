@@ -0,0 +1,281 @@
+/**
+ * Real-time session channel
+ *
+ * Client -> server
+ *   session:join  { sessionId, spectate? } ack: { session, slot, role } | { error }
+ *   session:leave { sessionId }
+ *   input         { sessionId, type, control, pressed | value }
+ *   chat:send     { sessionId, text }      ack: { message } | { error }
+ *
+ * Server -> client
+ *   session:state { session }              on join and every state change
+ *   session:error { error }                rejected input and other failures
+ *   chat:message  { message }              { id, sessionId, user, role, text, sentAt }
+ *
+ * The session's owner (and admins) get the lowest free player slot, up to the
+ * game's playerCount, one per socket: a second connection from the owner is
+ * player 2. Their inputs are forwarded to the emulator tagged with that slot.
+ * Only lobby sessions seat several accounts: players get their lobby slot and
+ * the lobby's spectators join without one.
+ *
+ * Anyone else joins as a spectator with `spectate: true`: they receive state,
+ * chat and the stream but can't send input. Private sessions only admit the
+ * owner, lobby members and admins; public ones admit spectators up to the
+ * session's maxSpectators.
+ *
+ * The owner, lobby players and admins get the whole session in acks and
+ * session:state; everyone else gets its public fields (sessions/serializers.js).
+ *
+ * State changes caused by a REST call or socket event carry that request's
+ * `requestId`, as do errors, so clients can quote it in bug reports.
+ */
+
+import { randomUUID } from 'crypto';
+import { createTokenBucket } from '../utils/token-bucket.js';
+import { hasRole } from '../middleware/auth.js';
+import { parseInput } from './input.js';
+import { createChatFilter } from './chat-filter.js';
+import { withRequestId } from '../context.js';
+import { sessionFor } from '../sessions/serializers.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'realtime' });
+
+export const roomFor = (sessionId) => `session:${sessionId}`;
+
+export function registerSessionChannel(io, {
+  sessions,
+  games,
+  lobbies = null,
+  presence,
+  inputRate = { capacity: 120, refillPerSecond: 60 },
+  chatRate = { capacity: 5, refillPerSecond: 0.5 },
+  chatBlocklist = []
+}) {
+  const filterMessage = createChatFilter({ blocklist: chatBlocklist });
+
+  // sessionId -> Map(slot -> socket.id)
+  const slots = new Map();
+
+  const isLobbySpectator = (session, userId) =>
+    Boolean(session.lobbyId && lobbies?.findById(session.lobbyId)?.spectators.some(s => s.userId === userId));
+
+  // Private sessions are for the owner, the lobby and admins
+  const mayWatchPrivate = (session, user) =>
+    session.userId === user?.id || isLobbySpectator(session, user?.id) || hasRole(user, 'admin');
+
+  // Outside lobbies, only the owner and admins hold player slots
+  const mayPlay = (session, user) => session.userId === user?.id || hasRole(user, 'admin');
+
+  // Push every state change to the session's room, each socket seeing what it may
+  sessions.on('session', (session) => {
+    for (const socketId of io.sockets.adapter.rooms.get(roomFor(session.id)) ?? []) {
+      const socket = io.sockets.sockets.get(socketId);
+      socket?.emit('session:state', withRequestId({ session: sessionFor(session, socket.data.user) }));
+    }
+    if (session.status === 'ended' || session.status === 'crashed') {
+      slots.delete(session.id);
+      presence.clear(session.id);
+      return;
+    }
+
+    // Lobby players who were kicked or left lose their seat
+    if (session.players) {
+      for (const { socketId, userId } of presence.playerSockets(session.id)) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && !session.players.some(p => p.userId === userId)) {
+          socket.emit('session:error', { error: 'You are no longer a player in this session' });
+          socket.data.leaveSession?.(session.id);
+        }
+      }
+    }
+
+    // Going private removes the spectators who aren't invited
+    if (session.visibility === 'private') {
+      for (const { socketId } of presence.spectatorSockets(session.id)) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && !mayWatchPrivate(session, socket.data.user)) {
+          socket.emit('session:error', { error: 'The session is now private' });
+          socket.data.leaveSession?.(session.id);
+        }
+      }
+    }
+  });
+
+  function claimSlot(sessionId, socketId, playerCount) {
+    if (!slots.has(sessionId)) {
+      slots.set(sessionId, new Map());
+    }
+    const taken = slots.get(sessionId);
+
+    for (const [slot, owner] of taken) {
+      if (owner === socketId) return slot;
+    }
+    for (let slot = 1; slot <= playerCount; slot++) {
+      if (!taken.has(slot)) {
+        taken.set(slot, socketId);
+        return slot;
+      }
+    }
+    return null;
+  }
+
+  function releaseSlot(sessionId, socketId) {
+    const taken = slots.get(sessionId);
+    if (!taken) return;
+    for (const [slot, owner] of taken) {
+      if (owner === socketId) taken.delete(slot);
+    }
+  }
+
+  io.on('connection', (socket) => {
+    const bucket = createTokenBucket(inputRate);
+    const chatBucket = createTokenBucket(chatRate);
+    const user = socket.data.user;
+    // sessionId -> slot (null for spectators) for the rooms this socket is in
+    const joined = new Map();
+
+    function leaveSession(sessionId) {
+      if (!joined.has(sessionId)) return;
+      releaseSlot(sessionId, socket.id);
+      presence.leave(sessionId, socket.id);
+      joined.delete(sessionId);
+      socket.leave(roomFor(sessionId));
+    }
+    socket.data.leaveSession = leaveSession;
+
+    // A spectator seat, or the reason there isn't one
+    function spectatorCheck(session) {
+      if (session.visibility === 'private' && !mayWatchPrivate(session, user)) {
+        return 'This session is private';
+      }
+      const alreadyWatching = presence.spectatorSockets(session.id).some(s => s.userId === user?.id);
+      if (!alreadyWatching && !isLobbySpectator(session, user?.id) &&
+          presence.counts(session.id).spectators >= session.maxSpectators) {
+        return 'No spectator seats left';
+      }
+      return null;
+    }
+
+    const reply = (ack, payload) => {
+      if (typeof ack === 'function') {
+        ack(payload);
+      } else if (payload.error) {
+        socket.emit('session:error', withRequestId(payload));
+      }
+    };
+
+    socket.on('session:join', async (payload, ack) => {
+      try {
+        const session = sessions.get(payload?.sessionId);
+        if (!session || session.status === 'ended' || session.status === 'crashed') {
+          return reply(ack, { error: 'Session not found' });
+        }
+
+        const isMember = Boolean(session.players?.some(p => p.userId === user?.id));
+        if (session.visibility === 'private' && !isMember && !mayWatchPrivate(session, user)) {
+          return reply(ack, { error: 'This session is private' });
+        }
+
+        const spectate = payload.spectate === true;
+        let slot = null;
+        if (session.players) {
+          slot = session.players.find(p => p.userId === user?.id)?.slot ?? null;
+          if (slot === null && !spectate && !isLobbySpectator(session, user?.id)) {
+            return reply(ack, { error: 'This session is reserved for its lobby; join with spectate to watch' });
+          }
+        } else if (spectate) {
+          releaseSlot(session.id, socket.id);
+        } else if (!mayPlay(session, user)) {
+          return reply(ack, { error: 'Only the session owner can play; join with spectate to watch' });
+        } else {
+          const game = await games.findById(session.gameId);
+          slot = claimSlot(session.id, socket.id, game?.playerCount || 1);
+          if (slot === null) {
+            return reply(ack, { error: 'All player slots are taken' });
+          }
+        }
+
+        if (slot === null && presence.roleOf(session.id, socket.id) !== 'spectator') {
+          const problem = spectatorCheck(session);
+          if (problem) {
+            return reply(ack, { error: problem });
+          }
+        }
+
+        const role = slot === null ? 'spectator' : 'player';
+        joined.set(session.id, slot);
+        presence.join(session.id, socket.id, { userId: user?.id, role });
+        socket.join(roomFor(session.id));
+        if (role === 'player') {
+          sessions.touch(session.id);
+        }
+
+        const visible = sessionFor(session, user);
+        socket.emit('session:state', withRequestId({ session: visible }));
+        reply(ack, { session: visible, slot, role });
+      } catch (error) {
+        log.error('session:join failed', { sessionId: payload?.sessionId, userId: user?.id, err: error });
+        reply(ack, { error: 'Failed to join session' });
+      }
+    });
+
+    socket.on('session:leave', (payload, ack) => {
+      leaveSession(payload?.sessionId);
+      reply(ack, { ok: true });
+    });
+
+    socket.on('input', (payload) => {
+      if (!joined.has(payload?.sessionId)) {
+        return socket.emit('session:error', { error: 'Join the session before sending input' });
+      }
+      const slot = joined.get(payload.sessionId);
+      if (slot === null) {
+        return socket.emit('session:error', { error: 'Spectators cannot send input' });
+      }
+
+      // Over the limit: drop silently, a flood of errors would only add to it
+      if (!bucket.take()) return;
+
+      const input = parseInput(payload);
+      if (!input) {
+        return socket.emit('session:error', { error: 'Invalid input message' });
+      }
+
+      sessions.sendInput(payload.sessionId, { ...input, slot });
+    });
+
+    // Chat for everyone in the room, players and spectators alike
+    socket.on('chat:send', (payload, ack) => {
+      const sessionId = payload?.sessionId;
+      if (!joined.has(sessionId)) {
+        return reply(ack, { error: 'Join the session before chatting' });
+      }
+      if (!chatBucket.take()) {
+        return reply(ack, { error: 'You are sending messages too fast' });
+      }
+
+      const { text, error } = filterMessage(payload.text);
+      if (error) {
+        return reply(ack, { error });
+      }
+
+      const message = {
+        id: randomUUID(),
+        sessionId,
+        user: { id: user?.id ?? null, username: user?.username ?? null },
+        role: presence.roleOf(sessionId, socket.id),
+        text,
+        sentAt: new Date().toISOString()
+      };
+      io.to(roomFor(sessionId)).emit('chat:message', { message });
+      reply(ack, { message });
+    });
+
+    socket.on('disconnect', () => {
+      for (const sessionId of [...joined.keys()]) {
+        leaveSession(sessionId);
+      }
+    });
+  });
+}
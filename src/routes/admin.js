@@ -0,0 +1,109 @@
+/**
+ * Admin routes
+ * Session queue management, per-user session limits, the ROM library check
+ * and the audit trail
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { checkRoms } from '../library/rom-check.js';
+import { parsePaging } from '../catalog/query.js';
+import { actorOf } from '../audit/log.js';
+
+// ISO 8601 timestamp query parameter -> Date, or undefined when absent
+function dateParam(query, name, errors) {
+  if (query[name] === undefined) return undefined;
+  const date = new Date(query[name]);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${name} must be an ISO 8601 timestamp`);
+  }
+  return date;
+}
+
+export function createAdminRouter({ queue, users, games, gamesDir, audit }) {
+  const router = Router();
+  router.use(requireAdmin);
+
+  // Everyone waiting or holding an offered slot, in queue order
+  router.get('/queue', (req, res) => {
+    res.json({ tickets: queue.list() });
+  });
+
+  // Move a waiting ticket - body: { position } (1 = next in line)
+  router.patch('/queue/:ticketId', asyncHandler(async (req, res) => {
+    const { position } = req.body || {};
+    if (!Number.isInteger(position) || position < 1) {
+      return res.status(400).json({ error: 'position must be a positive integer' });
+    }
+
+    const ticket = queue.move(req.params.ticketId, position);
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'queue.move',
+      target: { type: 'ticket', id: ticket.id },
+      details: { userId: ticket.userId, gameId: ticket.gameId, position }
+    });
+    res.json(ticket);
+  }));
+
+  // Remove a ticket from the queue
+  router.delete('/queue/:ticketId', asyncHandler(async (req, res) => {
+    const ticket = queue.cancel(req.params.ticketId);
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'queue.remove',
+      target: { type: 'ticket', id: ticket.id },
+      details: { userId: ticket.userId, gameId: ticket.gameId }
+    });
+    res.status(204).end();
+  }));
+
+  router.get('/users/:id/session-limit', asyncHandler(async (req, res) => {
+    const profile = await users.get(req.params.id);
+    res.json({ userId: req.params.id, sessionLimit: profile.sessionLimit ?? null, effective: await queue.limitFor(req.params.id) });
+  }));
+
+  // Override a user's concurrent session limit - body: { limit } or { limit: null } for the default
+  router.put('/users/:id/session-limit', asyncHandler(async (req, res) => {
+    const { limit } = req.body || {};
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0 || limit > 100)) {
+      return res.status(400).json({ error: 'limit must be an integer between 0 and 100, or null' });
+    }
+
+    const { sessionLimit: previous = null } = await users.get(req.params.id);
+    await users.setSessionLimit(req.params.id, limit);
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'user.session-limit',
+      target: { type: 'user', id: req.params.id },
+      details: { from: previous, to: limit }
+    });
+    res.json({ userId: req.params.id, sessionLimit: limit, effective: await queue.limitFor(req.params.id) });
+  }));
+
+  // Games whose ROM file is missing, unreadable or outside GAMES_DIR
+  router.get('/roms', asyncHandler(async (req, res) => {
+    res.json(await checkRoms(await games.list(), { root: gamesDir }));
+  }));
+
+  // Admin actions, newest first - ?actor=<userId>&action=game|game.update&since=&until=&page=&limit=
+  router.get('/audit', asyncHandler(async (req, res) => {
+    const errors = [];
+    const paging = parsePaging(req.query, errors);
+    const since = dateParam(req.query, 'since', errors);
+    const until = dateParam(req.query, 'until', errors);
+    for (const name of ['actor', 'action']) {
+      if (req.query[name] !== undefined && typeof req.query[name] !== 'string') {
+        errors.push(`${name} must be given once`);
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+
+    res.json(await audit.query({ actor: req.query.actor, action: req.query.action, since, until, ...paging }));
+  }));
+
+  return router;
+}
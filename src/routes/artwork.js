@@ -0,0 +1,93 @@
+/**
+ * Artwork routes
+ * Serves cover art and screenshots (optionally resized) and lets admins upload them.
+ * Rendering a thumbnail that isn't cached yet spends a token from the
+ * client IP's `resizeLimit`; cached thumbnails and originals are free.
+ */
+
+import express, { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { tooManyRequests } from '../middleware/rate-limit.js';
+import { SIZES, isSize } from '../artwork/store.js';
+import { adminGame } from '../catalog/serializers.js';
+import { actorOf } from '../audit/log.js';
+
+const MAX_UPLOAD = '10mb';
+const MAX_SCREENSHOTS = 20;
+
+export function createArtworkRouter({ artwork, games, audit, resizeLimit = null }) {
+  const router = Router();
+
+  // GET /artwork/<file>?size=grid|detail|banner
+  router.get('/artwork/:file', asyncHandler(async (req, res) => {
+    const { size } = req.query;
+    if (size !== undefined && !isSize(size)) {
+      return res.status(400).json({ error: `size must be one of: ${Object.keys(SIZES).join(', ')}` });
+    }
+    if (size && resizeLimit && await artwork.needsRender(req.params.file, size)) {
+      const { allowed, retryAfter } = await resizeLimit.take(req.ip);
+      if (!allowed) {
+        return tooManyRequests(res, retryAfter);
+      }
+    }
+
+    const image = await artwork.resolve(req.params.file, size);
+    if (!image) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    // Override the API's no-store defaults; ETag/Last-Modified handle revalidation
+    res.removeHeader('Pragma');
+    res.removeHeader('Expires');
+    res.set('Cache-Control', 'public, max-age=86400');
+    // Images are embedded by the frontend on another origin
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.sendFile(image.path, { cacheControl: false });
+  }));
+
+  // POST /api/games/:id/artwork?type=cover|screenshot with the raw image as body
+  router.post(
+    '/api/games/:id/artwork',
+    requireAdmin,
+    express.raw({ type: 'image/*', limit: MAX_UPLOAD }),
+    asyncHandler(async (req, res) => {
+      const type = req.query.type || 'cover';
+      if (!['cover', 'screenshot'].includes(type)) {
+        return res.status(400).json({ error: 'type must be cover or screenshot' });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the image as the request body with an image/* Content-Type' });
+      }
+
+      const game = await games.findById(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const recordUpload = (url) => audit.record({
+        actor: actorOf(req.user),
+        action: 'game.artwork',
+        target: { type: 'game', id: game.id },
+        details: { title: game.title, type, url }
+      });
+
+      if (type === 'cover') {
+        const url = await artwork.save(`${game.slug}-cover`, req.body);
+        const updated = await games.update(game.id, { coverArtUrl: url });
+        await recordUpload(url);
+        return res.status(201).json(adminGame(updated));
+      }
+
+      if (game.screenshotUrls.length >= MAX_SCREENSHOTS) {
+        return res.status(409).json({ error: `A game can have at most ${MAX_SCREENSHOTS} screenshots` });
+      }
+      const url = await artwork.save(`${game.slug}-screenshot-${Date.now()}`, req.body);
+      const updated = await games.update(game.id, { screenshotUrls: [...game.screenshotUrls, url] });
+      await recordUpload(url);
+      res.status(201).json(adminGame(updated));
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,148 @@
+/**
+ * Game routes
+ * Public catalog browsing plus admin create/update/delete
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { hasRole, requireAdmin } from '../middleware/auth.js';
+import { slugify } from '../catalog/games.js';
+import { validateGame } from '../catalog/validation.js';
+import { parseGameQuery, queryGames } from '../catalog/query.js';
+import { adminGame, gameSerializerFor } from '../catalog/serializers.js';
+import { actorOf } from '../audit/log.js';
+
+// Append -2, -3, ... until the slug is free (mirrors how titles collide on scan)
+async function uniqueSlug(games, base) {
+  let slug = base;
+  for (let n = 2; await games.findBySlug(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+// { field: { from, to } } for every field the update actually changed
+function diff(before, after) {
+  const changes = {};
+  for (const key of Object.keys(after)) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+  return changes;
+}
+
+export function createGamesRouter({ games, audit }) {
+  const router = Router();
+
+  // Get all games - filters, search, sorting and facets (see catalog/query.js)
+  router.get('/', asyncHandler(async (req, res) => {
+    const { options, errors } = parseGameQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+
+    let allGames = await games.list();
+
+    // Deactivated games are only visible to admins who ask for them
+    if (!(req.query.includeInactive === 'true' && hasRole(req.user, 'admin'))) {
+      allGames = allGames.filter(g => g.isActive);
+    }
+
+    const { games: page, total, facets } = queryGames(allGames, options);
+
+    res.json({
+      games: page.map(gameSerializerFor(req.user)),
+      pagination: {
+        page: options.page,
+        limit: options.limit,
+        total,
+        totalPages: Math.ceil(total / options.limit)
+      },
+      facets
+    });
+  }));
+
+  // Get single game
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const game = await games.findById(req.params.id);
+
+    if (!game || (!game.isActive && !hasRole(req.user, 'admin'))) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(gameSerializerFor(req.user)(game));
+  }));
+
+  // Create game (admin)
+  router.post('/', requireAdmin, asyncHandler(async (req, res) => {
+    const errors = validateGame(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid game', details: errors });
+    }
+
+    let { slug } = req.body;
+    if (slug) {
+      if (await games.findBySlug(slug)) {
+        return res.status(409).json({ error: `Slug already in use: ${slug}` });
+      }
+    } else {
+      slug = await uniqueSlug(games, slugify(req.body.title));
+    }
+
+    const game = await games.create({ ...req.body, slug });
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'game.create',
+      target: { type: 'game', id: game.id },
+      details: { title: game.title, system: game.system }
+    });
+    res.status(201).json(adminGame(game));
+  }));
+
+  // Update game (admin) - also used to deactivate with { isActive: false }
+  router.patch('/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const game = await games.findById(req.params.id);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const errors = validateGame(req.body, { partial: true, current: game });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid game', details: errors });
+    }
+
+    const changes = { ...req.body };
+    if (changes.slug && changes.slug !== game.slug) {
+      if (await games.findBySlug(changes.slug)) {
+        return res.status(409).json({ error: `Slug already in use: ${changes.slug}` });
+      }
+    }
+
+    const updated = await games.update(game.id, changes);
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'game.update',
+      target: { type: 'game', id: game.id },
+      details: { title: updated.title, changes: diff(game, changes) }
+    });
+    res.json(adminGame(updated));
+  }));
+
+  // Delete game (admin)
+  router.delete('/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const game = await games.findById(req.params.id);
+    if (!game || !(await games.remove(game.id))) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'game.delete',
+      target: { type: 'game', id: game.id },
+      details: { title: game.title, system: game.system }
+    });
+    res.status(204).end();
+  }));
+
+  return router;
+}
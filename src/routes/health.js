@@ -0,0 +1,33 @@
+/**
+ * Health routes
+ *   GET /health        - Plain up check, kept for existing probes
+ *   GET /health/live   - The process is up and serving requests
+ *   GET /health/ready  - Runs every check (health/index.js); 503 when a
+ *                        critical one fails, e.g. storage or the ROM library
+ *                        is gone, or the server is shutting down
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+
+export function createHealthRouter({ checks }) {
+  const router = Router();
+
+  router.get('/', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  router.get('/live', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime(), timestamp: new Date().toISOString() });
+  });
+
+  router.get('/ready', asyncHandler(async (req, res) => {
+    const report = await checks.run();
+    res.status(report.status === 'fail' ? 503 : 200).json({
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  return router;
+}
@@ -0,0 +1,92 @@
+/**
+ * Lobby routes
+ * Create and join multiplayer lobbies by invite code, ready up and start the
+ * shared session. Every change is also pushed over Socket.IO (realtime/lobbies.js).
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { requireUser } from '../middleware/auth.js';
+import { MAX_SPECTATORS } from '../lobbies/manager.js';
+
+const isId = (value) => typeof value === 'string' && value.length > 0;
+
+const passThrough = (req, res, next) => next();
+
+export function createLobbiesRouter({ lobbies, startLimit = passThrough }) {
+  const router = Router();
+  router.use(requireUser);
+
+  // Create a lobby for a game - body: { gameId, maxSpectators? }; the creator hosts in slot 1
+  router.post('/', asyncHandler(async (req, res) => {
+    const { gameId, maxSpectators } = req.body || {};
+    const errors = [];
+    if (!isId(gameId)) {
+      errors.push('gameId is required');
+    }
+    if (maxSpectators !== undefined &&
+        (!Number.isInteger(maxSpectators) || maxSpectators < 0 || maxSpectators > MAX_SPECTATORS)) {
+      errors.push(`maxSpectators must be an integer between 0 and ${MAX_SPECTATORS}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid lobby', details: errors });
+    }
+
+    const lobby = await lobbies.create({ gameId, user: req.user, maxSpectators });
+    res.status(201).json(lobby);
+  }));
+
+  // Look up a lobby by invite code
+  router.get('/:code', (req, res) => {
+    const lobby = lobbies.get(req.params.code);
+    if (!lobby) {
+      return res.status(404).json({ error: 'Lobby not found' });
+    }
+    res.json(lobby);
+  });
+
+  // Take a player slot, or a spectator seat with { spectator: true }
+  router.post('/:code/join', (req, res) => {
+    const spectator = req.body?.spectator === true;
+    res.json(lobbies.join(req.params.code, req.user, { spectator }));
+  });
+
+  router.post('/:code/leave', (req, res) => {
+    res.json(lobbies.leave(req.params.code, req.user.id));
+  });
+
+  // Ready check - body: { ready: true|false }
+  router.post('/:code/ready', (req, res) => {
+    const { ready } = req.body || {};
+    if (typeof ready !== 'boolean') {
+      return res.status(400).json({ error: 'ready must be a boolean' });
+    }
+    res.json(lobbies.setReady(req.params.code, req.user.id, ready));
+  });
+
+  // Host only - body: { userId }
+  router.post('/:code/kick', (req, res) => {
+    const { userId } = req.body || {};
+    if (!isId(userId)) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    res.json(lobbies.kick(req.params.code, req.user.id, userId));
+  });
+
+  // Host only - body: { userId } of another player
+  router.post('/:code/transfer', (req, res) => {
+    const { userId } = req.body || {};
+    if (!isId(userId)) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    res.json(lobbies.transfer(req.params.code, req.user.id, userId));
+  });
+
+  // Host only - launches one session for every player in the lobby
+  router.post('/:code/start', startLimit, asyncHandler(async (req, res) => {
+    const { lobby, session } = await lobbies.start(req.params.code, req.user.id);
+    res.status(201).json({ lobby, session });
+  }));
+
+  return router;
+}
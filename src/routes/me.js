@@ -0,0 +1,119 @@
+/**
+ * Current user routes
+ * Favorites, recently played, playtime and save data for the authenticated user
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { requireUser } from '../middleware/auth.js';
+import { publicGame } from '../catalog/serializers.js';
+
+const MAX_FAVORITES = 500;
+
+export function createMeRouter({ users, games, saves }) {
+  const router = Router();
+  router.use(requireUser);
+
+  // Games by id, skipping any that were deleted or deactivated since
+  async function gameMap(ids) {
+    const found = await Promise.all([...new Set(ids)].map(id => games.findById(id)));
+    return new Map(found.filter(g => g?.isActive).map(g => [g.id, publicGame(g)]));
+  }
+
+  // Profile summary
+  router.get('/', asyncHandler(async (req, res) => {
+    const profile = await users.ensure(req.user);
+    res.json({
+      id: profile.id,
+      username: profile.username,
+      roles: req.user.roles,
+      favoritesCount: profile.favorites.length,
+      totalPlaytimeSeconds: Object.values(profile.playtime).reduce((sum, s) => sum + s, 0)
+    });
+  }));
+
+  // Favorite games
+  router.get('/favorites', asyncHandler(async (req, res) => {
+    const profile = await users.get(req.user.id);
+    const byId = await gameMap(profile.favorites);
+    res.json({ favorites: profile.favorites.filter(id => byId.has(id)).map(id => byId.get(id)) });
+  }));
+
+  // Replace favorites - body: { gameIds: [...] } in display order
+  router.put('/favorites', asyncHandler(async (req, res) => {
+    const { gameIds } = req.body || {};
+    if (!Array.isArray(gameIds) || !gameIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({ error: 'gameIds must be an array of game ids' });
+    }
+    if (gameIds.length > MAX_FAVORITES) {
+      return res.status(400).json({ error: `At most ${MAX_FAVORITES} favorites` });
+    }
+
+    const byId = await gameMap(gameIds);
+    const unknown = gameIds.filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown game ids', details: unknown });
+    }
+
+    await users.ensure(req.user);
+    const profile = await users.setFavorites(req.user.id, gameIds);
+    res.json({ favorites: profile.favorites.map(id => byId.get(id)) });
+  }));
+
+  // Recently played sessions, newest first
+  router.get('/recent', asyncHandler(async (req, res) => {
+    const profile = await users.get(req.user.id);
+    const byId = await gameMap(profile.recent.map(entry => entry.gameId));
+    res.json({
+      recent: profile.recent
+        .filter(entry => byId.has(entry.gameId))
+        .map(entry => ({ ...entry, game: byId.get(entry.gameId) }))
+    });
+  }));
+
+  // Total playtime per game
+  router.get('/playtime', asyncHandler(async (req, res) => {
+    const profile = await users.get(req.user.id);
+    res.json({
+      playtime: Object.entries(profile.playtime)
+        .map(([gameId, seconds]) => ({ gameId, seconds }))
+        .sort((a, b) => b.seconds - a.seconds)
+    });
+  }));
+
+  // Save data usage across all games
+  router.get('/saves', asyncHandler(async (req, res) => {
+    const usage = await saves.usage(req.user.id);
+    const byId = await gameMap(usage.games.map(g => g.gameId));
+    res.json({
+      ...usage,
+      games: usage.games.map(g => ({ ...g, title: byId.get(g.gameId)?.title ?? null }))
+    });
+  }));
+
+  // Save files and state slots for one game
+  router.get('/saves/:gameId', asyncHandler(async (req, res) => {
+    const { files, updatedAt } = await saves.list(req.user.id, req.params.gameId);
+    res.json({ gameId: req.params.gameId, slots: files, updatedAt });
+  }));
+
+  // Delete every save for a game
+  router.delete('/saves/:gameId', asyncHandler(async (req, res) => {
+    const removed = await saves.remove(req.user.id, req.params.gameId);
+    if (removed === 0) {
+      return res.status(404).json({ error: 'No saves for this game' });
+    }
+    res.status(204).end();
+  }));
+
+  // Delete one save file or state slot
+  router.delete('/saves/:gameId/:slotId', asyncHandler(async (req, res) => {
+    const removed = await saves.remove(req.user.id, req.params.gameId, req.params.slotId);
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Save slot not found' });
+    }
+    res.status(204).end();
+  }));
+
+  return router;
+}
@@ -0,0 +1,157 @@
+/**
+ * Rating and review routes
+ * Users rate games 1-5 with an optional review; admins moderate
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { hasRole, requireAdmin, requireUser } from '../middleware/auth.js';
+import { parsePaging } from '../catalog/query.js';
+import { summarize } from '../catalog/reviews.js';
+import { actorOf } from '../audit/log.js';
+
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_REASON_LENGTH = 200;
+
+function validateRating(body) {
+  const errors = [];
+  const { score, review, ...rest } = body || {};
+
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    errors.push('score must be an integer from 1 to 5');
+  }
+  if (review !== undefined && review !== null &&
+      (typeof review !== 'string' || review.length > MAX_REVIEW_LENGTH)) {
+    errors.push(`review must be a string of at most ${MAX_REVIEW_LENGTH} characters or null`);
+  }
+  for (const field of Object.keys(rest)) {
+    errors.push(`${field} is not a known field`);
+  }
+  return errors;
+}
+
+function paginate(items, { page, limit }) {
+  const start = (page - 1) * limit;
+  return {
+    items: items.slice(start, start + limit),
+    pagination: { page, limit, total: items.length, totalPages: Math.ceil(items.length / limit) }
+  };
+}
+
+const newestFirst = (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+
+// Who hid a review, when and why stays with the admins
+const PUBLIC_REVIEW_FIELDS = ['id', 'gameId', 'userId', 'username', 'score', 'review', 'hidden', 'createdAt', 'updatedAt'];
+
+const publicReview = (review) =>
+  Object.fromEntries(PUBLIC_REVIEW_FIELDS.filter(field => field in review).map(field => [field, review[field]]));
+
+const reviewSerializerFor = (user) => (hasRole(user, 'admin') ? (review) => review : publicReview);
+
+export function createReviewsRouter({ games, reviews, audit }) {
+  const router = Router();
+
+  async function findVisibleGame(req, res) {
+    const game = await games.findById(req.params.id);
+    if (!game || (!game.isActive && !hasRole(req.user, 'admin'))) {
+      res.status(404).json({ error: 'Game not found' });
+      return null;
+    }
+    return game;
+  }
+
+  // Rate a game - one rating per user, posting again edits it
+  router.post('/games/:id/ratings', requireUser, asyncHandler(async (req, res) => {
+    const game = await findVisibleGame(req, res);
+    if (!game) return;
+
+    const errors = validateRating(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rating', details: errors });
+    }
+
+    // Blank reviews are stored as "no review"
+    let { score, review } = req.body;
+    if (typeof review === 'string') review = review.trim() || null;
+
+    const result = await reviews.rate(game.id, req.user, { score, review });
+    res.status(result.created ? 201 : 200).json({
+      review: reviewSerializerFor(req.user)(result.review),
+      rating: result.summary
+    });
+  }));
+
+  // Written reviews for a game, newest first, plus the rating breakdown
+  router.get('/games/:id/reviews', asyncHandler(async (req, res) => {
+    const errors = [];
+    const paging = parsePaging(req.query, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+
+    const game = await findVisibleGame(req, res);
+    if (!game) return;
+
+    const all = await reviews.listForGame(game.id);
+    const includeHidden = req.query.includeHidden === 'true' && hasRole(req.user, 'admin');
+    const written = all
+      .filter(r => r.review && (includeHidden || !r.hidden))
+      .sort(newestFirst);
+
+    const { items, pagination } = paginate(written, paging);
+    res.json({
+      reviews: items.map(reviewSerializerFor(req.user)),
+      rating: summarize(all),
+      pagination
+    });
+  }));
+
+  // Moderation queue (admin) - ?hidden=true|false to filter
+  router.get('/reviews', requireAdmin, asyncHandler(async (req, res) => {
+    const errors = [];
+    const paging = parsePaging(req.query, errors);
+    if (req.query.hidden !== undefined && !['true', 'false'].includes(req.query.hidden)) {
+      errors.push('hidden must be true or false');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+
+    let all = (await reviews.list()).filter(r => r.review);
+    if (req.query.hidden !== undefined) {
+      all = all.filter(r => r.hidden === (req.query.hidden === 'true'));
+    }
+
+    const { items, pagination } = paginate(all.sort(newestFirst), paging);
+    res.json({ reviews: items, pagination });
+  }));
+
+  // Hide or restore a review (admin) - body: { hidden, reason? }
+  router.patch('/reviews/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const { hidden, reason = null } = req.body || {};
+    const errors = [];
+    if (typeof hidden !== 'boolean') {
+      errors.push('hidden must be a boolean');
+    }
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      errors.push(`reason must be a string of at most ${MAX_REASON_LENGTH} characters or null`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid moderation', details: errors });
+    }
+
+    const review = await reviews.setHidden(req.params.id, hidden, { reason, by: req.user.id });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'review.moderate',
+      target: { type: 'review', id: review.id },
+      details: { gameId: review.gameId, userId: review.userId, hidden, reason }
+    });
+    res.json(review);
+  }));
+
+  return router;
+}
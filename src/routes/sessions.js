@@ -0,0 +1,149 @@
+/**
+ * Session routes
+ * Start (or queue), inspect and end emulator sessions
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { hasRole, requireUser } from '../middleware/auth.js';
+import { actorOf } from '../audit/log.js';
+import { isInSession, sessionFor } from '../sessions/serializers.js';
+
+const VISIBILITIES = ['public', 'private'];
+const MAX_SPECTATORS = 100;
+
+const passThrough = (req, res, next) => next();
+
+export function createSessionsRouter({ sessions, queue, games, presence, startLimit = passThrough, audit }) {
+  const router = Router();
+
+  // Start a session for a game - 202 with a queue ticket when every slot is taken
+  router.post('/games/:id/sessions', requireUser, startLimit, asyncHandler(async (req, res) => {
+    const { session, ticket } = await queue.request({ gameId: req.params.id, userId: req.user.id });
+    if (ticket) {
+      return res.status(202).json({ queued: true, ticket });
+    }
+    res.status(201).json(session);
+  }));
+
+  // Queue ticket status - position, ETA and claim deadline once offered
+  router.get('/queue/:ticketId', requireUser, (req, res) => {
+    res.json(queue.get(req.params.ticketId, req.user.id));
+  });
+
+  // Claim an offered slot
+  router.post('/queue/:ticketId/claim', requireUser, startLimit, asyncHandler(async (req, res) => {
+    const session = await queue.claim(req.params.ticketId, req.user.id);
+    res.status(201).json(session);
+  }));
+
+  // Leave the queue
+  router.delete('/queue/:ticketId', requireUser, (req, res) => {
+    queue.cancel(req.params.ticketId, req.user.id);
+    res.status(204).end();
+  });
+
+  // Public sessions people can watch, busiest first
+  router.get('/sessions/live', asyncHandler(async (req, res) => {
+    const live = sessions.list().filter(s => s.status === 'running' && s.visibility === 'public');
+    const gameList = await Promise.all(live.map(s => games.findById(s.gameId)));
+
+    res.json({
+      sessions: live
+        .map((session, i) => {
+          const game = gameList[i];
+          return {
+            id: session.id,
+            status: session.status,
+            startedAt: session.startedAt,
+            lobbyId: session.lobbyId,
+            maxSpectators: session.maxSpectators,
+            ...presence.counts(session.id),
+            game: game && {
+              id: game.id,
+              title: game.title,
+              slug: game.slug,
+              system: game.system,
+              coverArtUrl: game.coverArtUrl,
+              playerCount: game.playerCount
+            }
+          };
+        })
+        .filter(s => s.game)
+        .sort((a, b) => (b.players + b.spectators) - (a.players + a.spectators))
+    });
+  }));
+
+  // Session status - polling by its players counts as activity; anyone
+  // else gets the public fields
+  router.get('/sessions/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (isInSession(session, req.user)) {
+      sessions.touch(session.id);
+    }
+    res.json(sessionFor(session, req.user));
+  });
+
+  // Spectator settings - owner or admin. Body: { visibility?, maxSpectators? }
+  router.patch('/sessions/:id', requireUser, (req, res) => {
+    const existing = sessions.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (existing.userId !== req.user.id && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Not your session' });
+    }
+
+    const { visibility, maxSpectators, ...rest } = req.body || {};
+    const errors = Object.keys(rest).map(field => `${field} is not a known field`);
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      errors.push(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    if (maxSpectators !== undefined &&
+        (!Number.isInteger(maxSpectators) || maxSpectators < 0 || maxSpectators > MAX_SPECTATORS)) {
+      errors.push(`maxSpectators must be an integer between 0 and ${MAX_SPECTATORS}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid session settings', details: errors });
+    }
+
+    const changes = {};
+    if (visibility !== undefined) changes.visibility = visibility;
+    if (maxSpectators !== undefined) changes.maxSpectators = maxSpectators;
+    res.json(sessions.updateSettings(existing.id, changes));
+  });
+
+  // End a session - owner or admin
+  router.delete('/sessions/:id', requireUser, asyncHandler(async (req, res) => {
+    const existing = sessions.get(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const isOwner = existing.userId === req.user.id;
+    if (!isOwner && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Not your session' });
+    }
+
+    if (isOwner) {
+      return res.json(await sessions.end(existing.id, 'ended by user'));
+    }
+
+    const ended = await sessions.end(existing.id, 'ended by admin');
+    await audit.record({
+      actor: actorOf(req.user),
+      action: 'session.end',
+      target: { type: 'session', id: existing.id },
+      details: { gameId: existing.gameId, userId: existing.userId, status: existing.status }
+    });
+    res.json(ended);
+  }));
+
+  return router;
+}
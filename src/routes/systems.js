@@ -0,0 +1,52 @@
+/**
+ * System routes
+ * Exposes the platform registry so the frontend doesn't hard-code it
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/async-handler.js';
+import { PLATFORMS, getPlatform } from '../platforms.js';
+
+// Public shape of a platform - scanner folder aliases stay internal
+const present = (platform, activeGames) => ({
+  id: platform.id,
+  name: platform.name,
+  manufacturer: platform.manufacturer,
+  generation: platform.generation,
+  extensions: platform.extensions,
+  emulator: platform.emulator,
+  core: platform.core,
+  maxControllers: platform.maxControllers,
+  activeGames
+});
+
+export function createSystemsRouter({ games }) {
+  const router = Router();
+
+  async function activeCounts() {
+    const counts = {};
+    for (const game of await games.list()) {
+      if (game.isActive) counts[game.system] = (counts[game.system] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // List systems
+  router.get('/', asyncHandler(async (req, res) => {
+    const counts = await activeCounts();
+    res.json({ systems: PLATFORMS.map(p => present(p, counts[p.id] || 0)) });
+  }));
+
+  // Get single system
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const platform = getPlatform(req.params.id);
+    if (!platform) {
+      return res.status(404).json({ error: 'System not found' });
+    }
+
+    const counts = await activeCounts();
+    res.json(present(platform, counts[platform.id] || 0));
+  }));
+
+  return router;
+}
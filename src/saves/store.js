@@ -0,0 +1,193 @@
+/**
+ * Save data storage
+ * Save RAM, memory cards and save states collected from finished sessions,
+ * kept per user and game and copied back into the next session's directory.
+ *
+ * File contents live in <dir>/<user>/<game>/<slot id>; the manifest for each
+ * user + game pair is a document in the 'saves' collection. Every file carries
+ * a SHA-256 that is checked before it is restored, so a corrupted save is
+ * never handed to an emulator.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const COLLECTION = 'saves';
+const SAFE_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// User and game ids come from outside; anything unusual is hashed into a safe directory name
+const keyFor = (id) => (SAFE_KEY.test(id) ? id : sha256(String(id)).slice(0, 32));
+
+// Stable slot id for a file path inside the session directory
+const slotId = (relPath) => sha256(relPath).slice(0, 16);
+
+// Relative paths from a manifest must stay inside the session directory
+function isSafeRelative(relPath) {
+  return typeof relPath === 'string' && relPath.length > 0 &&
+    !path.isAbsolute(relPath) && !relPath.split('/').includes('..');
+}
+
+async function walk(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await walk(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+async function writeAtomic(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+export function createSaveStore({ dir, store, quota = 100 * 1024 * 1024 }) {
+  const docId = (userId, gameId) => `${keyFor(userId)}:${keyFor(gameId)}`;
+  const blobPath = (userId, gameId, id) => path.join(dir, keyFor(userId), keyFor(gameId), id);
+
+  async function manifest(userId, gameId) {
+    return (await store.get(COLLECTION, docId(userId, gameId))) ||
+      { id: docId(userId, gameId), userId, gameId, files: [], updatedAt: null };
+  }
+
+  async function userManifests(userId) {
+    return (await store.all(COLLECTION)).filter(doc => doc.userId === userId);
+  }
+
+  const sizeOf = (files) => files.reduce((sum, file) => sum + file.size, 0);
+
+  return {
+    quota,
+
+    async open() {
+      await fs.promises.mkdir(dir, { recursive: true });
+    },
+
+    list: manifest,
+
+    // Bytes used per game and in total, against the quota
+    async usage(userId) {
+      const games = (await userManifests(userId))
+        .filter(doc => doc.files.length > 0)
+        .map(doc => ({ gameId: doc.gameId, files: doc.files.length, size: sizeOf(doc.files), updatedAt: doc.updatedAt }));
+      return { used: games.reduce((sum, g) => sum + g.size, 0), quota, games };
+    },
+
+    /**
+     * Copy a finished session's save files into storage. `locations` are the
+     * emulator profile's save directories ({ kind, dir } relative to workDir).
+     * Files are merged into the existing set by path, so a save the emulator
+     * didn't touch this time is kept. When the result would exceed the quota
+     * the oldest save states are dropped first; if save files alone don't
+     * fit, nothing is stored and the previous saves stay as they were.
+     */
+    async collect({ userId, gameId, workDir, locations }) {
+      const now = new Date().toISOString();
+      const current = await manifest(userId, gameId);
+      const byPath = new Map(current.files.map(file => [file.path, file]));
+      const incoming = new Map();
+
+      for (const { kind, dir: locationDir } of locations) {
+        for (const full of await walk(path.join(workDir, locationDir))) {
+          const relPath = path.relative(workDir, full).split(path.sep).join('/');
+          const data = await fs.promises.readFile(full);
+          const hash = sha256(data);
+          const existing = byPath.get(relPath);
+          if (existing && existing.sha256 === hash && !existing.corrupt) continue;
+
+          incoming.set(relPath, data);
+          byPath.set(relPath, { id: slotId(relPath), kind, path: relPath, size: data.length, sha256: hash, updatedAt: now });
+        }
+      }
+
+      if (incoming.size === 0) {
+        return { stored: 0, dropped: [], manifest: current };
+      }
+
+      // Fit within the quota, oldest states out first
+      const otherGames = (await userManifests(userId))
+        .filter(doc => doc.id !== current.id)
+        .reduce((sum, doc) => sum + sizeOf(doc.files), 0);
+      const files = [...byPath.values()];
+      const states = files.filter(f => f.kind === 'state').sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+      const dropped = [];
+      while (otherGames + sizeOf(files) > quota && states.length > 0) {
+        const oldest = states.shift();
+        files.splice(files.indexOf(oldest), 1);
+        dropped.push(oldest.path);
+      }
+      if (otherGames + sizeOf(files) > quota) {
+        throw new Error(`Save data for game ${gameId} exceeds the ${quota} byte quota of user ${userId}`);
+      }
+
+      for (const file of files) {
+        if (incoming.has(file.path)) {
+          await writeAtomic(blobPath(userId, gameId, file.id), incoming.get(file.path));
+        }
+      }
+
+      const next = await store.put(COLLECTION, { ...current, files, updatedAt: now });
+      for (const relPath of dropped) {
+        await fs.promises.rm(blobPath(userId, gameId, slotId(relPath)), { force: true });
+      }
+      return { stored: [...incoming.keys()].filter(p => !dropped.includes(p)).length, dropped, manifest: next };
+    },
+
+    /**
+     * Write the user's saves for a game into a new session directory. Files
+     * whose checksum no longer matches are skipped and flagged as corrupt.
+     */
+    async restore({ userId, gameId, workDir }) {
+      const current = await manifest(userId, gameId);
+      const restored = [];
+      const corrupt = [];
+
+      for (const file of current.files) {
+        if (file.corrupt || !isSafeRelative(file.path)) continue;
+
+        const data = await fs.promises.readFile(blobPath(userId, gameId, file.id)).catch(() => null);
+        if (!data || data.length !== file.size || sha256(data) !== file.sha256) {
+          corrupt.push(file.id);
+          continue;
+        }
+
+        const target = path.join(workDir, file.path);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, data);
+        restored.push(file.path);
+      }
+
+      if (corrupt.length > 0) {
+        await store.update(COLLECTION, current.id, (doc) => doc && {
+          ...doc,
+          files: doc.files.map(f => (corrupt.includes(f.id) ? { ...f, corrupt: true } : f))
+        });
+      }
+      return { restored, corrupt };
+    },
+
+    // Delete one slot, or every save for the game when slotId is omitted
+    async remove(userId, gameId, id = null) {
+      const current = await manifest(userId, gameId);
+      const removed = current.files.filter(f => id === null || f.id === id);
+      if (removed.length === 0) return 0;
+
+      await store.put(COLLECTION, {
+        ...current,
+        files: current.files.filter(f => !removed.includes(f)),
+        updatedAt: new Date().toISOString()
+      });
+      for (const file of removed) {
+        await fs.promises.rm(blobPath(userId, gameId, file.id), { force: true });
+      }
+      return removed.length;
+    }
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Emulator launchers
+ *
+ * A launcher turns a session into a running emulator. The session manager only
+ * relies on this interface:
+ *
+ *   launch({ session, game, onExit }) -> Promise<handle>
+ *     handle.stop() -> Promise<void>   terminate the emulator
+ *     handle.input(message)            deliver a controller input message
+ *     onExit({ code, signal, crashed }) called once if the emulator exits on its own
+ *     handle.recovery                  optional, JSON-safe; kept in the session snapshot
+ *
+ *   recover(recovery, { collectSaves }) -> Promise<{ stopped, stored }>
+ *     optional; cleans up after a session whose server went away (see sessions/recovery.js)
+ */
+
+// Launches nothing - sessions go straight to running. Handy for tests and for
+// running the API without any emulators installed.
+export function createFakeLauncher() {
+  const launches = [];
+
+  return {
+    launches,
+
+    async launch({ session, game, onExit }) {
+      const entry = { sessionId: session.id, gameId: game.id, stopped: false, inputs: [] };
+      launches.push(entry);
+
+      return {
+        pid: null,
+        async stop() {
+          entry.stopped = true;
+        },
+        input(message) {
+          entry.inputs.push(message);
+        },
+        // Lets tests simulate the emulator dying
+        crash(code = 1) {
+          onExit({ code, signal: null, crashed: true });
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * Game session manager
+ * Allocates sessions up to the concurrency limit, launches the emulator through
+ * the configured launcher and reaps sessions that go idle. During shutdown it
+ * stops taking new sessions (stopAccepting) and ends the rest (endAll).
+ *
+ * Emits 'session' with the session snapshot on every state change.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { HttpError } from '../errors.js';
+import { logger } from '../logger.js';
+
+const FINISHED = new Set(['ended', 'crashed']);
+
+const log = logger.child({ component: 'sessions' });
+
+// Logger for everything about one session, so its lines can be followed by sessionId
+export const sessionLogger = (session) =>
+  log.child({ sessionId: session.id, gameId: session.gameId, userId: session.userId });
+
+export function createSessionManager({
+  games,
+  launcher,
+  maxSessions = 10,
+  // Default spectator cap for new sessions; hosts can change it per session
+  maxSpectators = 10,
+  idleTimeout = 10 * 60 * 1000,
+  cleanupInterval = 5 * 60 * 1000
+}) {
+  const events = new EventEmitter();
+  // id -> { session, handle }
+  const sessions = new Map();
+  let timer = null;
+  let accepting = true;
+
+  const snapshot = (session) => ({ ...session });
+
+  function setStatus(session, status, extra = {}) {
+    Object.assign(session, { status, ...extra });
+    sessionLogger(session)[status === 'crashed' ? 'warn' : 'info'](`Session ${status}`, {
+      ...(session.endReason && { reason: session.endReason })
+    });
+    events.emit('session', snapshot(session));
+  }
+
+  function active() {
+    return [...sessions.values()]
+      .map(entry => entry.session)
+      .filter(session => !FINISHED.has(session.status));
+  }
+
+  /**
+   * Launch a session. Lobby sessions pass `players` ({ slot, userId, username })
+   * so each player's controller port follows their lobby slot.
+   */
+  async function start({ gameId, userId = null, lobbyId = null, players = null }) {
+    if (!accepting) {
+      throw new HttpError(503, 'The server is restarting, try again shortly');
+    }
+
+    const game = await games.findById(gameId);
+    if (!game || !game.isActive) {
+      throw new HttpError(404, 'Game not found');
+    }
+
+    if (active().length >= maxSessions) {
+      throw new HttpError(503, 'All session slots are in use, try again later');
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: randomUUID(),
+      gameId: game.id,
+      system: game.system,
+      userId,
+      lobbyId,
+      players,
+      visibility: 'public',
+      maxSpectators,
+      emulator: null,
+      pid: null,
+      status: 'starting',
+      createdAt: now,
+      startedAt: null,
+      lastActivityAt: now,
+      endedAt: null,
+      endReason: null,
+      exitCode: null
+    };
+    const entry = { session, handle: null };
+    sessions.set(session.id, entry);
+    events.emit('session', snapshot(session));
+
+    try {
+      entry.handle = await launcher.launch({
+        session: snapshot(session),
+        game,
+        onExit: (result) => handleExit(session.id, result)
+      });
+    } catch (error) {
+      setStatus(session, 'crashed', {
+        endedAt: new Date().toISOString(),
+        endReason: `launch failed: ${error.message}`
+      });
+      throw new HttpError(502, 'Failed to launch emulator');
+    }
+
+    session.emulator = entry.handle.profile ?? game.emulator;
+    session.pid = entry.handle.pid ?? null;
+
+    // The emulator may already have exited during launch
+    if (session.status === 'starting') {
+      setStatus(session, 'running', { startedAt: new Date().toISOString() });
+    }
+
+    await games.incrementPlayCount(game.id);
+    return snapshot(session);
+  }
+
+  function handleExit(id, { code, signal, crashed }) {
+    const entry = sessions.get(id);
+    if (!entry || FINISHED.has(entry.session.status)) return;
+
+    entry.handle = null;
+    setStatus(entry.session, crashed ? 'crashed' : 'ended', {
+      endedAt: new Date().toISOString(),
+      exitCode: code ?? null,
+      endReason: crashed
+        ? `emulator exited (code ${code ?? 'none'}${signal ? `, ${signal}` : ''})`
+        : 'emulator exited'
+    });
+  }
+
+  async function end(id, reason = 'ended by user') {
+    const entry = sessions.get(id);
+    if (!entry) return null;
+    if (FINISHED.has(entry.session.status)) return snapshot(entry.session);
+
+    // Mark finished first so the launcher's exit callback is ignored
+    const { handle } = entry;
+    entry.handle = null;
+    setStatus(entry.session, 'ended', {
+      endedAt: new Date().toISOString(),
+      endReason: reason
+    });
+
+    if (handle) {
+      await handle.stop();
+    }
+    return snapshot(entry.session);
+  }
+
+  // Host settings: visibility ('public' | 'private') and the spectator cap
+  function updateSettings(id, changes) {
+    const entry = sessions.get(id);
+    if (!entry) return null;
+    if (FINISHED.has(entry.session.status)) {
+      throw new HttpError(409, 'Session has ended');
+    }
+
+    Object.assign(entry.session, changes);
+    events.emit('session', snapshot(entry.session));
+    return snapshot(entry.session);
+  }
+
+  // A lobby player who left or was kicked gives up their seat in the running session
+  function removePlayer(id, userId) {
+    const entry = sessions.get(id);
+    if (!entry?.session.players || FINISHED.has(entry.session.status)) return null;
+    if (!entry.session.players.some(p => p.userId === userId)) return snapshot(entry.session);
+
+    entry.session.players = entry.session.players.filter(p => p.userId !== userId);
+    events.emit('session', snapshot(entry.session));
+    return snapshot(entry.session);
+  }
+
+  async function endAll(reason) {
+    await Promise.all(active().map(session => end(session.id, reason)));
+  }
+
+  // Active sessions plus what the launcher needs to clean up after them if this process dies
+  function records() {
+    return [...sessions.values()]
+      .filter(entry => !FINISHED.has(entry.session.status))
+      .map(entry => ({ ...snapshot(entry.session), recovery: entry.handle?.recovery ?? null }));
+  }
+
+  /**
+   * Put a finished session from a previous run back, so clients that reconnect
+   * with its id learn how it ended. `announce` emits it like a live change,
+   * which records it in the player's history.
+   */
+  function restore(session, { announce = false } = {}) {
+    if (sessions.has(session.id) || !FINISHED.has(session.status)) return;
+    const entry = { session: { ...session }, handle: null };
+    sessions.set(session.id, entry);
+    if (announce) {
+      sessionLogger(entry.session).info(`Session ${session.status}`, { reason: session.endReason });
+      events.emit('session', snapshot(entry.session));
+    }
+  }
+
+  function get(id) {
+    const entry = sessions.get(id);
+    return entry ? snapshot(entry.session) : null;
+  }
+
+  // Record client activity so the session isn't reaped as idle
+  function touch(id) {
+    const entry = sessions.get(id);
+    if (entry && !FINISHED.has(entry.session.status)) {
+      entry.session.lastActivityAt = new Date().toISOString();
+    }
+  }
+
+  // Forward a controller input to the session's emulator
+  function sendInput(id, message) {
+    const entry = sessions.get(id);
+    if (!entry?.handle || entry.session.status !== 'running') return false;
+
+    entry.session.lastActivityAt = new Date().toISOString();
+    entry.handle.input?.(message);
+    return true;
+  }
+
+  async function cleanup() {
+    const now = Date.now();
+
+    for (const [id, { session }] of sessions) {
+      if (FINISHED.has(session.status)) {
+        // Finished sessions stay queryable for one cleanup cycle
+        if (now - Date.parse(session.endedAt) >= cleanupInterval) {
+          sessions.delete(id);
+        }
+      } else if (now - Date.parse(session.lastActivityAt) >= idleTimeout) {
+        sessionLogger(session).info('Ending idle session');
+        await end(id, 'idle timeout');
+      }
+    }
+  }
+
+  return {
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+    start,
+    end,
+    endAll,
+    updateSettings,
+    removePlayer,
+    get,
+    touch,
+    sendInput,
+    // Launcher handle (stdin, output) for a live session
+    handle: (id) => sessions.get(id)?.handle ?? null,
+    cleanup,
+    list: () => [...sessions.values()].map(entry => snapshot(entry.session)),
+    activeCount: () => active().length,
+    records,
+    restore,
+    isAccepting: () => accepting,
+
+    // New sessions get 503 from here on; running ones carry on until ended
+    stopAccepting() {
+      accepting = false;
+    },
+
+    startCleanup() {
+      timer = setInterval(() => {
+        cleanup().catch(error => log.error('Session cleanup failed', { err: error }));
+      }, cleanupInterval);
+      timer.unref();
+    },
+
+    stopCleanup() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Session presence
+ * Who is connected to each session room and in which role, so viewer counts
+ * can be reported over REST and spectator caps enforced over the socket.
+ * Kept by the realtime session channel; counts are per user, not per socket.
+ * Emits 'leave' { sessionId, socketId } whenever a socket leaves a room, by
+ * its own request or because the server removed it.
+ */
+
+import { EventEmitter } from 'events';
+
+export function createPresence() {
+  // sessionId -> Map(socketId -> { userId, role: 'player' | 'spectator' })
+  const rooms = new Map();
+  const events = new EventEmitter();
+
+  function usersWith(sessionId, role) {
+    const room = rooms.get(sessionId);
+    if (!room) return new Set();
+    return new Set([...room.values()].filter(m => m.role === role).map(m => m.userId));
+  }
+
+  function socketsWith(sessionId, role) {
+    const room = rooms.get(sessionId);
+    if (!room) return [];
+    return [...room].filter(([, m]) => m.role === role).map(([socketId, m]) => ({ socketId, userId: m.userId }));
+  }
+
+  return {
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+
+    join(sessionId, socketId, { userId, role }) {
+      if (!rooms.has(sessionId)) {
+        rooms.set(sessionId, new Map());
+      }
+      rooms.get(sessionId).set(socketId, { userId, role });
+    },
+
+    leave(sessionId, socketId) {
+      const room = rooms.get(sessionId);
+      if (!room?.delete(socketId)) return;
+      if (room.size === 0) rooms.delete(sessionId);
+      events.emit('leave', { sessionId, socketId });
+    },
+
+    // Role of a socket in a session, or null if it isn't in the room
+    roleOf(sessionId, socketId) {
+      return rooms.get(sessionId)?.get(socketId)?.role ?? null;
+    },
+
+    // Spectator sockets, for removing them when a session goes private
+    spectatorSockets(sessionId) {
+      return socketsWith(sessionId, 'spectator');
+    },
+
+    // Player sockets, for removing players who lost their lobby seat
+    playerSockets(sessionId) {
+      return socketsWith(sessionId, 'player');
+    },
+
+    counts(sessionId) {
+      return {
+        players: usersWith(sessionId, 'player').size,
+        spectators: usersWith(sessionId, 'spectator').size
+      };
+    },
+
+    clear(sessionId) {
+      rooms.delete(sessionId);
+    }
+  };
+}
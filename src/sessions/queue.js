@@ -0,0 +1,294 @@
+/**
+ * Session queue
+ * Gatekeeper in front of the session manager. Requests beyond capacity wait
+ * in a FIFO queue (admins can reorder it); when a slot frees up the ticket at
+ * the head is offered that slot and held for `claimTimeout` ms. An unclaimed
+ * offer expires and passes to the next ticket.
+ *
+ * Every user may have at most their session limit of running sessions (their
+ * own and lobby sessions they play in) and queue tickets combined
+ * (MAX_SESSIONS_PER_USER, overridable per user). Lobby starts and claims are
+ * held to it too.
+ *
+ * Emits 'ticket' with the ticket snapshot whenever its status, position or
+ * ETA changes.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { HttpError } from '../errors.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'queue' });
+
+const FINISHED = new Set(['ended', 'crashed']);
+// Used for ETAs until enough sessions have finished to measure
+const DEFAULT_SESSION_SECONDS = 15 * 60;
+const DURATION_SAMPLES = 20;
+
+export function createSessionQueue({
+  sessions,
+  users,
+  games,
+  maxSessions = 10,
+  maxPerUser = 1,
+  claimTimeout = 60 * 1000,
+  maxQueueLength = 100
+}) {
+  const events = new EventEmitter();
+  // Waiting and offered tickets, in queue order
+  const tickets = [];
+  const timers = new Map();
+  const durations = [];
+  // userId -> starts between the limit check and their session or ticket existing
+  const reserved = new Map();
+
+  const waiting = () => tickets.filter(t => t.status === 'waiting');
+  // Offers hold their slot until claimed, including while the claim is launching
+  const offered = () => tickets.filter(t => t.status === 'offered' || t.status === 'claiming');
+  const freeSlots = () => maxSessions - sessions.activeCount() - offered().length;
+
+  function averageSeconds() {
+    if (durations.length === 0) return DEFAULT_SESSION_SECONDS;
+    return durations.reduce((sum, d) => sum + d, 0) / durations.length;
+  }
+
+  // Estimated wait for each queue position: when the running sessions are
+  // expected to finish, then whole average sessions for later rounds
+  function etas(count) {
+    const average = averageSeconds();
+    const now = Date.now();
+    const remaining = sessions.list()
+      .filter(s => !FINISHED.has(s.status))
+      .map(s => Math.max(average - (now - Date.parse(s.startedAt || s.createdAt)) / 1000, 0))
+      .sort((a, b) => a - b);
+    while (remaining.length < maxSessions) remaining.push(0);
+
+    return Array.from({ length: count }, (_, i) =>
+      Math.round(remaining[i % maxSessions] + Math.floor(i / maxSessions) * average));
+  }
+
+  function snapshot(ticket) {
+    const queue = waiting();
+    const index = queue.indexOf(ticket);
+    return {
+      ...ticket,
+      position: index === -1 ? null : index + 1,
+      etaSeconds: index === -1 ? null : etas(index + 1)[index]
+    };
+  }
+
+  const emit = (ticket) => events.emit('ticket', snapshot(ticket));
+
+  function remove(ticket, status) {
+    ticket.status = status;
+    clearTimeout(timers.get(ticket.id));
+    timers.delete(ticket.id);
+    tickets.splice(tickets.indexOf(ticket), 1);
+    emit(ticket);
+  }
+
+  // Hand free slots to the head of the queue, then refresh everyone's position
+  function pump() {
+    while (freeSlots() > 0 && waiting().length > 0) {
+      const ticket = waiting()[0];
+      const now = Date.now();
+      ticket.status = 'offered';
+      ticket.offeredAt = new Date(now).toISOString();
+      ticket.claimDeadline = new Date(now + claimTimeout).toISOString();
+
+      const timer = setTimeout(() => {
+        if (ticket.status !== 'offered') return;
+        log.info('Queue ticket was not claimed in time', { ticketId: ticket.id, userId: ticket.userId });
+        remove(ticket, 'expired');
+        pump();
+      }, claimTimeout);
+      timer.unref();
+      timers.set(ticket.id, timer);
+    }
+    for (const ticket of tickets) emit(ticket);
+  }
+
+  async function limitFor(userId) {
+    const profile = await users.get(userId);
+    return profile.sessionLimit ?? maxPerUser;
+  }
+
+  const playsIn = (session, userId) =>
+    session.userId === userId || Boolean(session.players?.some(p => p.userId === userId));
+
+  /**
+   * Take one of each user's session slots, or throw 429. Counting and taking
+   * happen together after the last await, so concurrent requests can't both
+   * fit into the last slot. `except` is a ticket being turned into a session.
+   * Returns a release function; call it once the session or ticket exists
+   * (or the start failed).
+   */
+  async function reserve(userIds, { except = null } = {}) {
+    const limits = await Promise.all(userIds.map(limitFor));
+    const live = sessions.list().filter(s => !FINISHED.has(s.status));
+
+    userIds.forEach((userId, i) => {
+      const running = live.filter(s => playsIn(s, userId)).length;
+      const queued = tickets.filter(t => t.userId === userId && t !== except).length;
+      if (running + queued + (reserved.get(userId) || 0) >= limits[i]) {
+        throw new HttpError(429, userIds.length === 1
+          ? `Session limit reached (${limits[i]} at a time)`
+          : 'A player in this lobby has reached their session limit');
+      }
+    });
+
+    for (const userId of userIds) {
+      reserved.set(userId, (reserved.get(userId) || 0) + 1);
+    }
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      for (const userId of userIds) {
+        const count = reserved.get(userId) - 1;
+        if (count > 0) reserved.set(userId, count);
+        else reserved.delete(userId);
+      }
+    };
+  }
+
+  function findTicket(id, userId) {
+    const ticket = tickets.find(t => t.id === id);
+    if (!ticket || (userId && ticket.userId !== userId)) {
+      throw new HttpError(404, 'Queue ticket not found');
+    }
+    return ticket;
+  }
+
+  // Track how long sessions last for ETAs, and refill freed slots
+  sessions.on('session', (session) => {
+    if (!FINISHED.has(session.status)) return;
+    if (session.startedAt) {
+      durations.push((Date.parse(session.endedAt) - Date.parse(session.startedAt)) / 1000);
+      if (durations.length > DURATION_SAMPLES) durations.shift();
+    }
+    pump();
+  });
+
+  return {
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+
+    /**
+     * Start a session straight away when a slot is free and nobody is
+     * waiting, otherwise queue it. Resolves to { session } or { ticket }.
+     */
+    async request({ gameId, userId }) {
+      if (!sessions.isAccepting()) {
+        throw new HttpError(503, 'The server is restarting, try again shortly');
+      }
+      // Checked here too, so a bogus game never takes a queue position
+      const game = await games.findById(gameId);
+      if (!game || !game.isActive) {
+        throw new HttpError(404, 'Game not found');
+      }
+      const release = await reserve([userId]);
+
+      try {
+        if (freeSlots() > 0 && waiting().length === 0) {
+          return { session: await sessions.start({ gameId, userId }) };
+        }
+        if (waiting().length >= maxQueueLength) {
+          throw new HttpError(503, 'The queue is full, try again later');
+        }
+      } finally {
+        release();
+      }
+
+      const ticket = {
+        id: randomUUID(),
+        userId,
+        gameId,
+        status: 'waiting',
+        createdAt: new Date().toISOString(),
+        offeredAt: null,
+        claimDeadline: null
+      };
+      tickets.push(ticket);
+      pump();
+      return { ticket: snapshot(ticket) };
+    },
+
+    // Start sessions that bypass the queue (lobbies) only when no slot is
+    // held for anyone and every player is within their session limit
+    async startNow(options) {
+      if (freeSlots() <= 0) {
+        throw new HttpError(503, 'All session slots are in use, try again later');
+      }
+      const userIds = options.players ? options.players.map(p => p.userId) : [options.userId];
+      const release = await reserve([...new Set(userIds.filter(Boolean))]);
+      try {
+        return await sessions.start(options);
+      } finally {
+        release();
+      }
+    },
+
+    // Turn an offered slot into a running session
+    async claim(id, userId) {
+      const ticket = findTicket(id, userId);
+      if (ticket.status !== 'offered') {
+        throw new HttpError(409, 'Your slot is not ready yet');
+      }
+      // The ticket already counts; this catches a limit lowered since it was queued
+      const release = await reserve([ticket.userId], { except: ticket });
+      if (ticket.status !== 'offered') {
+        release();
+        throw new HttpError(409, 'Your slot is not ready yet');
+      }
+
+      ticket.status = 'claiming';
+      clearTimeout(timers.get(ticket.id));
+      try {
+        const session = await sessions.start({ gameId: ticket.gameId, userId: ticket.userId });
+        remove(ticket, 'claimed');
+        return session;
+      } catch (error) {
+        remove(ticket, 'failed');
+        throw error;
+      } finally {
+        release();
+        pump();
+      }
+    },
+
+    // Leave the queue (owner), or drop a ticket (admin, userId omitted)
+    cancel(id, userId = null) {
+      const ticket = findTicket(id, userId);
+      remove(ticket, 'cancelled');
+      pump();
+      return snapshot(ticket);
+    },
+
+    get(id, userId = null) {
+      return snapshot(findTicket(id, userId));
+    },
+
+    list() {
+      return tickets.map(snapshot);
+    },
+
+    // Admin: move a waiting ticket to a 1-based position among waiting tickets
+    move(id, position) {
+      const ticket = findTicket(id);
+      if (ticket.status !== 'waiting') {
+        throw new HttpError(409, 'Only waiting tickets can be moved');
+      }
+
+      const others = waiting().filter(t => t !== ticket);
+      const before = others[Math.min(position, others.length + 1) - 1];
+      tickets.splice(tickets.indexOf(ticket), 1);
+      tickets.splice(before ? tickets.indexOf(before) : tickets.length, 0, ticket);
+      pump();
+      return snapshot(ticket);
+    },
+
+    limitFor
+  };
+}
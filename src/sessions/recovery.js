@@ -0,0 +1,129 @@
+/**
+ * Session snapshot and crash recovery
+ *
+ * Sessions live in memory, so the snapshot file is what survives a restart:
+ *   { writtenAt, shutdown: null | { signal, at }, sessions: [session + recovery] }
+ *
+ * - While running, it is rewritten on every session change with the active
+ *   sessions, so even a crash leaves a list of what was running, and every
+ *   `heartbeatInterval` so writtenAt tells roughly when a crash happened.
+ * - On shutdown, the sessions still active after the drain period are ended
+ *   and written out with how they ended.
+ * - On startup, reconcile() reads it back: emulators a crash left running are
+ *   stopped and their saves collected, and every session from the snapshot
+ *   is put back as finished - 'ended' after a clean shutdown, 'crashed' after
+ *   a crash - so reconnecting clients find out what happened to it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'recovery' });
+
+const SHUTDOWN_REASON = 'server restarted';
+const CRASH_REASON = 'server stopped unexpectedly';
+
+export function createSessionRecovery({ file, sessions, launcher, heartbeatInterval = 60000 }) {
+  // Writes are chained; a write requested while one is running waits for it
+  let writing = Promise.resolve();
+  let heartbeat = null;
+
+  async function write(data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  function save(shutdown, records) {
+    const data = { writtenAt: new Date().toISOString(), shutdown, sessions: records };
+    writing = writing
+      .then(() => write(data))
+      .catch(error => log.error('Failed to write session snapshot', { file, err: error }));
+    return writing;
+  }
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Ignoring unreadable session snapshot', { file, err: error });
+      }
+      return null;
+    }
+  }
+
+  return {
+    /**
+     * Clean up after the previous run. Call before accepting sessions; the
+     * snapshot is then rewritten for this run.
+     */
+    async reconcile() {
+      const previous = await load();
+      const result = { sessions: 0, orphansStopped: 0, savesStored: 0 };
+      if (!previous?.sessions?.length) return result;
+
+      const clean = Boolean(previous.shutdown);
+      const endedAt = previous.shutdown?.at ?? previous.writtenAt;
+
+      for (const { recovery, ...session } of previous.sessions) {
+        const finished = session.status === 'ended' || session.status === 'crashed';
+
+        if (recovery && launcher.recover) {
+          try {
+            const { stopped, stored } = await launcher.recover(recovery, { collectSaves: !finished });
+            if (stopped) {
+              result.orphansStopped++;
+              log.warn('Stopped orphaned emulator', { sessionId: session.id, pid: recovery.pid });
+            }
+            result.savesStored += stored;
+          } catch (error) {
+            log.error('Failed to recover session', { sessionId: session.id, err: error });
+          }
+        }
+
+        // Sessions the shutdown ended were recorded then; the rest are news to everyone
+        sessions.restore(finished ? session : {
+          ...session,
+          status: clean ? 'ended' : 'crashed',
+          endedAt,
+          endReason: clean ? SHUTDOWN_REASON : CRASH_REASON
+        }, { announce: !finished });
+        result.sessions++;
+      }
+
+      log.info('Reconciled sessions from the previous run', { ...result, cleanShutdown: clean });
+      await save(null, sessions.records());
+      return result;
+    },
+
+    // Keep the snapshot in step with the running sessions
+    track() {
+      if (heartbeat) return;
+      sessions.on('session', () => {
+        save(null, sessions.records());
+      });
+      heartbeat = setInterval(() => {
+        if (sessions.activeCount() > 0) save(null, sessions.records());
+      }, heartbeatInterval);
+      heartbeat.unref();
+    },
+
+    /**
+     * End every active session and write them out as the final snapshot.
+     * Resolves once the emulators have stopped and the file is written.
+     */
+    async shutdown({ signal }) {
+      clearInterval(heartbeat);
+      const interrupted = sessions.records();
+      await sessions.endAll(SHUTDOWN_REASON);
+
+      // Snapshot entries keep their recovery details in case an emulator ignored SIGKILL
+      const records = interrupted.map(({ recovery, id }) => ({ ...sessions.get(id), recovery }));
+      await save({ signal, at: new Date().toISOString() }, records);
+      return { ended: records.length };
+    }
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Session serializers
+ * What GET /api/sessions/:id and the session socket channel show someone
+ * who isn't in the session. A whitelist, like the game serializers: who
+ * plays, the emulator pid and exit details stay with the session's players
+ * and admins.
+ */
+
+import { hasRole } from '../middleware/auth.js';
+
+const PUBLIC_FIELDS = [
+  'id', 'gameId', 'system', 'lobbyId', 'visibility', 'maxSpectators',
+  'status', 'createdAt', 'startedAt', 'endedAt', 'endReason'
+];
+
+export function publicSession(session) {
+  return Object.fromEntries(PUBLIC_FIELDS.filter(field => field in session).map(field => [field, session[field]]));
+}
+
+// The owner and lobby players
+export const isInSession = (session, user) =>
+  Boolean(user) && (session.userId === user.id || Boolean(session.players?.some(p => p.userId === user.id)));
+
+// The whole session for its players and admins, the public view for everyone else
+export const sessionFor = (session, user) =>
+  (isInSession(session, user) || hasRole(user, 'admin') ? session : publicSession(session));
@@ -0,0 +1,109 @@
+/**
+ * Graceful shutdown
+ * On SIGTERM/SIGINT:
+ *   1. stop accepting new sessions (503) while everything else keeps working
+ *   2. tell every socket `server:shutdown { reason, drainPeriod, reconnectAfter }`
+ *   3. wait up to `drainPeriod` for players to finish (sooner once no session is left)
+ *   4. end the remaining sessions - emulators stop, saves are collected - and
+ *      write the session snapshot (sessions/recovery.js)
+ *   5. close sockets, the HTTP server and stores, then exit
+ * A second signal, or the whole thing taking `forceTimeout` longer than the
+ * drain, exits immediately; the snapshot then lets the next start clean up.
+ */
+
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'shutdown' });
+
+export function createShutdown({
+  server,
+  io,
+  sessions,
+  recovery,
+  drainPeriod = 30000,
+  // How long clients should wait before reconnecting, on top of the drain
+  restartDelay = 10000,
+  forceTimeout = 30000,
+  // Closed last, in order (stores, caches, ...)
+  closers = []
+}) {
+  let stopping = null;
+
+  function waitForDrain() {
+    return new Promise((resolve) => {
+      if (sessions.activeCount() === 0) return resolve();
+
+      const timer = setTimeout(done, drainPeriod);
+      function check() {
+        if (sessions.activeCount() === 0) done();
+      }
+      function done() {
+        clearTimeout(timer);
+        sessions.off('session', check);
+        resolve();
+      }
+      sessions.on('session', check);
+    });
+  }
+
+  async function run(signal) {
+    log.info('Shutting down', { signal, drainPeriod, activeSessions: sessions.activeCount() });
+    sessions.stopAccepting();
+
+    io.emit('server:shutdown', {
+      reason: 'restart',
+      drainPeriod,
+      reconnectAfter: drainPeriod + restartDelay
+    });
+
+    await waitForDrain();
+    const { ended } = await recovery.shutdown({ signal });
+    if (ended > 0) {
+      log.info('Ended sessions still running after the drain period', { count: ended });
+    }
+
+    // io.close() also closes the HTTP server it is attached to; idle
+    // keep-alive connections would otherwise hold that open
+    const closed = new Promise(resolve => io.close(() => resolve()));
+    server.closeIdleConnections();
+    await closed;
+    for (const close of closers) {
+      try {
+        await close();
+      } catch (error) {
+        log.error('Error while closing', { err: error });
+      }
+    }
+    log.info('Shutdown complete');
+  }
+
+  function begin(signal) {
+    if (stopping) {
+      log.warn('Second signal, exiting now', { signal });
+      process.exit(1);
+    }
+
+    const force = setTimeout(() => {
+      log.error('Shutdown took too long, exiting now');
+      process.exit(1);
+    }, drainPeriod + forceTimeout);
+    force.unref();
+
+    stopping = run(signal)
+      .then(() => process.exit(0))
+      .catch((error) => {
+        log.error('Shutdown failed', { err: error });
+        process.exit(1);
+      });
+  }
+
+  return {
+    isShuttingDown: () => Boolean(stopping),
+
+    listen(signals = ['SIGTERM', 'SIGINT']) {
+      for (const signal of signals) {
+        process.on(signal, () => begin(signal));
+      }
+    }
+  };
+}
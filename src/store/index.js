@@ -0,0 +1,25 @@
+/**
+ * Document store factory
+ * Every backend exposes the same async API:
+ *   all(collection), get(collection, id), put(collection, doc),
+ *   update(collection, id, fn), delete(collection, id), ping(), close()
+ * ping() resolves once the backend has shown it can still store data.
+ * `readOnly` opens a store that rejects writes, for dry runs.
+ */
+
+import { createMemoryStore } from './memory-store.js';
+import { createJsonStore } from './json-store.js';
+
+export async function createStore({ driver = 'json', dataDir = './data', readOnly = false } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'json': {
+      const store = createJsonStore({ dir: dataDir, readOnly });
+      await store.open();
+      return store;
+    }
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * JSON file document store
+ * One file per collection under the data directory. Pure JS so it runs on
+ * Alpine (musl) where Prisma's engines don't. A `readOnly` store never
+ * touches the directory and rejects every write.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const clone = (doc) => structuredClone(doc);
+
+export function createJsonStore({ dir, readOnly = false }) {
+  // name -> { docs: Map, mtimeMs }
+  const cache = new Map();
+  // Mutations are serialized so a load never interleaves with a write
+  let queue = Promise.resolve();
+
+  const fileFor = (name) => path.join(dir, `${name}.json`);
+
+  const serialize = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const write = (fn) => (readOnly
+    ? Promise.reject(new Error(`Store at ${dir} is read-only`))
+    : serialize(fn));
+
+  // Load a collection, re-reading the file if another process (seed or
+  // scan scripts) changed it since we last looked
+  async function load(name) {
+    const file = fileFor(name);
+    let stats = null;
+    try {
+      stats = await fs.promises.stat(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const cached = cache.get(name);
+    if (cached && (stats?.mtimeMs ?? 0) === cached.mtimeMs) {
+      return cached.docs;
+    }
+
+    const docs = new Map();
+    if (stats) {
+      const rows = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      for (const row of rows) {
+        docs.set(row.id, row);
+      }
+    }
+    cache.set(name, { docs, mtimeMs: stats?.mtimeMs ?? 0 });
+    return docs;
+  }
+
+  // Write to a temp file and rename so readers never see a partial file.
+  // Mutations pass a changed copy of the collection; it only replaces the
+  // cached one once it is on disk, so a failed write changes nothing.
+  async function persist(name, docs) {
+    const file = fileFor(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify([...docs.values()], null, 2));
+    await fs.promises.rename(tmp, file);
+    const stats = await fs.promises.stat(file);
+    cache.set(name, { docs, mtimeMs: stats.mtimeMs });
+  }
+
+  return {
+    driver: 'json',
+
+    async open() {
+      if (!readOnly) {
+        await fs.promises.mkdir(dir, { recursive: true });
+      }
+    },
+
+    all(name) {
+      return serialize(async () => [...(await load(name)).values()].map(clone));
+    },
+
+    get(name, id) {
+      return serialize(async () => {
+        const doc = (await load(name)).get(id);
+        return doc ? clone(doc) : null;
+      });
+    },
+
+    put(name, doc) {
+      return write(async () => {
+        const docs = new Map(await load(name));
+        docs.set(doc.id, clone(doc));
+        await persist(name, docs);
+        return clone(doc);
+      });
+    },
+
+    // Read-modify-write in one step: fn(current | null) -> next doc, or null
+    // to leave it untouched
+    update(name, id, fn) {
+      return write(async () => {
+        const docs = new Map(await load(name));
+        const current = docs.get(id);
+        const next = fn(current ? clone(current) : null);
+        if (!next) return null;
+        docs.set(id, clone(next));
+        await persist(name, docs);
+        return clone(next);
+      });
+    },
+
+    delete(name, id) {
+      return write(async () => {
+        const docs = new Map(await load(name));
+        const existed = docs.delete(id);
+        if (existed) {
+          await persist(name, docs);
+        }
+        return existed;
+      });
+    },
+
+    // Write and remove a probe file: a full disk or read-only mount fails here
+    async ping() {
+      const probe = path.join(dir, `.ping.${process.pid}.tmp`);
+      await fs.promises.writeFile(probe, '');
+      await fs.promises.unlink(probe);
+    },
+
+    close() {
+      return serialize(async () => {
+        cache.clear();
+      });
+    }
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * In-memory document store
+ * Nothing is persisted - used for tests and throwaway instances
+ */
+
+const clone = (doc) => structuredClone(doc);
+
+export function createMemoryStore() {
+  const collections = new Map();
+
+  const collection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  return {
+    driver: 'memory',
+
+    async all(name) {
+      return [...collection(name).values()].map(clone);
+    },
+
+    async get(name, id) {
+      const doc = collection(name).get(id);
+      return doc ? clone(doc) : null;
+    },
+
+    async put(name, doc) {
+      collection(name).set(doc.id, clone(doc));
+      return clone(doc);
+    },
+
+    // fn(current | null) -> next doc, or null to leave it untouched
+    async update(name, id, fn) {
+      const current = collection(name).get(id);
+      const next = fn(current ? clone(current) : null);
+      if (!next) return null;
+      collection(name).set(id, clone(next));
+      return clone(next);
+    },
+
+    async delete(name, id) {
+      return collection(name).delete(id);
+    },
+
+    async ping() {},
+
+    async close() {}
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Token bucket rate limiter
+ * `capacity` tokens, refilled continuously at `refillPerSecond`.
+ */
+
+export function createTokenBucket({ capacity, refillPerSecond }) {
+  let tokens = capacity;
+  let last = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * refillPerSecond);
+    last = now;
+  }
+
+  return {
+    take(count = 1) {
+      refill();
+      if (tokens < count) return false;
+      tokens -= count;
+      return true;
+    },
+
+    // Milliseconds until `count` tokens are available
+    retryAfter(count = 1) {
+      refill();
+      return tokens >= count ? 0 : Math.ceil(((count - tokens) / refillPerSecond) * 1000);
+    }
+  };
+}
@@ -0,0 +1,117 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import sharp from 'sharp';
+import { openCatalog } from '../src/catalog/index.js';
+import { createArtworkStore } from '../src/artwork/store.js';
+import { createAuditLog } from '../src/audit/log.js';
+import { createAuthenticator } from '../src/middleware/auth.js';
+import { createLimiter } from '../src/middleware/rate-limit.js';
+import { createMemoryLimitStore } from '../src/rate-limit/memory-store.js';
+import { createArtworkRouter } from '../src/routes/artwork.js';
+import { createGame, listen, validator } from './helpers.js';
+
+let root;
+let artwork;
+let catalog;
+let game;
+let server;
+let limitStore;
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#336699' } }).png().toBuffer();
+
+beforeEach(async () => {
+  root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  artwork = createArtworkStore({ dir: root });
+  await artwork.open();
+  limitStore = createMemoryLimitStore();
+
+  catalog = await openCatalog({ driver: 'memory' });
+  game = await createGame(catalog.games, { slug: 'test-game' });
+  const app = express();
+  app.use(createAuthenticator(validator));
+  app.use(createArtworkRouter({
+    artwork,
+    games: catalog.games,
+    audit: createAuditLog(),
+    resizeLimit: createLimiter(limitStore, { name: 'resize', rule: { capacity: 2, refillPerSecond: 2 / 60 } })
+  }));
+  server = await listen(app);
+});
+
+afterEach(async () => {
+  await server.close();
+  await limitStore.close();
+  await fs.promises.rm(root, { recursive: true, force: true });
+});
+
+test('thumbnails are rendered once, cached and re-rendered when the original changes', async () => {
+  await artwork.save('cover', await png(900, 900));
+  assert.equal(await artwork.needsRender('cover.png', 'grid'), true);
+
+  const first = await artwork.resolve('cover.png', 'grid');
+  assert.deepEqual(await sharp(first.path).metadata().then(({ width, height, format }) => ({ width, height, format })),
+    { width: 300, height: 400, format: 'webp' });
+  assert.equal(await artwork.needsRender('cover.png', 'grid'), false);
+  assert.equal((await artwork.resolve('cover.png', 'grid')).stats.mtimeMs, first.stats.mtimeMs);
+
+  await artwork.save('cover', await png(100, 100));
+  assert.equal(await artwork.needsRender('cover.png', 'grid'), true);
+});
+
+test('concurrent requests for a missing thumbnail share one render', async () => {
+  await artwork.save('cover', await png(900, 900));
+  const results = await Promise.all([1, 2, 3].map(() => artwork.resolve('cover.png', 'detail')));
+  assert.equal(new Set(results.map(result => result.stats.ino)).size, 1);
+  const leftovers = await fs.promises.readdir(path.join(root, 'cache/detail'));
+  assert.deepEqual(leftovers, ['cover.png.webp']);
+});
+
+test('only thumbnails that have to be rendered count against the resize limit', async () => {
+  await artwork.save('a', await png(400, 400));
+  await artwork.save('b', await png(400, 400));
+  await artwork.save('c', await png(400, 400));
+
+  assert.equal((await server.request('GET', '/artwork/a.png?size=grid')).status, 200);
+  assert.equal((await server.request('GET', '/artwork/b.png?size=grid')).status, 200);
+  const limited = await server.request('GET', '/artwork/c.png?size=grid');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '30');
+
+  // Cached thumbnails and originals are still served
+  const cached = await server.request('GET', '/artwork/a.png?size=grid');
+  assert.equal(cached.status, 200);
+  assert.equal(cached.headers.get('content-type'), 'image/webp');
+  assert.equal((await server.request('GET', '/artwork/c.png')).status, 200);
+});
+
+test('unknown sizes, names and files are refused', async () => {
+  await artwork.save('cover', await png(10, 10));
+  assert.equal((await server.request('GET', '/artwork/cover.png?size=huge')).status, 400);
+  assert.equal((await server.request('GET', '/artwork/cover.png?size=constructor')).status, 400);
+  assert.equal((await server.request('GET', '/artwork/missing.png?size=grid')).status, 404);
+  assert.equal((await server.request('GET', '/artwork/..%2Foriginals%2Fcover.png')).status, 404);
+});
+
+test('admins upload covers, which replace the game\'s cover art', async () => {
+  const upload = async (token, body) => {
+    const response = await fetch(`${server.url}/api/games/${game.id}/artwork?type=cover`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'image/png' },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  assert.equal((await upload('player-token', await png(50, 50))).status, 403);
+
+  const uploaded = await upload('admin-token', await png(50, 50));
+  assert.equal(uploaded.status, 201);
+  assert.equal(uploaded.body.coverArtUrl, '/artwork/test-game-cover.png');
+  assert.equal((await catalog.games.findById(game.id)).coverArtUrl, '/artwork/test-game-cover.png');
+  assert.equal((await server.request('GET', '/artwork/test-game-cover.png')).status, 200);
+});
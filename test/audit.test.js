@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createAuditLog } from '../src/audit/log.js';
+import { runWithContext } from '../src/context.js';
+import { createAuthenticator } from '../src/middleware/auth.js';
+import { createAdminRouter } from '../src/routes/admin.js';
+import { listen, validator } from './helpers.js';
+
+const admin = { id: 'admin', username: 'admin' };
+
+async function auditFile(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return path.join(dir, 'logs/audit.log');
+}
+
+test('entries are appended as JSON lines and carry the request id', async (t) => {
+  const file = await auditFile(t);
+  const audit = createAuditLog({ file });
+  await audit.open();
+
+  const entry = await runWithContext({ requestId: 'req-1' }, () => audit.record({
+    actor: admin,
+    action: 'game.update',
+    target: { type: 'game', id: 'g1' },
+    details: { changes: ['title'] }
+  }));
+  assert.equal(entry.requestId, 'req-1');
+
+  const lines = (await fs.promises.readFile(file, 'utf8')).trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line)), [entry]);
+});
+
+test('a server and a script writing the same file both show up, cut-off lines are skipped', async (t) => {
+  const file = await auditFile(t);
+  const server = createAuditLog({ file });
+  const script = createAuditLog({ file });
+  await server.open();
+
+  await server.record({ actor: admin, action: 'game.create' });
+  await script.record({ actor: { id: 'cli', username: null }, action: 'library.scan' });
+  await fs.promises.appendFile(file, '{"id":"half-writ');
+
+  const { entries } = await server.query();
+  assert.deepEqual(entries.map(e => e.action), ['library.scan', 'game.create']);
+});
+
+test('queries filter by actor, action area and time, newest first and paged', async () => {
+  const audit = createAuditLog();
+  for (const action of ['game.create', 'game.update', 'games.import', 'review.moderate', 'game.delete']) {
+    await audit.record({ actor: action === 'review.moderate' ? { id: 'mod' } : admin, action });
+  }
+
+  const actions = async (filters) => (await audit.query(filters)).entries.map(e => e.action);
+  assert.deepEqual(await actions({ action: 'game' }), ['game.delete', 'game.update', 'game.create']);
+  assert.deepEqual(await actions({ action: 'game.update' }), ['game.update']);
+  assert.deepEqual(await actions({ actor: 'mod' }), ['review.moderate']);
+  assert.deepEqual(await actions({ until: new Date(0) }), []);
+  assert.equal((await actions({ since: new Date(Date.now() - 60000) })).length, 5);
+
+  const page = await audit.query({ page: 2, limit: 2 });
+  assert.deepEqual(page.entries.map(e => e.action), ['games.import', 'game.update']);
+  assert.deepEqual(page.pagination, { page: 2, limit: 2, total: 5, totalPages: 3 });
+});
+
+test('a failed write is logged, not thrown', async (t) => {
+  const file = await auditFile(t);
+  // A directory where the file should be makes every append fail
+  await fs.promises.mkdir(file, { recursive: true });
+  const audit = createAuditLog({ file });
+  const entry = await audit.record({ actor: admin, action: 'session.end' });
+  assert.equal(entry.action, 'session.end');
+});
+
+test('the audit trail is for admins, with its query validated', async (t) => {
+  const audit = createAuditLog();
+  await audit.record({ actor: admin, action: 'queue.move' });
+  const app = express();
+  app.use(createAuthenticator(validator));
+  app.use('/api/admin', createAdminRouter({ audit }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  assert.equal((await server.request('GET', '/api/admin/audit', { token: 'player-token' })).status, 403);
+
+  const { body } = await server.request('GET', '/api/admin/audit?action=queue', { token: 'admin-token' });
+  assert.deepEqual(body.entries.map(e => e.action), ['queue.move']);
+
+  const invalid = await server.request('GET', '/api/admin/audit?since=yesterday&actor=a&actor=b', { token: 'admin-token' });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.details, ['since must be an ISO 8601 timestamp', 'actor must be given once']);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createAuthenticator, requireAdmin, requireUser } from '../src/middleware/auth.js';
+import { startServer, validator } from './helpers.js';
+
+let base;
+let httpServer;
+let server;
+
+before(async () => {
+  const app = express();
+  const unavailable = { validate: async () => { throw new Error('down'); } };
+  app.get('/unavailable', createAuthenticator(unavailable), (req, res) => res.json({}));
+  app.use(createAuthenticator(validator));
+  app.get('/whoami', (req, res) => res.json({ user: req.user }));
+  app.get('/me', requireUser, (req, res) => res.json(req.user));
+  app.get('/admin', requireAdmin, (req, res) => res.json({ ok: true }));
+
+  httpServer = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${httpServer.address().port}`;
+  server = await startServer();
+});
+
+after(async () => {
+  await new Promise(resolve => httpServer.close(resolve));
+  await server.close();
+});
+
+const get = (path, token) =>
+  fetch(`${base}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+test('the fake validator knows its tokens and nothing else', async () => {
+  assert.deepEqual(await validator.validate('streamer-token'), { id: 'streamer', username: 'streamer', roles: ['streamer'] });
+  assert.equal(await validator.validate('nope'), null);
+  assert.equal(await validator.validate('constructor'), null);
+});
+
+test('requests without a token are anonymous', async () => {
+  const response = await get('/whoami');
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { user: null });
+});
+
+test('a valid bearer token sets the user', async () => {
+  const response = await get('/me', 'player-token');
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { id: 'player', username: 'player', roles: [] });
+});
+
+test('an invalid token is rejected, not treated as anonymous', async () => {
+  const response = await get('/whoami', 'nope');
+  assert.equal(response.status, 401);
+  assert.deepEqual(await response.json(), { error: 'Invalid or expired token' });
+});
+
+test('protected routes need a user, admin routes the admin role', async () => {
+  assert.equal((await get('/me')).status, 401);
+  assert.equal((await get('/admin', 'player-token')).status, 403);
+});
+
+test('a validator outage answers 503', async () => {
+  assert.equal((await get('/unavailable', 'player-token')).status, 503);
+});
+
+test('sockets need a valid token to connect', async () => {
+  const socket = await server.connect('viewer-token');
+  assert.ok(socket.connected);
+
+  await assert.rejects(server.connect(undefined), { message: 'Authentication required' });
+  await assert.rejects(server.connect('nope'), { message: 'Invalid or expired token' });
+});
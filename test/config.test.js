@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { ConfigError, createOriginMatcher, loadConfig } from '../src/config.js';
+
+test('defaults fill in everything, with data paths under DATA_DIR', () => {
+  const config = loadConfig({ DATA_DIR: '/srv/platium', NODE_ENV: 'production' });
+  assert.equal(config.port, 3000);
+  assert.equal(config.logLevel, 'info');
+  assert.equal(config.savesDir, path.join('/srv/platium', 'saves'));
+  assert.equal(config.auditLog, path.join('/srv/platium', 'audit.log'));
+  assert.deepEqual(config.rateLimitSessionStart, { capacity: 10, refillPerSecond: 10 / 60 });
+  assert.deepEqual(config.corsOrigins, ['https://platium.vip']);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('values are parsed to their types, and empty means the default', () => {
+  const config = loadConfig({
+    PORT: '8080',
+    RATE_LIMIT_IP: 'off',
+    CHAT_BLOCKED_WORDS: 'foo, bar,,',
+    ICE_SERVERS: '[{"urls":["stun:stun.example.com"]}]',
+    PUBLIC_IP: '203.0.113.5',
+    MAX_CONCURRENT_SESSIONS: ''
+  });
+  assert.equal(config.port, 8080);
+  assert.equal(config.rateLimitIp, null);
+  assert.deepEqual(config.chatBlockedWords, ['foo', 'bar']);
+  assert.deepEqual(config.iceServers, [{ urls: ['stun:stun.example.com'] }]);
+  assert.equal(config.rtcAnnouncedIp, '203.0.113.5');
+  assert.equal(config.maxConcurrentSessions, 10);
+});
+
+test('every invalid value is reported at once', () => {
+  assert.throws(() => loadConfig({
+    PORT: '70000',
+    CATALOG_STORE: 'prisma',
+    RATE_LIMIT_USER: '10 per minute',
+    MEDIASOUP_MIN_PORT: '45000',
+    MEDIASOUP_MAX_PORT: '41000',
+    RATE_LIMIT_STORE: 'redis',
+    CORS_ORIGINS: 'https://ok.example.com,example.com/path'
+  }), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.deepEqual(error.problems, [
+      'PORT="70000" must be an integer between 1 and 65535',
+      'CORS_ORIGINS="https://ok.example.com,example.com/path" "example.com/path" is not an origin (scheme://host[:port])',
+      'CATALOG_STORE="prisma" must be one of: json, memory',
+      'RATE_LIMIT_USER="10 per minute" must be <requests>/<seconds> (e.g. 100/60) or off',
+      'MEDIASOUP_MIN_PORT=45000 must not be above MEDIASOUP_MAX_PORT=41000',
+      'RATE_LIMIT_STORE=redis needs REDIS_URL'
+    ]);
+    return true;
+  });
+});
+
+test('CLIENT_URL is always an allowed origin, alongside CORS_ORIGINS', () => {
+  const config = loadConfig({ CLIENT_URL: 'https://play.example.com/app/', CORS_ORIGINS: 'http://localhost:5173, https://play.example.com' });
+  assert.deepEqual(config.corsOrigins, ['https://play.example.com', 'http://localhost:5173']);
+});
+
+test('origins match exactly, or by subdomain where they have a wildcard', () => {
+  const allowed = createOriginMatcher(['https://platium.vip', 'https://*.staging.platium.vip', 'http://localhost:5173']);
+
+  assert.equal(allowed('https://platium.vip'), true);
+  assert.equal(allowed('HTTPS://PLATIUM.VIP'), true);
+  assert.equal(allowed('https://pr-12.staging.platium.vip'), true);
+  assert.equal(allowed('https://a.b.staging.platium.vip'), true);
+  assert.equal(allowed('http://localhost:5173'), true);
+
+  assert.equal(allowed('https://staging.platium.vip'), false);
+  assert.equal(allowed('https://platium.vip.evil.com'), false);
+  assert.equal(allowed('https://evil.com/.staging.platium.vip'), false);
+  assert.equal(allowed('https://platiumxvip'), false);
+  assert.equal(allowed('http://platium.vip'), false);
+  assert.equal(allowed('http://localhost:5174'), false);
+  assert.equal(allowed(undefined), false);
+});
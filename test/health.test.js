@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createHealthChecks } from '../src/health/index.js';
+import { capacityCheck, directoryCheck, emulatorCheck, resolveBinary, storageCheck } from '../src/health/checks.js';
+import { createHealthRouter } from '../src/routes/health.js';
+import { createMemoryStore } from '../src/store/memory-store.js';
+import { listen } from './helpers.js';
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const statuses = (report) => Object.fromEntries(Object.entries(report.checks).map(([name, r]) => [name, r.status]));
+
+test('only a critical failure fails the report, anything else off degrades it', async () => {
+  const health = createHealthChecks({ timeout: 50 });
+  health.register('storage', storageCheck(createMemoryStore()));
+  health.register('slow', () => new Promise(resolve => setTimeout(resolve, 1000)), { critical: false });
+  health.register('busy', async () => ({ status: 'warn', error: 'Busy' }));
+
+  const degraded = await health.run();
+  assert.equal(degraded.status, 'degraded');
+  assert.deepEqual(statuses(degraded), { storage: 'ok', slow: 'fail', busy: 'warn' });
+  assert.equal(degraded.checks.storage.driver, 'memory');
+  assert.equal(degraded.checks.slow.error, 'Timed out after 50ms');
+  assert.equal(typeof degraded.checks.slow.latencyMs, 'number');
+
+  // Error codes only, never the message with its path
+  health.register('library', directoryCheck('/nowhere/games'));
+  const failed = await health.run();
+  assert.equal(failed.status, 'fail');
+  assert.deepEqual(failed.checks.library, { status: 'fail', error: 'ENOENT', critical: true, latencyMs: failed.checks.library.latencyMs });
+});
+
+test('an empty library directory is a warning, a populated one is fine', async (t) => {
+  const dir = await tempDir(t);
+  assert.deepEqual(await directoryCheck(dir)(), { status: 'warn', error: 'Directory is empty' });
+  await fs.promises.writeFile(path.join(dir, 'game.nes'), 'rom');
+  assert.deepEqual(await directoryCheck(dir)(), {});
+});
+
+test('emulator binaries are looked up like spawn() would, missing ones warn or fail', async (t) => {
+  const dir = await tempDir(t);
+  const binary = path.join(dir, 'emu');
+  await fs.promises.writeFile(binary, '#!/bin/sh\n', { mode: 0o755 });
+  await fs.promises.writeFile(path.join(dir, 'not-executable'), '', { mode: 0o644 });
+
+  assert.equal(await resolveBinary('emu', `/nowhere${path.delimiter}${dir}`), binary);
+  assert.equal(await resolveBinary(binary, ''), binary);
+  assert.equal(await resolveBinary('not-executable', dir), null);
+  assert.equal(await resolveBinary(dir, ''), null);
+
+  assert.deepEqual(await emulatorCheck({ nes: binary })(), { emulators: { nes: 'found' } });
+  assert.deepEqual(await emulatorCheck({ nes: binary, psx: path.join(dir, 'missing'), unknown: null })(), {
+    status: 'warn',
+    error: 'Missing: psx, unknown',
+    emulators: { nes: 'found', psx: 'missing', unknown: 'missing' }
+  });
+  assert.equal((await emulatorCheck({ psx: path.join(dir, 'missing') })()).status, 'fail');
+});
+
+test('capacity warns with every slot taken and fails while shutting down', async () => {
+  let active = 1;
+  let accepting = true;
+  const sessions = { activeCount: () => active, isAccepting: () => accepting };
+  const check = capacityCheck(sessions, 2);
+
+  assert.deepEqual(await check(), { active: 1, max: 2 });
+  active = 2;
+  assert.deepEqual(await check(), { status: 'warn', error: 'All session slots are taken', active: 2, max: 2 });
+  accepting = false;
+  await assert.rejects(check(), /shutting down/);
+});
+
+test('/health/ready answers 503 on a critical failure, /health/live regardless', async (t) => {
+  let healthy = true;
+  const health = createHealthChecks();
+  health.register('storage', async () => {
+    if (!healthy) throw Object.assign(new Error('EROFS: read-only file system, open /data/.ping'), { code: 'EROFS' });
+  });
+  const app = express();
+  app.use('/health', createHealthRouter({ checks: health }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const ready = await server.request('GET', '/health/ready');
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.status, 'ok');
+
+  healthy = false;
+  const failing = await server.request('GET', '/health/ready');
+  assert.equal(failing.status, 503);
+  assert.equal(failing.body.checks.storage.error, 'EROFS');
+  assert.equal((await server.request('GET', '/health/live')).status, 200);
+  assert.equal((await server.request('GET', '/health')).body.status, 'ok');
+});
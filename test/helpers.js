@@ -0,0 +1,126 @@
+/**
+ * Test helpers
+ * A Socket.IO server on a random local port running the real session and RTC
+ * channels, with a memory catalog, the fake validator and (unless a test
+ * passes another one) the fake launcher. Clients connect with a token from
+ * TOKENS. listen() serves an Express app for the HTTP route tests.
+ */
+
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { openCatalog } from '../src/catalog/index.js';
+import { createFakeValidator } from '../src/auth/validators.js';
+import { createSocketAuthenticator } from '../src/middleware/auth.js';
+import { createFakeLauncher } from '../src/sessions/launchers.js';
+import { createSessionManager } from '../src/sessions/manager.js';
+import { createPresence } from '../src/sessions/presence.js';
+import { registerSessionChannel } from '../src/realtime/sessions.js';
+import { registerRtcChannel } from '../src/realtime/rtc.js';
+import { setLogLevel } from '../src/logger.js';
+
+setLogLevel('silent');
+
+export const TOKENS = {
+  'player-token': { id: 'player', username: 'player' },
+  'viewer-token': { id: 'viewer', username: 'viewer' },
+  'streamer-token': { id: 'streamer', username: 'streamer', roles: ['streamer'] },
+  'admin-token': { id: 'admin', username: 'admin', roles: ['admin'] }
+};
+
+export const validator = createFakeValidator({ tokens: TOKENS });
+
+export async function createGame(games, overrides = {}) {
+  return games.create({
+    title: 'Test Game',
+    system: 'nes',
+    romPath: 'nes/test.nes',
+    isActive: true,
+    ...overrides
+  });
+}
+
+// Resolves with the first `event` the socket receives
+export const nextEvent = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+// Polls until check() returns something truthy, for effects of other processes
+export async function waitFor(check, { timeout = 5000, interval = 20 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() >= deadline) throw new Error(`Timed out after ${timeout}ms`);
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Serve an Express app on a random local port. `request(method, path,
+ * { token, body })` resolves with { status, body }, the body parsed as JSON
+ * when it is JSON.
+ */
+export async function listen(app) {
+  const httpServer = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+
+  return {
+    url,
+
+    async request(method, path, { token, body } = {}) {
+      const response = await fetch(`${url}${path}`, {
+        method,
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(body !== undefined && { 'Content-Type': 'application/json' })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const json = response.headers.get('content-type')?.includes('application/json');
+      return { status: response.status, headers: response.headers, body: json ? await response.json() : await response.text() };
+    },
+
+    close: () => new Promise(resolve => httpServer.close(resolve))
+  };
+}
+
+export async function startServer({ launcher = createFakeLauncher(), game = {} } = {}) {
+  const catalog = await openCatalog({ driver: 'memory' });
+  const sessions = createSessionManager({ games: catalog.games, launcher });
+  const presence = createPresence();
+
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  io.use(createSocketAuthenticator(validator));
+  registerSessionChannel(io, { sessions, games: catalog.games, presence });
+  registerRtcChannel(io, { sessions, presence });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  const clients = [];
+
+  return {
+    url,
+    catalog,
+    sessions,
+    launcher,
+    game: await createGame(catalog.games, game),
+
+    // Resolves once connected, rejects with the handshake error
+    connect(token) {
+      const socket = connectClient(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+      clients.push(socket);
+      return new Promise((resolve, reject) => {
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+      });
+    },
+
+    async close() {
+      for (const socket of clients) socket.close();
+      await sessions.endAll('test finished');
+      await new Promise(resolve => io.close(resolve));
+    }
+  };
+}
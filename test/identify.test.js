@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadDats, parseDat, parseDatName } from '../src/library/dat.js';
+import { openHashCache } from '../src/library/hash.js';
+import { identifyRoms } from '../src/library/identify.js';
+
+const sha1 = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function writeFiles(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    await fs.promises.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+    await fs.promises.writeFile(path.join(root, name), content);
+  }
+}
+
+const DAT = `<?xml version="1.0"?>
+<datafile>
+  <header><name>Nintendo - NES</name></header>
+  <game name="Legend of Zelda, The (USA) (Rev 1)">
+    <year>1986</year>
+    <rom name="zelda.nes" size="4" crc="ABCD1234" sha1="${sha1('rom1')}"/>
+  </game>
+  <game name="Tom &amp; Jerry (Europe, Japan)">
+    <rom name="tj.nes" size="7" crc="0badf00d"/>
+  </game>
+</datafile>`;
+
+test('DAT names are split into title, region and revision', () => {
+  assert.deepEqual(parseDatName('Legend of Zelda, The (USA) (Rev 1)'),
+    { title: 'The Legend of Zelda', region: 'USA', revision: '1' });
+  assert.deepEqual(parseDatName('Tetris (Europe, Japan) (Beta)'),
+    { title: 'Tetris', region: 'Europe, Japan', revision: null });
+  assert.deepEqual(parseDatName('homebrew'), { title: 'homebrew', region: null, revision: null });
+});
+
+test('DAT entries carry their roms, year and decoded names', () => {
+  const [zelda, tom] = parseDat(DAT);
+  assert.equal(zelda.dat, 'Nintendo - NES');
+  assert.equal(zelda.title, 'The Legend of Zelda');
+  assert.equal(zelda.year, 1986);
+  assert.deepEqual(zelda.roms, [{ name: 'zelda.nes', size: 4, crc32: 'abcd1234', md5: null, sha1: sha1('rom1') }]);
+  assert.equal(tom.name, 'Tom & Jerry (Europe, Japan)');
+  assert.equal(tom.year, null);
+});
+
+test('matching tries SHA1 first and falls back to CRC32 with the size', async (t) => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, { 'nes.dat': DAT, 'notes.txt': 'not a dat' });
+  const dats = await loadDats(dir);
+
+  assert.equal(dats.files, 1);
+  assert.equal(dats.entries, 2);
+  assert.equal(dats.match({ sha1: sha1('rom1'), crc32: 'ffffffff' }, 99).title, 'The Legend of Zelda');
+  assert.equal(dats.match({ crc32: '0badf00d' }, 7).title, 'Tom & Jerry');
+  assert.equal(dats.match({ crc32: '0badf00d' }, 8), null);
+});
+
+test('identified ROMs take the DAT details, and the rest keep their filename tags', async (t) => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, { 'zelda.nes': 'rom1', 'Hack (Japan) (Rev 2).nes': 'hack' });
+  await writeFiles(dir, { 'dats/nes.dat': DAT });
+  const hashCache = await openHashCache(path.join(dir, 'cache.json'));
+  const dats = await loadDats(path.join(dir, 'dats'));
+
+  const [zelda, hack] = await identifyRoms([
+    { title: 'zelda', filename: 'zelda.nes', parts: [path.join(dir, 'zelda.nes')] },
+    { title: 'Hack', filename: 'Hack (Japan) (Rev 2).nes', parts: [path.join(dir, 'Hack (Japan) (Rev 2).nes')] }
+  ], { hashCache, dats });
+
+  assert.deepEqual(
+    { title: zelda.title, region: zelda.region, revision: zelda.revision, year: zelda.year, sha1: zelda.checksums.sha1 },
+    { title: 'The Legend of Zelda', region: 'USA', revision: '1', year: 1986, sha1: sha1('rom1') }
+  );
+  assert.deepEqual(
+    { title: hack.title, region: hack.region, revision: hack.revision, datName: hack.datName },
+    { title: 'Hack', region: 'Japan', revision: '2', datName: null }
+  );
+});
+
+test('saving the hash cache after a scoped scan keeps the other folders\' hashes', async (t) => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, { 'nes/a.nes': 'a', 'nes/gone.nes': 'gone', 'snes/b.sfc': 'b' });
+  const file = path.join(dir, 'cache.json');
+  const rom = (name) => path.join(dir, name);
+
+  const full = await openHashCache(file);
+  for (const name of ['nes/a.nes', 'nes/gone.nes', 'snes/b.sfc']) {
+    await full.hash(rom(name));
+  }
+  await full.save();
+
+  // Only nes/ is scanned again, after one of its files was deleted
+  await fs.promises.rm(rom('nes/gone.nes'));
+  const scoped = await openHashCache(file);
+  await scoped.hash(rom('nes/a.nes'));
+  await scoped.save({ scope: path.join(dir, 'nes') });
+
+  const cached = Object.keys(JSON.parse(await fs.promises.readFile(file, 'utf8'))).map(key => key.split('\0')[0]);
+  assert.deepEqual(cached.sort(), [rom('nes/a.nes'), rom('snes/b.sfc')]);
+});
+
+test('hashes for files that changed outside the scanned folder are dropped', async (t) => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, { 'nes/a.nes': 'a', 'snes/b.sfc': 'b' });
+  const file = path.join(dir, 'cache.json');
+
+  const full = await openHashCache(file);
+  await full.hash(path.join(dir, 'nes/a.nes'));
+  await full.hash(path.join(dir, 'snes/b.sfc'));
+  await full.save();
+
+  await fs.promises.writeFile(path.join(dir, 'snes/b.sfc'), 'changed');
+  const scoped = await openHashCache(file);
+  await scoped.hash(path.join(dir, 'nes/a.nes'));
+  await scoped.save({ scope: path.join(dir, 'nes') });
+
+  assert.deepEqual(Object.keys(JSON.parse(await fs.promises.readFile(file, 'utf8'))).map(key => key.split('\0')[0]),
+    [path.join(dir, 'nes/a.nes')]);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildLaunchSpec } from '../src/emulators/profiles.js';
+import { createProcessLauncher } from '../src/emulators/launcher.js';
+import { createSaveStore } from '../src/saves/store.js';
+import { createMemoryStore } from '../src/store/memory-store.js';
+import { startServer, waitFor } from './helpers.js';
+
+test('retroarch command lines fall back to the platform core and stay in the work dir', () => {
+  const spec = buildLaunchSpec({
+    game: { system: 'nes', emulator: 'retroarch' },
+    romPath: '/games/nes/test.nes',
+    workDir: '/tmp/session',
+    paths: { retroarchCoresDir: '/cores' }
+  });
+
+  assert.equal(spec.profile, 'retroarch');
+  assert.equal(spec.command, 'retroarch');
+  assert.equal(spec.cwd, '/tmp/session');
+  assert.equal(spec.env.HOME, '/tmp/session');
+  assert.equal(spec.args.at(-1), '/games/nes/test.nes');
+  assert.match(spec.args[spec.args.indexOf('-L') + 1], /^\/cores\/\w+_libretro\.so$/);
+});
+
+test('unknown emulators are refused', () => {
+  assert.throws(
+    () => buildLaunchSpec({ game: { system: 'nes', emulator: 'nope' }, romPath: '/x', workDir: '/tmp/session' }),
+    /Unknown emulator: nope/
+  );
+});
+
+// A server on the echo emulator with a save store, all under one temp dir
+async function startEcho(t) {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  await fs.promises.mkdir(path.join(root, 'games/nes'), { recursive: true });
+  await fs.promises.writeFile(path.join(root, 'games/nes/test.nes'), 'rom');
+
+  const saves = createSaveStore({ dir: path.join(root, 'saves'), store: createMemoryStore() });
+  await saves.open();
+  const workDir = path.join(root, 'sessions');
+  const launcher = createProcessLauncher({
+    workDir,
+    libraryDir: path.join(root, 'games'),
+    profileOverride: 'echo',
+    saves
+  });
+  const server = await startServer({ launcher, game: { playerCount: 2 } });
+  t.after(async () => {
+    await server.close();
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  // Store `content` as the user's echo.srm, as if an earlier session had saved it
+  async function giveSave(userId, content) {
+    const dir = path.join(root, `seed-${userId}`);
+    await fs.promises.mkdir(path.join(dir, 'saves'), { recursive: true });
+    await fs.promises.writeFile(path.join(dir, 'saves/echo.srm'), content);
+    await saves.collect({ userId, gameId: server.game.id, workDir: dir, locations: [{ kind: 'save', dir: 'saves' }] });
+  }
+
+  return { server, saves, workDir, giveSave };
+}
+
+test('inputs reach the echo emulator and its saves outlive the session directory', async (t) => {
+  const { server, saves, workDir } = await startEcho(t);
+
+  const session = await server.sessions.start({ gameId: server.game.id, userId: 'player' });
+  const socket = await server.connect('player-token');
+  const joined = await socket.emitWithAck('session:join', { sessionId: session.id });
+  assert.equal(joined.role, 'player');
+  assert.equal(joined.slot, 1);
+
+  socket.emit('input', { sessionId: session.id, type: 'button', control: 'start', pressed: true });
+
+  const echoed = await waitFor(() => server.sessions.handle(session.id).output().stdout
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .find(message => message?.control === 'start'));
+  assert.deepEqual(echoed, { type: 'button', control: 'start', pressed: true, slot: 1 });
+
+  await server.sessions.end(session.id);
+
+  const { files } = await saves.list('player', server.game.id);
+  assert.deepEqual(files.map(file => file.path), ['saves/echo.srm']);
+  assert.deepEqual(await fs.promises.readdir(workDir), []);
+
+  // The next session starts with the saved file back in place
+  const next = await server.sessions.start({ gameId: server.game.id, userId: 'player' });
+  const started = await waitFor(() => server.sessions.handle(next.id).output().stdout[0]);
+  assert.deepEqual(JSON.parse(started).saves, ['echo.srm']);
+});
+
+test('lobby sessions keep the host\'s saves and leave the other players\' alone', async (t) => {
+  const { server, saves, giveSave } = await startEcho(t);
+  await giveSave('player', 'host progress\n');
+  await giveSave('viewer', 'guest progress\n');
+  const before = await saves.list('viewer', server.game.id);
+
+  const session = await server.sessions.start({
+    gameId: server.game.id,
+    userId: 'player',
+    lobbyId: 'lobby',
+    players: [{ slot: 1, userId: 'player', username: 'player' }, { slot: 2, userId: 'viewer', username: 'viewer' }]
+  });
+  server.sessions.sendInput(session.id, { type: 'button', control: 'a', pressed: true, slot: 2 });
+  await waitFor(() => server.sessions.handle(session.id).output().stdout.length > 1);
+  await server.sessions.end(session.id);
+
+  const host = await saves.list('player', server.game.id);
+  assert.equal(host.files.length, 1);
+  assert.equal(host.files[0].size, Buffer.byteLength('host progress\n') +
+    Buffer.byteLength(`${JSON.stringify({ type: 'button', control: 'a', pressed: true, slot: 2 })}\n`));
+  assert.deepEqual(await saves.list('viewer', server.game.id), before);
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { createMemoryLimitStore } from '../src/rate-limit/memory-store.js';
+import { createAuthenticator, createSocketAuthenticator } from '../src/middleware/auth.js';
+import { createLimiter, rateLimit } from '../src/middleware/rate-limit.js';
+import { registerSocketLimits } from '../src/realtime/limits.js';
+import { listen, validator } from './helpers.js';
+
+const PER_MINUTE = (capacity) => ({ capacity, refillPerSecond: capacity / 60 });
+
+// A Socket.IO server with the authenticator and these socket limits
+async function startSocketServer(t, limits, { auth = validator } = {}) {
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  io.use(createSocketAuthenticator(auth));
+  registerSocketLimits(io, limits);
+  io.on('connection', (socket) => {
+    socket.on('ping', (ack) => ack({ pong: true }));
+  });
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+
+  const clients = [];
+  t.after(async () => {
+    for (const socket of clients) socket.close();
+    await new Promise(resolve => io.close(resolve));
+  });
+
+  // Resolves with the socket once connected, or with the handshake error
+  return (token) => {
+    const socket = connectClient(`http://127.0.0.1:${httpServer.address().port}`,
+      { auth: { token }, transports: ['websocket'], reconnection: false });
+    clients.push(socket);
+    return new Promise(resolve => {
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', resolve);
+    });
+  };
+}
+
+test('buckets are per key, and a cost of 0 only checks', async () => {
+  const store = createMemoryLimitStore();
+  const limiter = createLimiter(store, { name: 'test', rule: PER_MINUTE(2) });
+
+  assert.equal((await limiter.take('a')).allowed, true);
+  assert.equal((await limiter.take('a', 0)).allowed, true);
+  assert.equal((await limiter.take('a')).allowed, true);
+  const refused = await limiter.take('a');
+  assert.equal(refused.allowed, false);
+  assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 30000);
+  assert.equal((await limiter.take('a', 0)).allowed, false);
+  assert.equal((await limiter.take('b')).allowed, true);
+
+  // No rule (the limit is off) and no caller id both pass
+  assert.equal((await createLimiter(store, { name: 'off', rule: null }).take('a')).allowed, true);
+  assert.equal((await limiter.take(null)).allowed, true);
+  await store.close();
+});
+
+test('HTTP limits answer 429 with Retry-After, and bad tokens use up the failure budget', async (t) => {
+  const store = createMemoryLimitStore();
+  const app = express();
+  app.use(createAuthenticator(validator, { failures: createLimiter(store, { name: 'auth', rule: PER_MINUTE(1) }) }));
+  app.use(rateLimit(createLimiter(store, { name: 'user', rule: PER_MINUTE(1) }), req => req.user?.id));
+  app.get('/', (req, res) => res.json({ ok: true }));
+  const server = await listen(app);
+  t.after(async () => {
+    await server.close();
+    await store.close();
+  });
+
+  assert.equal((await server.request('GET', '/', { token: 'player-token' })).status, 200);
+  const limited = await server.request('GET', '/', { token: 'player-token' });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '60');
+  assert.deepEqual(limited.body, { error: 'Too many requests', retryAfter: 60 });
+  assert.equal((await server.request('GET', '/', { token: 'viewer-token' })).status, 200);
+
+  assert.equal((await server.request('GET', '/', { token: 'wrong' })).status, 401);
+  assert.equal((await server.request('GET', '/', { token: 'wrong' })).status, 429);
+  assert.equal((await server.request('GET', '/')).status, 200);
+});
+
+// Holds the first `count` validations and answers them all at once, so those
+// handshakes reach the socket limit together; later ones pass straight through
+function gatedValidator(count) {
+  let waiting = [];
+  return {
+    validate: (token) => new Promise(resolve => {
+      if (!waiting) return resolve(validator.validate(token));
+      waiting.push(() => resolve(validator.validate(token)));
+      if (waiting.length >= count) {
+        for (const release of waiting) release();
+        waiting = null;
+      }
+    })
+  };
+}
+
+test('concurrent handshakes cannot get past the per-user socket limit', async (t) => {
+  const connect = await startSocketServer(t, { maxSocketsPerUser: 2 }, { auth: gatedValidator(6) });
+
+  const results = await Promise.all(Array.from({ length: 6 }, () => connect('player-token')));
+  const connected = results.filter(result => result.connected);
+  assert.equal(connected.length, 2);
+  assert.ok(results.filter(result => result instanceof Error).every(error => error.message === 'Too many connections'));
+  assert.equal((await connect('viewer-token')).connected, true);
+
+  // Disconnecting gives the place back
+  connected[0].disconnect();
+  const again = await waitForSocket(() => connect('player-token'));
+  assert.equal(again.connected, true);
+});
+
+// The server sees the disconnect a moment after the client
+async function waitForSocket(open) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const result = await open();
+    if (result.connected) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('No socket connected');
+}
+
+test('events over the socket budget are dropped with a retryAfter', async (t) => {
+  const connect = await startSocketServer(t, { eventRate: { capacity: 2, refillPerSecond: 0.1 } });
+  const socket = await connect('player-token');
+
+  assert.deepEqual(await socket.emitWithAck('ping'), { pong: true });
+  assert.deepEqual(await socket.emitWithAck('ping'), { pong: true });
+  const limited = await socket.emitWithAck('ping');
+  assert.equal(limited.error, 'Too many requests');
+  assert.ok(limited.retryAfter > 0);
+
+  const notice = new Promise(resolve => socket.once('rate:limited', resolve));
+  socket.emit('other');
+  assert.equal((await notice).event, 'other');
+});
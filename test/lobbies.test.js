@@ -0,0 +1,109 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openCatalog } from '../src/catalog/index.js';
+import { createFakeLauncher } from '../src/sessions/launchers.js';
+import { createSessionManager } from '../src/sessions/manager.js';
+import { createLobbyManager } from '../src/lobbies/manager.js';
+import { createGame } from './helpers.js';
+
+const host = { id: 'host', username: 'host' };
+const guest = { id: 'guest', username: 'guest' };
+const third = { id: 'third', username: 'third' };
+
+let sessions;
+let lobbies;
+let game;
+
+beforeEach(async () => {
+  const catalog = await openCatalog({ driver: 'memory' });
+  sessions = createSessionManager({ games: catalog.games, launcher: createFakeLauncher() });
+  lobbies = createLobbyManager({ games: catalog.games, sessions });
+  game = await createGame(catalog.games, { playerCount: 2 });
+});
+
+// A two player lobby with the guest ready
+async function readyLobby() {
+  const { code } = await lobbies.create({ gameId: game.id, user: host });
+  lobbies.join(code, guest);
+  lobbies.setReady(code, guest.id, true);
+  return code;
+}
+
+test('the creator hosts in slot 1 and others take the next free slot', async () => {
+  const lobby = await lobbies.create({ gameId: game.id, user: host });
+  assert.match(lobby.code, /^[A-HJ-NP-Z2-9]{6}$/);
+  assert.equal(lobby.maxPlayers, 2);
+
+  const joined = lobbies.join(lobby.code.toLowerCase(), guest);
+  assert.deepEqual(joined.players.map(p => [p.slot, p.userId]), [[1, 'host'], [2, 'guest']]);
+  assert.throws(() => lobbies.join(lobby.code, third), { status: 409, message: 'All player slots are taken' });
+
+  const watching = lobbies.join(lobby.code, third, { spectator: true });
+  assert.deepEqual(watching.spectators.map(s => s.userId), ['third']);
+});
+
+test('lobbies are only created for active games', async () => {
+  await assert.rejects(lobbies.create({ gameId: 'missing', user: host }), { status: 404 });
+});
+
+test('the host starts once everyone else is ready, with controller ports from the slots', async () => {
+  const { code } = await lobbies.create({ gameId: game.id, user: host });
+  lobbies.join(code, guest);
+  await assert.rejects(lobbies.start(code, guest.id), { status: 403 });
+  await assert.rejects(lobbies.start(code, host.id), { status: 409, message: 'Waiting for guest to be ready' });
+
+  lobbies.setReady(code, guest.id, true);
+  const { lobby, session } = await lobbies.start(code, host.id);
+
+  assert.equal(lobby.status, 'in-game');
+  assert.equal(lobby.sessionId, session.id);
+  assert.equal(session.userId, 'host');
+  assert.equal(session.lobbyId, lobby.id);
+  assert.deepEqual(session.players.map(p => [p.slot, p.userId]), [[1, 'host'], [2, 'guest']]);
+  assert.throws(() => lobbies.join(code, third), { status: 409, message: 'The game has already started' });
+});
+
+test('the lobby reopens with everyone unready when its session ends', async () => {
+  const code = await readyLobby();
+  const { session } = await lobbies.start(code, host.id);
+
+  await sessions.end(session.id);
+
+  const lobby = lobbies.get(code);
+  assert.equal(lobby.status, 'open');
+  assert.equal(lobby.sessionId, null);
+  assert.ok(lobby.players.every(p => !p.ready));
+});
+
+test('kicking a player mid-game frees their seat in the session', async () => {
+  const code = await readyLobby();
+  const kicked = [];
+  lobbies.on('kicked', event => kicked.push(event.userId));
+  const { session } = await lobbies.start(code, host.id);
+
+  lobbies.kick(code, host.id, guest.id);
+
+  assert.deepEqual(kicked, ['guest']);
+  assert.equal(lobbies.isMember(code, guest.id), false);
+  assert.deepEqual(sessions.get(session.id).players.map(p => p.userId), ['host']);
+  assert.throws(() => lobbies.kick(code, host.id, host.id), { status: 400 });
+});
+
+test('a leaving host hands over the lobby and the last player out closes it', async () => {
+  const { code } = await lobbies.create({ gameId: game.id, user: host });
+  lobbies.join(code, guest);
+
+  assert.equal(lobbies.leave(code, host.id).hostId, 'guest');
+  assert.equal(lobbies.leave(code, guest.id).status, 'closed');
+  assert.equal(lobbies.get(code), null);
+});
+
+test('only the host can transfer the lobby, and only to a player', async () => {
+  const { code } = await lobbies.create({ gameId: game.id, user: host });
+  lobbies.join(code, guest);
+  lobbies.join(code, third, { spectator: true });
+
+  assert.throws(() => lobbies.transfer(code, guest.id, guest.id), { status: 403 });
+  assert.throws(() => lobbies.transfer(code, host.id, third.id), { status: 400 });
+  assert.equal(lobbies.transfer(code, host.id, guest.id).hostId, 'guest');
+});
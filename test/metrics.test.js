@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openCatalog } from '../src/catalog/index.js';
+import { createFakeLauncher } from '../src/sessions/launchers.js';
+import { createSessionManager } from '../src/sessions/manager.js';
+import { createMetrics } from '../src/metrics/index.js';
+import { createGame } from './helpers.js';
+
+async function setup() {
+  const catalog = await openCatalog({ driver: 'memory' });
+  const sessions = createSessionManager({ games: catalog.games, launcher: createFakeLauncher() });
+  const metrics = createMetrics({ sessions });
+  const game = await createGame(catalog.games);
+  return { sessions, metrics, game };
+}
+
+test('a session counts as started once, however often it changes while running', async () => {
+  const { sessions, metrics, game } = await setup();
+  const session = await sessions.start({
+    gameId: game.id,
+    userId: 'host',
+    lobbyId: 'lobby',
+    players: [{ slot: 1, userId: 'host' }, { slot: 2, userId: 'guest' }]
+  });
+
+  sessions.updateSettings(session.id, { visibility: 'private' });
+  sessions.updateSettings(session.id, { maxSpectators: 2 });
+  sessions.removePlayer(session.id, 'guest');
+  await sessions.end(session.id);
+
+  assert.deepEqual((await metrics.stats()).sessionTotals, { started: 1, ended: 1, crashed: 0 });
+  assert.match(await metrics.render(), /^platium_session_events_total\{system="nes",event="started"\} 1$/m);
+});
+
+test('crashes and active sessions are counted per system', async () => {
+  const { sessions, metrics, game } = await setup();
+  const crashing = await sessions.start({ gameId: game.id, userId: 'a' });
+  await sessions.start({ gameId: game.id, userId: 'b' });
+
+  sessions.handle(crashing.id).crash();
+
+  const stats = await metrics.stats();
+  assert.deepEqual(stats.sessionTotals, { started: 2, ended: 0, crashed: 1 });
+  assert.deepEqual(stats.activeSessionsBySystem, { nes: 1 });
+  assert.deepEqual(stats.emulatorsBySystem, {});
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isSafeLibraryPath, normalizeLibraryPath, resolveLibraryPath, toLibraryPath } from '../src/library/paths.js';
+import { checkRoms } from '../src/library/rom-check.js';
+import { adminGame, gameSerializerFor, publicGame } from '../src/catalog/serializers.js';
+import { validateGame } from '../src/catalog/validation.js';
+
+test('stored ROM paths are relative, forward slashed and stay in the library', () => {
+  assert.equal(isSafeLibraryPath('nes/Super Mario Bros.nes'), true);
+  for (const romPath of ['', '/games/nes/a.nes', '../a.nes', 'nes/../../a.nes', 'nes\\a.nes', 'a\0.nes', null]) {
+    assert.equal(isSafeLibraryPath(romPath), false, romPath);
+  }
+  assert.deepEqual(validateGame({ romPath: '/etc/passwd' }, { partial: true }),
+    ['romPath must be a path relative to GAMES_DIR (forward slashes, no "..") or null']);
+});
+
+test('absolute paths inside the library are converted, others kept as they are', () => {
+  assert.equal(toLibraryPath('/games', '/games/psx/Game (Disc 1).bin'), 'psx/Game (Disc 1).bin');
+  assert.throws(() => toLibraryPath('/games', '/gamesx/a.nes'), /outside the library/);
+
+  assert.equal(normalizeLibraryPath('/games', '/games/nes/a.nes'), 'nes/a.nes');
+  assert.equal(normalizeLibraryPath('/games/', '/games/nes/a.nes'), 'nes/a.nes');
+  assert.equal(normalizeLibraryPath('/games', '/elsewhere/a.nes'), '/elsewhere/a.nes');
+  assert.equal(normalizeLibraryPath('/games', 'nes/a.nes'), 'nes/a.nes');
+  assert.equal(normalizeLibraryPath('/games', null), null);
+});
+
+test('resolving refuses anything that leads out of the library, symlinks included', async (t) => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const library = path.join(root, 'games');
+  await fs.promises.mkdir(path.join(library, 'nes'), { recursive: true });
+  await fs.promises.writeFile(path.join(library, 'nes/a.nes'), 'rom');
+  await fs.promises.writeFile(path.join(root, 'secret.txt'), 'secret');
+  await fs.promises.symlink(path.join(root, 'secret.txt'), path.join(library, 'nes/link.nes'));
+
+  assert.equal(await resolveLibraryPath(library, 'nes/a.nes'), path.join(library, 'nes/a.nes'));
+  assert.equal(await resolveLibraryPath(library, path.join(library, 'nes/a.nes')), path.join(library, 'nes/a.nes'));
+  assert.equal(await resolveLibraryPath(library, 'nes/missing.nes'), path.join(library, 'nes/missing.nes'));
+  assert.equal(await resolveLibraryPath(library, '../secret.txt'), null);
+  assert.equal(await resolveLibraryPath(library, path.join(root, 'secret.txt')), null);
+  assert.equal(await resolveLibraryPath(library, 'nes/link.nes'), null);
+
+  const report = await checkRoms([
+    { id: '1', title: 'Fine', isActive: true, romPath: 'nes/a.nes' },
+    { id: '2', title: 'Gone', isActive: true, romPath: 'nes/missing.nes', discs: [] },
+    { id: '3', title: 'Escapes', isActive: false, romPath: 'nes/link.nes' },
+    { id: '4', title: 'Pathless', isActive: true, romPath: null },
+    { id: '5', title: 'Retired', isActive: false, romPath: null }
+  ], { root: library });
+  assert.equal(report.ok, 1);
+  assert.deepEqual(report.problems.map(p => [p.gameId, p.problem]),
+    [['2', 'missing'], ['3', 'outside the library'], ['4', 'no ROM path']]);
+});
+
+test('the public view of a game is a whitelist, admins see the file details', () => {
+  const game = {
+    id: 'g1',
+    title: 'Test Game',
+    slug: 'test-game',
+    system: 'nes',
+    romPath: 'nes/test.nes',
+    romSize: 40976,
+    checksums: { sha1: 'abc' },
+    discs: [],
+    deactivatedReason: null,
+    sessions: ['s1'],
+    someFutureField: 'internal'
+  };
+
+  const shown = publicGame(game);
+  assert.deepEqual(Object.keys(shown), ['id', 'title', 'slug', 'system']);
+  assert.equal(adminGame(game).romPath, 'nes/test.nes');
+  assert.equal(adminGame(game).someFutureField, 'internal');
+  assert.equal('sessions' in adminGame(game), false);
+
+  assert.equal(gameSerializerFor(null), publicGame);
+  assert.equal(gameSerializerFor({ id: 'u', roles: [] }), publicGame);
+  assert.equal(gameSerializerFor({ id: 'a', roles: ['admin'] }), adminGame);
+});
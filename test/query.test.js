@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGameQuery, queryGames } from '../src/catalog/query.js';
+
+const GAMES = [
+  { id: '1', title: 'Pokémon Red', system: 'gb', genre: 'RPG', year: 1996, playerCount: 1, description: 'Catch them all' },
+  { id: '2', title: 'Super Mario Bros.', system: 'nes', genre: 'Platformer', year: 1985, playerCount: 2, description: null },
+  { id: '3', title: 'Mario Kart 64', system: 'n64', genre: 'Racing', year: 1996, playerCount: 4, description: 'Kart racing' },
+  { id: '4', title: 'The Legend of Zelda', system: 'nes', genre: 'Adventure', year: 1986, playerCount: 1, description: null }
+];
+
+const search = (query) => {
+  const { options, errors } = parseGameQuery(query);
+  assert.deepEqual(errors, []);
+  return queryGames(GAMES, options);
+};
+const titles = (result) => result.games.map(g => g.title);
+
+test('defaults to the first page of 20, sorted by title', () => {
+  const { options } = parseGameQuery({});
+  assert.equal(options.page, 1);
+  assert.equal(options.limit, 20);
+  assert.deepEqual(titles(search({})), ['Mario Kart 64', 'Pokémon Red', 'Super Mario Bros.', 'The Legend of Zelda']);
+});
+
+test('invalid values are reported, not ignored', () => {
+  const { errors } = parseGameQuery({ limit: '500', sort: 'price', order: 'up', yearFrom: '1999', yearTo: '1990' });
+  assert.deepEqual(errors, [
+    'limit must be an integer between 1 and 100',
+    'sort must be one of: title, year, playCount, rating, createdAt',
+    'order must be asc or desc',
+    'yearFrom must not be after yearTo'
+  ]);
+});
+
+test('parameters that are not strings are rejected', () => {
+  const { errors, options } = parseGameQuery({ search: { a: 'b' }, system: ['nes', { x: '1' }] });
+  assert.deepEqual(errors, ['search must be a string', 'system must be a string']);
+  assert.equal(options.search, null);
+  assert.deepEqual(options.systems, []);
+});
+
+test('repeated parameters work like comma lists', () => {
+  assert.deepEqual(parseGameQuery({ system: ['nes', 'gb'] }).options.systems, ['nes', 'gb']);
+  assert.deepEqual(parseGameQuery({ genre: 'RPG, Racing' }).options.genres, ['rpg', 'racing']);
+});
+
+test('filters combine, and each facet ignores its own filter', () => {
+  const result = search({ system: 'nes,n64', minPlayers: '2' });
+  assert.deepEqual(titles(result), ['Mario Kart 64', 'Super Mario Bros.']);
+  assert.deepEqual(result.facets.systems, { nes: 1, n64: 1 });
+  assert.deepEqual(titles(search({ yearFrom: '1990' })), ['Mario Kart 64', 'Pokémon Red']);
+});
+
+test('search ignores accents, tolerates typos and ranks title matches first', () => {
+  assert.deepEqual(titles(search({ search: 'pokemon' })), ['Pokémon Red']);
+  assert.deepEqual(titles(search({ search: 'zeldda' })), ['The Legend of Zelda']);
+  assert.deepEqual(titles(search({ search: 'kart' })), ['Mario Kart 64']);
+  assert.deepEqual(titles(search({ search: 'mario' })), ['Mario Kart 64', 'Super Mario Bros.']);
+});
+
+test('a search with only punctuation filters nothing', () => {
+  assert.equal(search({ search: '!!!' }).total, GAMES.length);
+});
+
+test('sorting and paging', () => {
+  const result = search({ sort: 'year', order: 'asc', limit: '2', page: '2' });
+  assert.equal(result.total, 4);
+  assert.deepEqual(result.games.map(g => g.year), [1996, 1996]);
+});
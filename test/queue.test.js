@@ -0,0 +1,121 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openCatalog } from '../src/catalog/index.js';
+import { createFakeLauncher } from '../src/sessions/launchers.js';
+import { createSessionManager } from '../src/sessions/manager.js';
+import { createSessionQueue } from '../src/sessions/queue.js';
+import { createGame, waitFor } from './helpers.js';
+
+let catalog;
+let sessions;
+let game;
+
+beforeEach(async () => {
+  catalog = await openCatalog({ driver: 'memory' });
+  sessions = createSessionManager({ games: catalog.games, launcher: createFakeLauncher() });
+  game = await createGame(catalog.games);
+});
+
+const createQueue = (options = {}) =>
+  createSessionQueue({ sessions, users: catalog.users, games: catalog.games, maxSessions: 1, ...options });
+
+test('a free slot starts straight away, later requests wait in order', async () => {
+  const queue = createQueue();
+  const { session } = await queue.request({ gameId: game.id, userId: 'a' });
+  assert.equal(session.userId, 'a');
+
+  const { ticket: b } = await queue.request({ gameId: game.id, userId: 'b' });
+  const { ticket: c } = await queue.request({ gameId: game.id, userId: 'c' });
+  assert.deepEqual([b.status, b.position, c.position], ['waiting', 1, 2]);
+  assert.ok(c.etaSeconds >= b.etaSeconds);
+});
+
+test('a freed slot is offered to the head of the queue and claimed into a session', async () => {
+  const queue = createQueue();
+  const { session } = await queue.request({ gameId: game.id, userId: 'a' });
+  const { ticket } = await queue.request({ gameId: game.id, userId: 'b' });
+  await assert.rejects(queue.claim(ticket.id, 'b'), { status: 409 });
+
+  const offers = [];
+  queue.on('ticket', t => offers.push(t.status));
+  await sessions.end(session.id);
+  assert.equal(queue.get(ticket.id).status, 'offered');
+
+  // Only the ticket's owner claims it
+  await assert.rejects(queue.claim(ticket.id, 'c'), { status: 404 });
+  const claimed = await queue.claim(ticket.id, 'b');
+  assert.equal(claimed.userId, 'b');
+  assert.deepEqual(offers, ['offered', 'claimed']);
+  assert.deepEqual(queue.list(), []);
+});
+
+test('an unclaimed offer expires and moves on to the next ticket', async () => {
+  const queue = createQueue({ claimTimeout: 50 });
+  const { session } = await queue.request({ gameId: game.id, userId: 'a' });
+  const { ticket: b } = await queue.request({ gameId: game.id, userId: 'b' });
+  const { ticket: c } = await queue.request({ gameId: game.id, userId: 'c' });
+
+  const statuses = new Map();
+  queue.on('ticket', t => statuses.set(t.id, t.status));
+  await sessions.end(session.id);
+
+  await waitFor(() => statuses.get(b.id) === 'expired');
+  assert.equal(queue.get(c.id).status, 'offered');
+});
+
+test('sessions and tickets together stay within the per-user limit', async () => {
+  const queue = createQueue({ maxSessions: 2 });
+  await queue.request({ gameId: game.id, userId: 'a' });
+  await assert.rejects(queue.request({ gameId: game.id, userId: 'a' }), { status: 429, message: 'Session limit reached (1 at a time)' });
+
+  // Concurrent requests can't both take the last place
+  await catalog.users.setSessionLimit('b', 1);
+  const results = await Promise.allSettled([1, 2, 3].map(() => queue.request({ gameId: game.id, userId: 'b' })));
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+
+  // A raised limit lets a user queue more than once
+  await catalog.users.setSessionLimit('c', 2);
+  await queue.request({ gameId: game.id, userId: 'c' });
+  const { ticket } = await queue.request({ gameId: game.id, userId: 'c' });
+  assert.equal(ticket.position, 2);
+  await assert.rejects(queue.request({ gameId: game.id, userId: 'c' }), { status: 429 });
+});
+
+test('unknown games never take a place, and a draining server takes nobody', async () => {
+  const queue = createQueue();
+  await assert.rejects(queue.request({ gameId: 'missing', userId: 'a' }), { status: 404 });
+  assert.deepEqual(queue.list(), []);
+
+  sessions.stopAccepting();
+  await assert.rejects(queue.request({ gameId: game.id, userId: 'a' }), { status: 503 });
+});
+
+test('lobby starts skip the queue only while slots are free, and count for every player', async () => {
+  const queue = createQueue({ maxSessions: 2 });
+  await queue.request({ gameId: game.id, userId: 'b' });
+
+  const players = [{ slot: 1, userId: 'a' }, { slot: 2, userId: 'b' }];
+  await assert.rejects(queue.startNow({ gameId: game.id, userId: 'a', lobbyId: 'l', players }), {
+    status: 429,
+    message: 'A player in this lobby has reached their session limit'
+  });
+
+  await queue.startNow({ gameId: game.id, userId: 'a' });
+  await assert.rejects(queue.startNow({ gameId: game.id, userId: 'c' }), { status: 503 });
+});
+
+test('admins reorder waiting tickets, and cancelling closes the gap', async () => {
+  const queue = createQueue();
+  await queue.request({ gameId: game.id, userId: 'a' });
+  const ids = [];
+  for (const userId of ['b', 'c', 'd']) {
+    ids.push((await queue.request({ gameId: game.id, userId })).ticket.id);
+  }
+
+  assert.equal(queue.move(ids[2], 1).position, 1);
+  assert.deepEqual(queue.list().map(t => t.userId), ['d', 'b', 'c']);
+
+  assert.equal(queue.cancel(ids[0], 'b').status, 'cancelled');
+  assert.deepEqual(queue.list().map(t => [t.userId, t.position]), [['d', 1], ['c', 2]]);
+  assert.throws(() => queue.cancel(ids[1], 'b'), { status: 404 });
+});
@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { openCatalog } from '../src/catalog/index.js';
+import { createAuditLog } from '../src/audit/log.js';
+import { createAuthenticator } from '../src/middleware/auth.js';
+import { createReviewsRouter } from '../src/routes/reviews.js';
+import { createGame, listen, validator } from './helpers.js';
+
+let app;
+let catalog;
+let game;
+
+beforeEach(async () => {
+  catalog = await openCatalog({ driver: 'memory' });
+  game = await createGame(catalog.games);
+  const router = express();
+  router.use(express.json());
+  router.use(createAuthenticator(validator));
+  router.use('/api', createReviewsRouter({ games: catalog.games, reviews: catalog.reviews, audit: createAuditLog() }));
+  app = await listen(router);
+});
+
+afterEach(() => app.close());
+
+const rate = (token, body) => app.request('POST', `/api/games/${game.id}/ratings`, { token, body });
+
+test('one rating per user, posting again edits it and updates the game', async () => {
+  const first = await rate('player-token', { score: 2, review: 'Meh' });
+  assert.equal(first.status, 201);
+  assert.equal((await rate('viewer-token', { score: 5 })).status, 201);
+
+  const edited = await rate('player-token', { score: 4 });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.review.id, first.body.review.id);
+  assert.equal(edited.body.review.review, 'Meh');
+  assert.deepEqual(edited.body.rating, { average: 4.5, count: 2, distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } });
+
+  const stored = await catalog.games.findById(game.id);
+  assert.equal(stored.rating, 4.5);
+  assert.equal(stored.ratingCount, 2);
+});
+
+test('ratings are validated and need a user', async () => {
+  assert.equal((await rate(null, { score: 3 })).status, 401);
+  const invalid = await rate('player-token', { score: 6, review: 7, stars: 1 });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.details, [
+    'score must be an integer from 1 to 5',
+    'review must be a string of at most 2000 characters or null',
+    'stars is not a known field'
+  ]);
+});
+
+test('hidden reviews drop out of the listing and the rating', async () => {
+  const { body } = await rate('player-token', { score: 1, review: 'Spam' });
+  await rate('viewer-token', { score: 5, review: 'Great' });
+
+  const hidden = await app.request('PATCH', `/api/reviews/${body.review.id}`,
+    { token: 'admin-token', body: { hidden: true, reason: 'spam' } });
+  assert.equal(hidden.status, 200);
+  assert.equal(hidden.body.hiddenBy, 'admin');
+
+  const listing = await app.request('GET', `/api/games/${game.id}/reviews`);
+  assert.deepEqual(listing.body.reviews.map(r => r.review), ['Great']);
+  assert.equal(listing.body.rating.average, 5);
+  assert.equal((await catalog.games.findById(game.id)).ratingCount, 1);
+
+  const everything = await app.request('GET', `/api/games/${game.id}/reviews?includeHidden=true`, { token: 'admin-token' });
+  assert.deepEqual(everything.body.reviews.map(r => r.review).sort(), ['Great', 'Spam']);
+});
+
+test('only admins see who hid a review and why', async () => {
+  const { body } = await rate('player-token', { score: 1, review: 'Spam' });
+  await app.request('PATCH', `/api/reviews/${body.review.id}`, { token: 'admin-token', body: { hidden: true, reason: 'spam' } });
+
+  const moderation = ['hiddenBy', 'hiddenReason', 'hiddenAt'];
+  const own = await rate('player-token', { score: 2 });
+  assert.equal(own.body.review.hidden, true);
+  assert.deepEqual(moderation.filter(field => field in own.body.review), []);
+
+  const visible = await rate('viewer-token', { score: 5, review: 'Great' });
+  const listing = await app.request('GET', `/api/games/${game.id}/reviews?includeHidden=true`, { token: 'viewer-token' });
+  assert.deepEqual(listing.body.reviews.map(r => r.id), [visible.body.review.id]);
+  assert.deepEqual(moderation.filter(field => field in listing.body.reviews[0]), []);
+
+  const admin = await app.request('GET', '/api/reviews?hidden=true', { token: 'admin-token' });
+  assert.equal(admin.body.reviews[0].hiddenReason, 'spam');
+});
+
+test('moderation is for admins only', async () => {
+  assert.equal((await app.request('GET', '/api/reviews', { token: 'player-token' })).status, 403);
+  const { body } = await rate('player-token', { score: 3, review: 'Ok' });
+  const refused = await app.request('PATCH', `/api/reviews/${body.review.id}`, { token: 'player-token', body: { hidden: true } });
+  assert.equal(refused.status, 403);
+  const invalid = await app.request('PATCH', '/api/reviews/missing', { token: 'admin-token', body: { hidden: 'yes' } });
+  assert.deepEqual(invalid.body.details, ['hidden must be a boolean']);
+});
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextEvent, startServer } from './helpers.js';
+
+let server;
+let session;
+
+beforeEach(async () => {
+  server = await startServer();
+  session = await server.sessions.start({ gameId: server.game.id, userId: 'streamer' });
+});
+
+afterEach(() => server.close());
+
+// The session's owner producing video and a viewer in the session room
+async function peers() {
+  const streamer = await server.connect('streamer-token');
+  const viewer = await server.connect('viewer-token');
+  const { producer } = await streamer.emitWithAck('rtc:produce', { sessionId: session.id, kind: 'video', label: 'screen' });
+  await viewer.emitWithAck('session:join', { sessionId: session.id, spectate: true });
+  return { streamer, viewer, producer };
+}
+
+test('only streamers can produce', async () => {
+  const viewer = await server.connect('viewer-token');
+  const result = await viewer.emitWithAck('rtc:produce', { sessionId: session.id, kind: 'video' });
+  assert.equal(result.error, 'Only streamers can produce media');
+});
+
+test('streamers only produce for sessions they are in, and admins for any', async () => {
+  const other = await server.sessions.start({ gameId: server.game.id, userId: 'player' });
+  const streamer = await server.connect('streamer-token');
+  const refused = await streamer.emitWithAck('rtc:produce', { sessionId: other.id, kind: 'video' });
+  assert.equal(refused.error, 'Only players in the session can stream it');
+  assert.equal('media' in await streamer.emitWithAck('rtc:config', { sessionId: other.id }), false);
+
+  const admin = await server.connect('admin-token');
+  const { producer } = await admin.emitWithAck('rtc:produce', { sessionId: other.id, kind: 'audio' });
+  assert.equal(producer.sessionId, other.id);
+});
+
+test('producing does not join the session room', async () => {
+  const { streamer } = await peers();
+  const result = await streamer.emitWithAck('rtc:producers', { sessionId: session.id });
+  assert.equal(result.error, 'Join the session first');
+});
+
+test('a producer removed from the session loses its streams', async () => {
+  const lobbySession = await server.sessions.start({
+    gameId: server.game.id,
+    userId: 'player',
+    lobbyId: 'lobby',
+    players: [{ slot: 1, userId: 'player', username: 'player' }, { slot: 2, userId: 'streamer', username: 'streamer' }]
+  });
+  const streamer = await server.connect('streamer-token');
+  const viewer = await server.connect('viewer-token');
+  await streamer.emitWithAck('rtc:produce', { sessionId: lobbySession.id, kind: 'video' });
+  await viewer.emitWithAck('session:join', { sessionId: lobbySession.id, spectate: true });
+
+  const update = nextEvent(viewer, 'rtc:producers');
+  server.sessions.removePlayer(lobbySession.id, 'streamer');
+  assert.deepEqual(await update, { sessionId: lobbySession.id, producers: [] });
+});
+
+test('viewers in the room see producers and consume them', async () => {
+  const { streamer, viewer, producer } = await peers();
+  assert.equal(producer.kind, 'video');
+
+  const { producers } = await viewer.emitWithAck('rtc:producers', { sessionId: session.id });
+  assert.deepEqual(producers.map(p => p.id), [producer.id]);
+
+  const offerRequest = nextEvent(streamer, 'rtc:consumer');
+  const { consumerId, iceServers } = await viewer.emitWithAck('rtc:consume', { producerId: producer.id });
+  assert.deepEqual(iceServers, []);
+  assert.deepEqual(await offerRequest, { consumerId, producerId: producer.id, sessionId: session.id });
+});
+
+test('offers, answers and candidates are relayed between the two ends', async () => {
+  const { streamer, viewer, producer } = await peers();
+  const { consumerId } = await viewer.emitWithAck('rtc:consume', { producerId: producer.id });
+
+  const offer = nextEvent(viewer, 'rtc:signal');
+  streamer.emit('rtc:signal', { consumerId, description: { type: 'offer', sdp: 'v=0 offer' } });
+  assert.deepEqual(await offer, { consumerId, description: { type: 'offer', sdp: 'v=0 offer' } });
+
+  const answer = nextEvent(streamer, 'rtc:signal');
+  viewer.emit('rtc:signal', { consumerId, description: { type: 'answer', sdp: 'v=0 answer' } });
+  assert.deepEqual(await answer, { consumerId, description: { type: 'answer', sdp: 'v=0 answer' } });
+
+  const candidate = nextEvent(streamer, 'rtc:signal');
+  viewer.emit('rtc:signal', { consumerId, candidate: { candidate: 'candidate:1 1 udp 1 127.0.0.1 5000 typ host', sdpMid: '0' } });
+  assert.deepEqual(await candidate, {
+    consumerId,
+    candidate: { candidate: 'candidate:1 1 udp 1 127.0.0.1 5000 typ host', sdpMid: '0', sdpMLineIndex: null }
+  });
+
+  const rejected = nextEvent(viewer, 'rtc:error');
+  viewer.emit('rtc:signal', { consumerId, description: { type: 'rollback', sdp: '' } });
+  assert.deepEqual(await rejected, { error: 'Invalid signal' });
+});
+
+test('consumers need to be in the session room', async () => {
+  const { producer } = await peers();
+  const outsider = await server.connect('player-token');
+  const result = await outsider.emitWithAck('rtc:consume', { producerId: producer.id });
+  assert.equal(result.error, 'Producer not found');
+});
+
+test('leaving the session closes the viewer\'s consumers on both ends', async () => {
+  const { streamer, viewer, producer } = await peers();
+  const { consumerId } = await viewer.emitWithAck('rtc:consume', { producerId: producer.id });
+
+  const closed = Promise.all([nextEvent(streamer, 'rtc:closed'), nextEvent(viewer, 'rtc:closed')]);
+  await viewer.emitWithAck('session:leave', { sessionId: session.id });
+  assert.deepEqual(await closed, [{ consumerId }, { consumerId }]);
+});
+
+test('ending the session withdraws its producers', async () => {
+  const { viewer } = await peers();
+
+  const update = nextEvent(viewer, 'rtc:producers');
+  await server.sessions.end(session.id);
+  assert.deepEqual(await update, { sessionId: session.id, producers: [] });
+});
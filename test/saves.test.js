@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSaveStore } from '../src/saves/store.js';
+import { createMemoryStore } from '../src/store/memory-store.js';
+
+const LOCATIONS = [{ kind: 'save', dir: 'saves' }, { kind: 'state', dir: 'states' }];
+
+async function setup(t, { quota } = {}) {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const saves = createSaveStore({ dir: path.join(root, 'store'), store: createMemoryStore(), quota });
+  await saves.open();
+
+  let sessions = 0;
+  // Collect `files` (relative path -> content) as if a session had just written them
+  async function session(userId, gameId, files) {
+    const workDir = path.join(root, `session-${++sessions}`);
+    for (const [name, content] of Object.entries(files)) {
+      await fs.promises.mkdir(path.dirname(path.join(workDir, name)), { recursive: true });
+      await fs.promises.writeFile(path.join(workDir, name), content);
+    }
+    // Keeps updatedAt apart between sessions
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return saves.collect({ userId, gameId, workDir, locations: LOCATIONS });
+  }
+
+  return { root, saves, session };
+}
+
+test('saves merge by path, restore into a new session and count towards usage', async (t) => {
+  const { root, saves, session } = await setup(t);
+  await session('ana', 'zelda', { 'saves/zelda.srm': 'one', 'states/zelda.state1': 'state' });
+  const second = await session('ana', 'zelda', { 'saves/zelda.srm': 'two!' });
+  assert.equal(second.stored, 1);
+  assert.equal((await session('ana', 'zelda', { 'saves/zelda.srm': 'two!' })).stored, 0);
+
+  const { files } = await saves.list('ana', 'zelda');
+  assert.deepEqual(files.map(f => [f.kind, f.path, f.size]).sort(),
+    [['save', 'saves/zelda.srm', 4], ['state', 'states/zelda.state1', 5]]);
+  assert.deepEqual(await saves.usage('ana'), {
+    used: 9,
+    quota: 100 * 1024 * 1024,
+    games: [{ gameId: 'zelda', files: 2, size: 9, updatedAt: (await saves.list('ana', 'zelda')).updatedAt }]
+  });
+
+  const workDir = path.join(root, 'next');
+  const { restored, corrupt } = await saves.restore({ userId: 'ana', gameId: 'zelda', workDir });
+  assert.deepEqual(restored.sort(), ['saves/zelda.srm', 'states/zelda.state1']);
+  assert.deepEqual(corrupt, []);
+  assert.equal(await fs.promises.readFile(path.join(workDir, 'saves/zelda.srm'), 'utf8'), 'two!');
+});
+
+test('over the quota the oldest save states go first, across the user\'s games', async (t) => {
+  const { saves, session } = await setup(t, { quota: 20 });
+  await session('ana', 'mario', { 'saves/mario.srm': 'xxxx' });
+  await session('ana', 'zelda', { 'states/old': 'oooooo' });
+  await session('ana', 'zelda', { 'states/mid': 'mmmmmm' });
+
+  const result = await session('ana', 'zelda', { 'states/new': 'nnnnnn' });
+  assert.deepEqual(result.dropped, ['states/old']);
+  assert.deepEqual((await saves.list('ana', 'zelda')).files.map(f => f.path), ['states/mid', 'states/new']);
+  assert.equal((await saves.usage('ana')).used, 16);
+
+  // Another user has a quota of their own
+  assert.equal((await session('ben', 'zelda', { 'states/new': 'nnnnnnnnnnnnnnnnnnnn' })).stored, 1);
+});
+
+test('save files that don\'t fit are refused and the previous saves kept', async (t) => {
+  const { saves, session } = await setup(t, { quota: 10 });
+  await session('ana', 'zelda', { 'saves/zelda.srm': 'small', 'states/s1': 'st' });
+
+  await assert.rejects(session('ana', 'zelda', { 'saves/zelda.srm': 'far too large' }), /exceeds the 10 byte quota/);
+  const { files } = await saves.list('ana', 'zelda');
+  assert.deepEqual(files.map(f => [f.path, f.size]), [['saves/zelda.srm', 5], ['states/s1', 2]]);
+});
+
+test('corrupted files are flagged and never restored', async (t) => {
+  const { root, saves, session } = await setup(t);
+  await session('ana', 'zelda', { 'saves/zelda.srm': 'good', 'states/s1': 'state' });
+  const [save] = (await saves.list('ana', 'zelda')).files.filter(f => f.kind === 'save');
+  await fs.promises.writeFile(path.join(root, 'store/ana/zelda', save.id), 'evil');
+
+  const first = await saves.restore({ userId: 'ana', gameId: 'zelda', workDir: path.join(root, 'a') });
+  assert.deepEqual(first, { restored: ['states/s1'], corrupt: [save.id] });
+  assert.equal((await saves.list('ana', 'zelda')).files.find(f => f.id === save.id).corrupt, true);
+
+  // A fresh save from the emulator replaces the corrupt one
+  await session('ana', 'zelda', { 'saves/zelda.srm': 'good again' });
+  const second = await saves.restore({ userId: 'ana', gameId: 'zelda', workDir: path.join(root, 'b') });
+  assert.deepEqual(second.restored.sort(), ['saves/zelda.srm', 'states/s1']);
+});
+
+test('slots are removed one at a time or all together', async (t) => {
+  const { saves, session } = await setup(t);
+  await session('ana', 'zelda', { 'saves/zelda.srm': 'save', 'states/s1': 'one', 'states/s2': 'two' });
+  const [first] = (await saves.list('ana', 'zelda')).files;
+
+  assert.equal(await saves.remove('ana', 'zelda', first.id), 1);
+  assert.equal(await saves.remove('ana', 'zelda', first.id), 0);
+  assert.equal(await saves.remove('ana', 'zelda'), 2);
+  assert.deepEqual(await saves.usage('ana'), { used: 0, quota: 100 * 1024 * 1024, games: [] });
+});
+
+test('odd user and game ids stay inside the save directory', async (t) => {
+  const { root, session } = await setup(t);
+  await session('../../etc', 'a/b', { 'saves/x.srm': 'x' });
+  const users = await fs.promises.readdir(path.join(root, 'store'));
+  assert.equal(users.length, 1);
+  assert.match(users[0], /^[0-9a-f]{32}$/);
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextEvent, startServer, waitFor } from './helpers.js';
+
+let server;
+let session;
+
+beforeEach(async () => {
+  server = await startServer();
+  session = await server.sessions.start({ gameId: server.game.id, userId: 'player' });
+});
+
+afterEach(() => server.close());
+
+test('the owner joins as player 1 and their inputs reach the emulator', async () => {
+  const socket = await server.connect('player-token');
+  const joined = await socket.emitWithAck('session:join', { sessionId: session.id });
+  assert.equal(joined.role, 'player');
+  assert.equal(joined.slot, 1);
+
+  socket.emit('input', { sessionId: session.id, type: 'axis', control: 'lx', value: -0.5 });
+  const [launch] = server.launcher.launches;
+  await waitFor(() => launch.inputs.length > 0);
+  assert.deepEqual(launch.inputs, [{ type: 'axis', control: 'lx', value: -0.5, slot: 1 }]);
+});
+
+test('each of the owner\'s connections takes the next slot, up to the player count', async () => {
+  await server.catalog.games.update(server.game.id, { playerCount: 2 });
+  const first = await server.connect('player-token');
+  const second = await server.connect('player-token');
+  const third = await server.connect('player-token');
+
+  assert.equal((await first.emitWithAck('session:join', { sessionId: session.id })).slot, 1);
+  assert.equal((await second.emitWithAck('session:join', { sessionId: session.id })).slot, 2);
+  assert.equal((await third.emitWithAck('session:join', { sessionId: session.id })).error, 'All player slots are taken');
+
+  second.emit('input', { sessionId: session.id, type: 'button', control: 'a', pressed: true });
+  const [launch] = server.launcher.launches;
+  await waitFor(() => launch.inputs.length > 0);
+  assert.equal(launch.inputs[0].slot, 2);
+
+  // A freed slot goes to the next connection
+  await first.emitWithAck('session:leave', { sessionId: session.id });
+  assert.equal((await third.emitWithAck('session:join', { sessionId: session.id })).slot, 1);
+});
+
+test('invalid inputs are rejected', async () => {
+  const socket = await server.connect('player-token');
+  await socket.emitWithAck('session:join', { sessionId: session.id });
+
+  const error = nextEvent(socket, 'session:error');
+  socket.emit('input', { sessionId: session.id, type: 'axis', control: 'lx', value: 2 });
+  assert.deepEqual(await error, { error: 'Invalid input message' });
+  assert.deepEqual(server.launcher.launches[0].inputs, []);
+});
+
+test('others can only watch, and spectators cannot send input', async () => {
+  const socket = await server.connect('viewer-token');
+  const refused = await socket.emitWithAck('session:join', { sessionId: session.id });
+  assert.equal(refused.error, 'Only the session owner can play; join with spectate to watch');
+
+  const joined = await socket.emitWithAck('session:join', { sessionId: session.id, spectate: true });
+  assert.equal(joined.role, 'spectator');
+  assert.equal(joined.slot, null);
+
+  const error = nextEvent(socket, 'session:error');
+  socket.emit('input', { sessionId: session.id, type: 'button', control: 'a', pressed: true });
+  assert.deepEqual(await error, { error: 'Spectators cannot send input' });
+});
+
+test('the room hears when the session ends', async () => {
+  const socket = await server.connect('viewer-token');
+  await socket.emitWithAck('session:join', { sessionId: session.id, spectate: true });
+
+  const state = nextEvent(socket, 'session:state');
+  await server.sessions.end(session.id, 'ended by user');
+  const { session: ended } = await state;
+  assert.equal(ended.status, 'ended');
+  assert.equal(ended.endReason, 'ended by user');
+});
+
+test('spectators only see the public session fields', async () => {
+  const owner = await server.connect('player-token');
+  const viewer = await server.connect('viewer-token');
+  const played = await owner.emitWithAck('session:join', { sessionId: session.id });
+  const watched = await viewer.emitWithAck('session:join', { sessionId: session.id, spectate: true });
+  assert.equal(played.session.userId, 'player');
+  assert.equal(watched.session.id, session.id);
+  assert.equal('userId' in watched.session, false);
+  assert.equal('pid' in watched.session, false);
+
+  const ownerState = nextEvent(owner, 'session:state');
+  const viewerState = nextEvent(viewer, 'session:state');
+  server.sessions.updateSettings(session.id, { maxSpectators: 3 });
+  assert.equal((await ownerState).session.userId, 'player');
+  const { session: seen } = await viewerState;
+  assert.equal(seen.maxSpectators, 3);
+  assert.deepEqual(Object.keys(seen).filter(key => ['userId', 'players', 'pid', 'exitCode'].includes(key)), []);
+});
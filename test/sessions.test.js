@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openCatalog } from '../src/catalog/index.js';
+import { createFakeLauncher } from '../src/sessions/launchers.js';
+import { createSessionManager } from '../src/sessions/manager.js';
+import { createGame } from './helpers.js';
+
+async function setup(options = {}) {
+  const catalog = await openCatalog({ driver: 'memory' });
+  const launcher = createFakeLauncher();
+  const sessions = createSessionManager({ games: catalog.games, launcher, ...options });
+  const game = await createGame(catalog.games);
+  return { catalog, launcher, sessions, game };
+}
+
+test('starting a session launches the emulator and runs it', async () => {
+  const { launcher, sessions, game, catalog } = await setup();
+
+  const session = await sessions.start({ gameId: game.id, userId: 'player' });
+
+  assert.equal(session.status, 'running');
+  assert.equal(session.userId, 'player');
+  assert.ok(session.startedAt);
+  assert.equal(launcher.launches.length, 1);
+  assert.equal(launcher.launches[0].sessionId, session.id);
+  assert.equal((await catalog.games.findById(game.id)).playCount, 1);
+});
+
+test('ending a session stops its emulator', async () => {
+  const { launcher, sessions, game } = await setup();
+  const session = await sessions.start({ gameId: game.id, userId: 'player' });
+
+  const ended = await sessions.end(session.id, 'done');
+
+  assert.equal(ended.status, 'ended');
+  assert.equal(ended.endReason, 'done');
+  assert.equal(launcher.launches[0].stopped, true);
+  assert.equal(sessions.activeCount(), 0);
+});
+
+test('an emulator crash marks the session crashed', async () => {
+  const { sessions, game } = await setup();
+  const events = [];
+  sessions.on('session', session => events.push(session.status));
+  const session = await sessions.start({ gameId: game.id, userId: 'player' });
+
+  sessions.handle(session.id).crash(3);
+
+  const crashed = sessions.get(session.id);
+  assert.equal(crashed.status, 'crashed');
+  assert.equal(crashed.exitCode, 3);
+  assert.deepEqual(events, ['starting', 'running', 'crashed']);
+});
+
+test('sessions are refused over the limit and for unknown games', async () => {
+  const { sessions, game } = await setup({ maxSessions: 1 });
+  await sessions.start({ gameId: game.id, userId: 'player' });
+
+  await assert.rejects(sessions.start({ gameId: game.id, userId: 'other' }), { status: 503 });
+  await assert.rejects(sessions.start({ gameId: 'missing', userId: 'player' }), { status: 404 });
+});
+
+test('idle sessions are reaped, then dropped after another cleanup interval', async () => {
+  const { launcher, sessions, game } = await setup({ idleTimeout: 0, cleanupInterval: 0 });
+  const session = await sessions.start({ gameId: game.id, userId: 'player' });
+
+  await sessions.cleanup();
+  const reaped = sessions.get(session.id);
+  assert.equal(reaped.status, 'ended');
+  assert.equal(reaped.endReason, 'idle timeout');
+  assert.equal(launcher.launches[0].stopped, true);
+
+  await sessions.cleanup();
+  assert.equal(sessions.get(session.id), null);
+});
+
+test('activity keeps a session from being reaped', async () => {
+  const { sessions, game } = await setup({ idleTimeout: 60 * 1000 });
+  const session = await sessions.start({ gameId: game.id, userId: 'player' });
+
+  sessions.touch(session.id);
+  await sessions.cleanup();
+
+  assert.equal(sessions.get(session.id).status, 'running');
+  await sessions.endAll('test finished');
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { openCatalog } from '../src/catalog/index.js';
+import { acquireInstanceLock } from '../src/instance-lock.js';
+import { createShutdown } from '../src/shutdown.js';
+import { createFakeLauncher } from '../src/sessions/launchers.js';
+import { createSessionManager } from '../src/sessions/manager.js';
+import { createSessionRecovery } from '../src/sessions/recovery.js';
+import { createGame, nextEvent, waitFor } from './helpers.js';
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// The fake launcher, plus the recovery details a real emulator leaves in the snapshot
+function createRecoverableLauncher() {
+  const fake = createFakeLauncher();
+  const recovered = [];
+  return {
+    recovered,
+    async launch(options) {
+      return { ...await fake.launch(options), recovery: { pid: 4242, sessionId: options.session.id } };
+    },
+    async recover(recovery, { collectSaves }) {
+      recovered.push({ ...recovery, collectSaves });
+      return { stopped: true, stored: collectSaves ? 1 : 0 };
+    }
+  };
+}
+
+// One server run over `file`; a later run with the same file sees what this one left
+async function run(file) {
+  const catalog = await openCatalog({ driver: 'memory' });
+  const launcher = createRecoverableLauncher();
+  const sessions = createSessionManager({ games: catalog.games, launcher });
+  const recovery = createSessionRecovery({ file, sessions, launcher });
+  const game = await createGame(catalog.games);
+  return { sessions, recovery, launcher, game };
+}
+
+const readSnapshot = async (file) => JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+test('after a crash, orphaned emulators are stopped and their sessions show as crashed', async (t) => {
+  const file = path.join(await tempDir(t), 'sessions.json');
+  const before = await run(file);
+  before.recovery.track();
+  const session = await before.sessions.start({ gameId: before.game.id, userId: 'ana' });
+  await waitFor(async () => (await readSnapshot(file).catch(() => null))?.sessions[0]?.status === 'running');
+
+  // The process dies here: nothing ends the session
+  const after = await run(file);
+  const history = [];
+  after.sessions.on('session', s => history.push(s.status));
+  assert.deepEqual(await after.recovery.reconcile(), { sessions: 1, orphansStopped: 1, savesStored: 1 });
+
+  assert.deepEqual(after.launcher.recovered, [{ pid: 4242, sessionId: session.id, collectSaves: true }]);
+  const restored = after.sessions.get(session.id);
+  assert.equal(restored.status, 'crashed');
+  assert.equal(restored.endReason, 'server stopped unexpectedly');
+  assert.deepEqual(history, ['crashed']);
+  assert.deepEqual((await readSnapshot(file)).sessions, []);
+});
+
+test('after a clean shutdown, ended sessions come back as they were recorded', async (t) => {
+  const file = path.join(await tempDir(t), 'sessions.json');
+  const before = await run(file);
+  const session = await before.sessions.start({ gameId: before.game.id, userId: 'ana' });
+  assert.deepEqual(await before.recovery.shutdown({ signal: 'SIGTERM' }), { ended: 1 });
+
+  const snapshot = await readSnapshot(file);
+  assert.equal(snapshot.shutdown.signal, 'SIGTERM');
+  assert.equal(snapshot.sessions[0].recovery.pid, 4242);
+
+  const after = await run(file);
+  const history = [];
+  after.sessions.on('session', s => history.push(s.status));
+  await after.recovery.reconcile();
+
+  // Saves were collected when the shutdown ended it
+  assert.deepEqual(after.launcher.recovered.map(r => r.collectSaves), [false]);
+  assert.equal(after.sessions.get(session.id).endReason, 'server restarted');
+  assert.deepEqual(history, []);
+});
+
+test('an unreadable snapshot is ignored', async (t) => {
+  const file = path.join(await tempDir(t), 'sessions.json');
+  await fs.promises.writeFile(file, '{"sessions": [');
+  const { recovery } = await run(file);
+  assert.deepEqual(await recovery.reconcile(), { sessions: 0, orphansStopped: 0, savesStored: 0 });
+});
+
+async function startShutdown(t, { drainPeriod }) {
+  const file = path.join(await tempDir(t), 'sessions.json');
+  const { sessions, recovery, game } = await run(file);
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const client = connectClient(`http://127.0.0.1:${httpServer.address().port}`, { transports: ['websocket'], reconnection: false });
+  t.after(() => client.close());
+  await nextEvent(client, 'connect');
+
+  const exit = t.mock.method(process, 'exit', () => {});
+  const closed = [];
+  const shutdown = createShutdown({
+    server: httpServer,
+    io,
+    sessions,
+    recovery,
+    drainPeriod,
+    restartDelay: 1000,
+    // Keeps the force-exit timer from outliving the mocked process.exit
+    forceTimeout: 10 * 60 * 1000,
+    closers: [() => closed.push('store')]
+  });
+  // A signal of its own so the test runner's handlers stay out of it
+  shutdown.listen(['SIGUSR2']);
+  t.after(() => process.removeAllListeners('SIGUSR2'));
+  return { file, sessions, game, client, exit, closed, shutdown };
+}
+
+test('shutdown drains, warns clients and exits once the last session ends', async (t) => {
+  const { file, sessions, game, client, exit, closed, shutdown } = await startShutdown(t, { drainPeriod: 60000 });
+  const session = await sessions.start({ gameId: game.id, userId: 'ana' });
+
+  const warning = nextEvent(client, 'server:shutdown');
+  process.emit('SIGUSR2', 'SIGUSR2');
+  assert.equal(shutdown.isShuttingDown(), true);
+  assert.deepEqual(await warning, { reason: 'restart', drainPeriod: 60000, reconnectAfter: 61000 });
+  await assert.rejects(sessions.start({ gameId: game.id, userId: 'ben' }), { status: 503 });
+
+  // Running sessions carry on until they end
+  assert.equal(sessions.get(session.id).status, 'running');
+  await sessions.end(session.id);
+
+  await waitFor(() => exit.mock.callCount() === 1);
+  assert.deepEqual(exit.mock.calls[0].arguments, [0]);
+  assert.deepEqual(closed, ['store']);
+  const snapshot = await readSnapshot(file);
+  assert.equal(snapshot.shutdown.signal, 'SIGUSR2');
+  assert.deepEqual(snapshot.sessions, []);
+});
+
+test('sessions still running after the drain period are ended and recorded', async (t) => {
+  const { file, sessions, game, exit } = await startShutdown(t, { drainPeriod: 50 });
+  const session = await sessions.start({ gameId: game.id, userId: 'ana' });
+
+  process.emit('SIGUSR2', 'SIGUSR2');
+  await waitFor(() => exit.mock.callCount() === 1);
+  assert.deepEqual(exit.mock.calls[0].arguments, [0]);
+
+  assert.equal(sessions.get(session.id).endReason, 'server restarted');
+  const [recorded] = (await readSnapshot(file)).sessions;
+  assert.equal(recorded.id, session.id);
+  assert.equal(recorded.status, 'ended');
+});
+
+test('one server per data directory, stale pidfiles are taken over', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'run/server.pid');
+
+  const lock = await acquireInstanceLock(file);
+  assert.equal(await fs.promises.readFile(file, 'utf8'), String(process.pid));
+  lock.release();
+  assert.equal(fs.existsSync(file), false);
+
+  // Runs until the test kills it, with `args` on its command line
+  const idle = (...args) => {
+    const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)', ...args], { stdio: 'ignore' });
+    t.after(() => child.kill());
+    return child.pid;
+  };
+
+  // A PID nobody has, and a live process that isn't this server (a reused PID)
+  for (const pid of [2 ** 30, idle()]) {
+    await fs.promises.writeFile(file, String(pid));
+    (await acquireInstanceLock(file)).release();
+  }
+
+  // Another process running the same script holds it
+  const other = idle(process.argv[1]);
+  await fs.promises.writeFile(file, String(other));
+  await assert.rejects(acquireInstanceLock(file), { message: `Another server (pid ${other}) is using ${path.dirname(file)}` });
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore } from '../src/store/index.js';
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+for (const driver of ['memory', 'json']) {
+  test(`${driver} store: documents are copies, and update reads and writes in one step`, async (t) => {
+    const store = await createStore({ driver, dataDir: await tempDir(t) });
+
+    const doc = { id: 'a', tags: ['x'] };
+    await store.put('games', doc);
+    doc.tags.push('changed outside');
+    const stored = await store.get('games', 'a');
+    assert.deepEqual(stored.tags, ['x']);
+    stored.tags.push('changed again');
+    assert.deepEqual((await store.get('games', 'a')).tags, ['x']);
+
+    await Promise.all([1, 2, 3].map(() => store.update('games', 'a', current => ({ ...current, count: (current.count ?? 0) + 1 }))));
+    assert.equal((await store.get('games', 'a')).count, 3);
+    assert.equal(await store.update('games', 'missing', current => current && { ...current }), null);
+
+    assert.equal(await store.delete('games', 'a'), true);
+    assert.equal(await store.delete('games', 'a'), false);
+    assert.deepEqual(await store.all('games'), []);
+    await store.ping();
+    await store.close();
+  });
+}
+
+test('the json store persists and picks up files changed by another process', async (t) => {
+  const dir = await tempDir(t);
+  const store = await createStore({ driver: 'json', dataDir: dir });
+  await store.put('users', { id: 'u1', name: 'one' });
+
+  const reopened = await createStore({ driver: 'json', dataDir: dir });
+  assert.deepEqual(await reopened.get('users', 'u1'), { id: 'u1', name: 'one' });
+
+  // Written by a script, a little later so the mtime moves on
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await fs.promises.writeFile(path.join(dir, 'users.json'), JSON.stringify([{ id: 'u2', name: 'two' }]));
+  assert.deepEqual((await store.all('users')).map(u => u.id), ['u2']);
+});
+
+test('a failed json write leaves the file and the cached collection as they were', async (t) => {
+  const dir = await tempDir(t);
+  const store = await createStore({ driver: 'json', dataDir: dir });
+  await store.put('games', { id: 'a' });
+
+  // A directory where the temp file goes makes the next write fail
+  await fs.promises.mkdir(path.join(dir, `games.json.${process.pid}.tmp`));
+  await assert.rejects(store.put('games', { id: 'b' }));
+
+  assert.deepEqual((await store.all('games')).map(g => g.id), ['a']);
+  assert.deepEqual(JSON.parse(await fs.promises.readFile(path.join(dir, 'games.json'), 'utf8')), [{ id: 'a' }]);
+});
+
+test('a read-only json store reads but never writes or creates its directory', async (t) => {
+  const dir = await tempDir(t);
+  await fs.promises.writeFile(path.join(dir, 'games.json'), JSON.stringify([{ id: 'a' }]));
+
+  const store = await createStore({ driver: 'json', dataDir: dir, readOnly: true });
+  assert.deepEqual(await store.all('games'), [{ id: 'a' }]);
+  await assert.rejects(store.put('games', { id: 'b' }), /read-only/);
+  await assert.rejects(store.delete('games', 'a'), /read-only/);
+  assert.deepEqual(await fs.promises.readdir(dir), ['games.json']);
+
+  const missing = path.join(dir, 'nowhere');
+  await createStore({ driver: 'json', dataDir: missing, readOnly: true });
+  assert.equal(fs.existsSync(missing), false);
+});
+
+test('unknown drivers are refused', async () => {
+  await assert.rejects(createStore({ driver: 'prisma' }), /Unknown store driver: prisma/);
+});
@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openCatalog } from '../src/catalog/index.js';
+import { DEACTIVATED_MISSING_FILE } from '../src/catalog/games.js';
+import { scanLibrary } from '../src/library/scanner.js';
+import { applySync, planSync } from '../src/library/sync.js';
+
+const ROOT = '/library';
+const MODIFIED = '2024-01-01T00:00:00.000Z';
+
+const rom = (romPath, overrides = {}) => ({
+  path: romPath,
+  filename: path.basename(romPath),
+  system: 'nes',
+  title: path.basename(romPath, '.nes'),
+  size: 10,
+  modifiedAt: MODIFIED,
+  discs: [],
+  checksums: null,
+  image: null,
+  ...overrides
+});
+
+const game = (id, romPath, overrides = {}) => ({
+  id,
+  slug: id,
+  title: id,
+  romPath,
+  romSize: 10,
+  romModifiedAt: MODIFIED,
+  discs: [],
+  checksums: null,
+  isActive: true,
+  deactivatedReason: null,
+  ...overrides
+});
+
+const ids = (items) => items.map(item => item.game?.id ?? item.rom.path);
+
+test('the scanner groups discs, cue tracks and playlists into one game each', async (t) => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'platium-test-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const files = {
+    'nes/Mario (USA).nes': 'rom',
+    'nes/Mario (USA).png': 'png',
+    'psx/Quest (Disc 1).bin': 'd1',
+    'psx/Quest (Disc 2).bin': 'd2',
+    'ps1/Racer.cue': 'FILE "Racer.bin" BINARY\n',
+    'ps1/Racer.bin': 'track',
+    'psx/Saga/Saga.m3u': 'Saga 1.chd\nSaga 2.chd\n',
+    'psx/Saga/Saga 1.chd': 's1',
+    'psx/Saga/Saga 2.chd': 's2',
+    'misc/mystery.iso': 'iso'
+  };
+  for (const [name, content] of Object.entries(files)) {
+    await fs.promises.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+    await fs.promises.writeFile(path.join(root, name), content);
+  }
+
+  const { games, warnings } = await scanLibrary(root);
+  const byFile = Object.fromEntries(games.map(g => [path.relative(root, g.path), g]));
+
+  assert.deepEqual(Object.keys(byFile).sort(),
+    ['nes/Mario (USA).nes', 'ps1/Racer.cue', 'psx/Quest (Disc 1).bin', 'psx/Saga/Saga.m3u']);
+  assert.equal(byFile['nes/Mario (USA).nes'].image, path.join(root, 'nes/Mario (USA).png'));
+  assert.deepEqual(byFile['psx/Quest (Disc 1).bin'].discs.map(d => path.basename(d)), ['Quest (Disc 1).bin', 'Quest (Disc 2).bin']);
+  assert.equal(byFile['psx/Quest (Disc 1).bin'].size, 4);
+  assert.deepEqual(byFile['ps1/Racer.cue'].parts.map(p => path.basename(p)), ['Racer.cue', 'Racer.bin']);
+  assert.equal(byFile['ps1/Racer.cue'].system, 'psx');
+  assert.deepEqual(byFile['psx/Saga/Saga.m3u'].discs.map(d => path.basename(d)), ['Saga 1.chd', 'Saga 2.chd']);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^Skipping misc\/mystery\.iso: can't tell the system/);
+});
+
+test('a sync plan adds, updates and deactivates by ROM path', () => {
+  const plan = planSync({
+    root: ROOT,
+    scanned: [rom('nes/same.nes'), rom('nes/moved.nes'), rom('nes/grown.nes', { size: 20 }), rom('nes/new.nes')],
+    existing: [
+      game('same', 'nes/same.nes'),
+      game('moved', `${ROOT}/nes/moved.nes`),
+      game('grown', 'nes/grown.nes'),
+      game('gone', 'nes/gone.nes')
+    ],
+    slugFor: (scanned) => path.basename(scanned.path, '.nes')
+  });
+
+  assert.deepEqual(ids(plan.unchanged), ['same']);
+  assert.deepEqual(ids(plan.updated), ['moved', 'grown']);
+  assert.deepEqual(ids(plan.added), ['nes/new.nes']);
+  assert.deepEqual(ids(plan.deactivated), ['gone']);
+});
+
+test('new ROMs with a taken slug are reported as conflicts, not added twice', () => {
+  const plan = planSync({
+    root: ROOT,
+    scanned: [rom('nes/a/zelda.nes'), rom('nes/b/zelda.nes'), rom('nes/mario.nes')],
+    existing: [game('mario', 'snes/mario.sfc')],
+    scope: 'nes',
+    slugFor: (scanned) => path.basename(scanned.path, '.nes')
+  });
+
+  assert.deepEqual(ids(plan.added), ['nes/a/zelda.nes']);
+  assert.deepEqual(plan.conflicts.map(c => [c.rom.path, c.slug]), [['nes/b/zelda.nes', 'zelda'], ['nes/mario.nes', 'mario']]);
+});
+
+test('a scoped scan only deactivates games inside its folder', () => {
+  const plan = planSync({
+    root: ROOT,
+    scanned: [],
+    existing: [game('nes', 'nes/a.nes'), game('nested', 'nes/hacks/b.nes'), game('other', 'nes-hacks/c.nes')],
+    scope: 'nes',
+    slugFor: () => 'unused'
+  });
+  assert.deepEqual(ids(plan.deactivated), ['nes', 'nested']);
+});
+
+test('only games deactivated for a missing file come back when their file does', () => {
+  const plan = planSync({
+    root: ROOT,
+    scanned: [rom('nes/missing.nes'), rom('nes/switched-off.nes', { size: 11 })],
+    existing: [
+      game('missing', 'nes/missing.nes', { isActive: false, deactivatedReason: DEACTIVATED_MISSING_FILE }),
+      game('switched-off', 'nes/switched-off.nes', { isActive: false, deactivatedReason: 'admin' })
+    ],
+    slugFor: () => 'unused'
+  });
+
+  assert.deepEqual(ids(plan.reactivated), ['missing']);
+  assert.deepEqual(ids(plan.updated), ['switched-off']);
+  assert.deepEqual(plan.deactivated, []);
+});
+
+test('DAT details update existing games, filename guesses do not', () => {
+  const plan = planSync({
+    root: ROOT,
+    scanned: [
+      rom('nes/zelda.nes', { title: 'The Legend of Zelda', region: 'USA', year: 1986, datName: 'Legend of Zelda, The (USA)' }),
+      rom('nes/guess.nes', { title: 'A Filename Guess', region: 'Japan', datName: null })
+    ],
+    existing: [game('zelda', 'nes/zelda.nes', { title: 'zelda' }), game('guess', 'nes/guess.nes', { title: 'Edited' })],
+    slugFor: () => 'unused'
+  });
+
+  assert.deepEqual(ids(plan.updated), ['zelda']);
+  assert.deepEqual(ids(plan.unchanged), ['guess']);
+});
+
+test('applying a plan writes the catalog and keeps going past failures', async () => {
+  const catalog = await openCatalog({ driver: 'memory' });
+  const missing = await catalog.games.create(game('missing', 'nes/missing.nes',
+    { isActive: false, deactivatedReason: DEACTIVATED_MISSING_FILE }));
+  const broken = await catalog.games.create(game('broken', 'nes/broken.nes'));
+  const gone = await catalog.games.create(game('gone', 'nes/gone.nes'));
+  const games = {
+    ...catalog.games,
+    update: (id, changes) => (id === broken.id ? Promise.reject(new Error('disk full')) : catalog.games.update(id, changes))
+  };
+
+  const plan = planSync({
+    root: ROOT,
+    scanned: [rom('nes/new.nes', { image: '/library/nes/new.png' }), rom('nes/missing.nes'), rom('nes/broken.nes', { size: 99 })],
+    existing: await catalog.games.list(),
+    slugFor: (scanned) => path.basename(scanned.path, '.nes')
+  });
+  const result = await applySync(plan, {
+    games,
+    toGame: (scanned) => ({ title: scanned.title, system: scanned.system }),
+    importCover: async (scanned, slug) => `/covers/${slug}.webp`
+  });
+
+  assert.deepEqual(result, {
+    added: 1,
+    updated: 0,
+    reactivated: 1,
+    deactivated: 1,
+    failed: [{ path: 'nes/broken.nes', error: 'disk full' }]
+  });
+  const added = await catalog.games.findBySlug('new');
+  assert.equal(added.romPath, 'nes/new.nes');
+  assert.equal(added.coverArtUrl, '/covers/new.webp');
+  assert.equal((await catalog.games.findById(missing.id)).isActive, true);
+  assert.equal((await catalog.games.findById(gone.id)).deactivatedReason, DEACTIVATED_MISSING_FILE);
+});